@@ -1,6 +1,13 @@
-const { jestConfig } = require('@salesforce/sfdx-lwc-jest/config');
+import sfdxLwcJest from "@salesforce/sfdx-lwc-jest/config.js";
 
-module.exports = {
-    ...jestConfig,
-    modulePathIgnorePatterns: ['<rootDir>/.localdevserver']
+const { jestConfig } = sfdxLwcJest;
+
+export default {
+  ...jestConfig,
+  modulePathIgnorePatterns: ["<rootDir>/.localdevserver"],
+  // scripts のテストは jest.scripts.config.js で実行する
+  testPathIgnorePatterns: [
+    ...jestConfig.testPathIgnorePatterns,
+    "<rootDir>/scripts/"
+  ]
 };
@@ -0,0 +1,8 @@
+// scripts(Node.jsのツール)の単体テスト。ESMのままテストするため npm run test:scripts で実行する
+export default {
+  testEnvironment: "node",
+  roots: ["<rootDir>/scripts"],
+  testMatch: ["**/__tests__/**/*.test.js"],
+  transform: {},
+  resolver: "<rootDir>/jest.scripts.resolver.cjs"
+};
@@ -0,0 +1,11 @@
+// Jest 27はpackage.jsonのexportsを解決できないため、exportsのimport条件のファイルをmainとして扱う
+// (fast-xml-parser v5などESMとCommonJSの両方を提供するパッケージをESMとして読み込む)
+module.exports = (request, options) =>
+  options.defaultResolver(request, {
+    ...options,
+    packageFilter: (pkg) => {
+      const entry = pkg.exports?.["."]?.import;
+      const main = typeof entry === "string" ? entry : entry?.default;
+      return main ? { ...pkg, main } : pkg;
+    }
+  });
@@ -1,113 +1,281 @@
-import fs from "fs";
+import fs from "fs/promises";
 import path from "path";
-import { exec } from "child_process";
-import { fileURLToPath } from "url";
-import inquirer from "inquirer";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const basePermissionsetsPath = path.resolve(
-  __dirname,
-  "../.design/permissionsets"
-);
-
-async function extractTableData() {
-  const folderChoices = fs
-    .readdirSync(basePermissionsetsPath, { withFileTypes: true })
-    .filter((dirent) => dirent.isDirectory())
-    .map((dirent) => dirent.name);
-
-  const folderAnswer = await inquirer.prompt([
-    {
-      type: "list",
-      name: "selectedFolder",
-      message: "Select a folder:",
-      choices: folderChoices
-    }
-  ]);
+import { parseArgs } from "util";
+import { select, checkbox } from "@inquirer/prompts";
+import { parseMarkdownTables } from "./lib/markdown-table.js";
+import { TABLE_FORMATS, formatTables } from "./lib/table-format.js";
+import { ClipboardError, copyToClipboard } from "./lib/clipboard.js";
+import {
+  CONFIG_FILE_NAME,
+  ConfigError,
+  loadProjectConfig
+} from "./lib/project-config.js";
 
-  const selectedFolderPath = path.resolve(
-    basePermissionsetsPath,
-    folderAnswer.selectedFolder
-  );
+// 対話形式で選択する設計書のフォルダ(generate-design の出力先)
+const DESIGN_FOLDERS = [
+  "permissionsets",
+  "profiles",
+  "permissionsetgroups",
+  "personas"
+];
+
+const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  INVALID_ARGUMENTS: 2,
+  NO_TABLES: 3,
+  CLIPBOARD_UNAVAILABLE: 4
+};
+
+const USAGE = `Usage:
+  npm run sf:extract-permissions -- [<file or folder>...] [options]
+
+設計書Markdownの表をTSV・CSV・JSONで書き出します。
+ファイル・フォルダを指定した場合は、プロンプトを表示せずにすべての表(--table で絞り込み)を
+書き出します。フォルダを指定した場合は配下のすべての .md が対象です。
+指定しない場合は、設計書のフォルダ(設定ファイルの outDir)の権限セット・プロファイルなどのフォルダ、設計書、表を選択します。
+
+Options:
+  --table <n|text>      対象の表(1から始まる番号、または見出し・ファイル名の一部。複数指定可)
+  --format <format>     出力形式 (${TABLE_FORMATS.join(" / ")}、default: tsv)
+  --output <path>       ファイルに書き出す
+  --stdout              標準出力に書き出す(ファイル・フォルダを指定した場合のデフォルト)
+  --clipboard           クリップボードにコピー(対話形式のデフォルト)
+                        pbcopy / clip.exe / wl-copy / xclip / xsel のいずれかを使用
+  --design-dir <dir>    対話形式で選択する設計書のフォルダ (default: 設定ファイルの outDir)
+  --config <path>       設定ファイルのパス (default: ${CONFIG_FILE_NAME})
+  -h, --help            このヘルプを表示
+
+Exit codes:
+  ${EXIT_CODES.SUCCESS}  成功
+  ${EXIT_CODES.ERROR}  想定外のエラー
+  ${EXIT_CODES.INVALID_ARGUMENTS}  引数が不正
+  ${EXIT_CODES.NO_TABLES}  対象の表が見つからない
+  ${EXIT_CODES.CLIPBOARD_UNAVAILABLE}  クリップボードにコピーできない`;
+
+class ExtractPermissionsError extends Error {
+  constructor(message, exitCode = EXIT_CODES.ERROR) {
+    super(message);
+    this.name = "ExtractPermissionsError";
+    this.exitCode = exitCode;
+  }
+}
+
+function parseCliOptions(args) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      options: {
+        table: { type: "string", multiple: true, default: [] },
+        format: { type: "string", default: "tsv" },
+        output: { type: "string" },
+        stdout: { type: "boolean", default: false },
+        clipboard: { type: "boolean", default: false },
+        "design-dir": { type: "string" },
+        config: { type: "string" },
+        help: { type: "boolean", short: "h", default: false }
+      },
+      allowPositionals: true
+    });
+  } catch (error) {
+    throw new ExtractPermissionsError(
+      `${error.message}\n\n${USAGE}`,
+      EXIT_CODES.INVALID_ARGUMENTS
+    );
+  }
+
+  const { values, positionals } = parsed;
+  if (!TABLE_FORMATS.includes(values.format)) {
+    throw new ExtractPermissionsError(
+      `--format must be one of ${TABLE_FORMATS.join(", ")}: ${values.format}\n\n${USAGE}`,
+      EXIT_CODES.INVALID_ARGUMENTS
+    );
+  }
+
+  const interactive = positionals.length === 0;
+  // 出力先の指定がなければ、対話形式はクリップボード、それ以外は標準出力
+  const toStdout =
+    values.stdout || (!values.output && !values.clipboard && !interactive);
+  return {
+    paths: positionals,
+    tables: values.table,
+    format: values.format,
+    output: values.output,
+    stdout: toStdout,
+    clipboard: values.clipboard || (!values.output && !toStdout),
+    designDir: values["design-dir"],
+    configPath: values.config,
+    interactive,
+    help: values.help
+  };
+}
+
+async function listMarkdownFiles(targetPath) {
+  let stat;
+  try {
+    stat = await fs.stat(targetPath);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new ExtractPermissionsError(
+        `File or folder not found: ${targetPath}`,
+        EXIT_CODES.INVALID_ARGUMENTS
+      );
+    }
+    throw error;
+  }
+  if (stat.isFile()) return [targetPath];
 
-  const fileChoices = fs
-    .readdirSync(selectedFolderPath)
-    .filter((file) => file.endsWith(".md"));
+  const files = [];
+  const entries = await fs.readdir(targetPath, { withFileTypes: true });
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const entryPath = path.join(targetPath, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await listMarkdownFiles(entryPath)));
+    } else if (entry.name.endsWith(".md")) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
 
-  const fileAnswer = await inquirer.prompt([
-    {
-      type: "list",
-      name: "selectedFile",
-      message: "Select a file:",
-      choices: fileChoices
+async function readTables(files) {
+  const tables = [];
+  for (const file of files) {
+    const markdown = await fs.readFile(file, "utf-8");
+    for (const table of parseMarkdownTables(markdown)) {
+      tables.push({
+        file,
+        heading: table.heading.replace(/\(table data\)$/, ""),
+        headers: table.headers,
+        rows: table.rows
+      });
     }
-  ]);
+  }
+  return tables;
+}
 
-  const markdownFilePath = path.resolve(
-    selectedFolderPath,
-    fileAnswer.selectedFile
+// 「2」は2番目の表、それ以外は見出し・ファイル名に含まれる文字列で絞り込む
+function filterTables(tables, selectors) {
+  if (selectors.length === 0) return tables;
+  return tables.filter((table, index) =>
+    selectors.some((selector) =>
+      /^\d+$/.test(selector)
+        ? Number(selector) === index + 1
+        : table.heading.includes(selector) || table.file.includes(selector)
+    )
   );
+}
 
-  fs.readFile(markdownFilePath, "utf8", (err, data) => {
-    if (err) {
-      console.error("Error reading the markdown file:", err);
-      process.exit(1);
-      return;
+async function listDesignFolders(designDir) {
+  const folders = [];
+  for (const folder of DESIGN_FOLDERS) {
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(designDir, folder), {
+        withFileTypes: true
+      });
+    } catch (error) {
+      if (error.code === "ENOENT") continue;
+      throw error;
     }
+    entries
+      .filter((entry) => entry.isDirectory())
+      .forEach((entry) => folders.push(path.join(folder, entry.name)));
+  }
+  return folders;
+}
 
-    // Regular expression to match the table
-    const tableRegex = /\|(.*)\|\n\|:--+(?:\|:--+)+\|\n((?:\|.*\|\n?)+)/;
-    const tableMatch = data.match(tableRegex);
+async function promptTables(designDir, selectors) {
+  const folders = await listDesignFolders(designDir);
+  if (folders.length === 0) {
+    throw new ExtractPermissionsError(
+      `No design folders found in ${designDir}. Run "npm run sf:generate:design" first.`,
+      EXIT_CODES.NO_TABLES
+    );
+  }
+  const folder = await select({
+    message: "Select a folder:",
+    choices: folders.map((value) => ({ value }))
+  });
+
+  const folderPath = path.join(designDir, folder);
+  const files = (await fs.readdir(folderPath)).filter((file) =>
+    file.endsWith(".md")
+  );
+  const file = await select({
+    message: "Select a file:",
+    choices: files.map((value) => ({ value }))
+  });
 
-    console.log("data:", data);
-    console.log("tableMatch:", tableMatch);
+  const tables = await readTables([path.join(folderPath, file)]);
+  if (tables.length <= 1) return tables;
+  // --table で指定した表を選択済みにする
+  const selected = filterTables(tables, selectors);
+  return checkbox({
+    message: "Select tables (Spaceキーで選択/解除):",
+    choices: tables.map((table) => ({
+      name: `${table.heading} (${table.rows.length} rows)`,
+      value: table,
+      checked: selected.includes(table)
+    })),
+    required: true
+  });
+}
 
-    if (!tableMatch) {
-      console.error("No table found in the markdown file.");
-      process.exit(1);
+async function main() {
+  try {
+    const options = parseCliOptions(process.argv.slice(2));
+    if (options.help) {
+      console.log(USAGE);
       return;
     }
+    // 標準出力に書き出す場合は、進捗を標準エラーに出す
+    const log = options.stdout ? console.error : console.log;
 
-    const headerRow = tableMatch[1].trim();
-    const headerCells = headerRow
-      .split("|")
-      .map((cell) => cell.trim())
-      .filter((cell) => cell.length > 0);
-    const outputHeader = headerCells.join("\t") + "\n";
-
-    const tableData = tableMatch[2].trim();
-    const rows = tableData
-      .trim()
-      .split(/\r?\n/)
-      .map((row) => row.trim())
-      .filter((row) => row.startsWith("|"))
-      .filter((row) => !row.includes("|:--"));
-    const filteredRows = rows.filter((row) => row.length > 0);
-    console.log("rows:", filteredRows);
-
-    let output = outputHeader;
-
-    rows.forEach((row) => {
-      const cells = row
-        .split("|")
-        .map((cell) => cell.trim())
-        .slice(1, -1);
-      output += cells.join("\t") + "\n";
-    });
-
-    // Copy to clipboard using pbcopy
-    exec(`echo "${output}" | pbcopy`, (error, stdout, stderr) => {
-      if (error) {
-        console.error("Error copying to clipboard:", error);
-        process.exit(1);
-        return;
+    let tables;
+    if (options.interactive) {
+      const designDir =
+        options.designDir ??
+        (await loadProjectConfig(options.configPath)).outDir;
+      tables = await promptTables(designDir, options.tables);
+    } else {
+      const files = [];
+      for (const targetPath of options.paths) {
+        files.push(...(await listMarkdownFiles(targetPath)));
       }
-      console.log("Table data copied to clipboard!");
-      console.log("Output:", output); // Log the output
-    });
-  });
+      tables = filterTables(await readTables(files), options.tables);
+    }
+    if (tables.length === 0) {
+      throw new ExtractPermissionsError(
+        "No tables found in the markdown file(s).",
+        EXIT_CODES.NO_TABLES
+      );
+    }
+
+    const output = formatTables(tables, options.format);
+    if (options.output) {
+      await fs.mkdir(path.dirname(options.output), { recursive: true });
+      await fs.writeFile(options.output, output);
+      log(`Wrote ${tables.length} table(s) to ${options.output}`);
+    }
+    if (options.clipboard) {
+      const command = copyToClipboard(output);
+      log(`Copied ${tables.length} table(s) to clipboard (${command})`);
+    }
+    if (options.stdout) {
+      process.stdout.write(output);
+    }
+  } catch (error) {
+    console.error("Error:", error.message);
+    let exitCode = error.exitCode ?? EXIT_CODES.ERROR;
+    if (error instanceof ClipboardError) {
+      exitCode = EXIT_CODES.CLIPBOARD_UNAVAILABLE;
+    } else if (error instanceof ConfigError) {
+      exitCode = EXIT_CODES.INVALID_ARGUMENTS;
+    }
+    process.exit(exitCode);
+  }
 }
 
-extractTableData();
+main();
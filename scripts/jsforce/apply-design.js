@@ -0,0 +1,486 @@
+import fs from "fs/promises";
+import path from "path";
+import { parseArgs } from "util";
+import { parseMarkdownTables } from "../lib/markdown-table.js";
+import {
+  getMetadataMembersFromPackageXml,
+  resolveSourceFile
+} from "../lib/package-manifest.js";
+import {
+  parsePermissionMetadataDocument,
+  buildPermissionMetadataXml,
+  parseObjectPermission,
+  parseFieldPermission
+} from "../lib/permission-metadata.js";
+import {
+  WARNING_HEADERS,
+  getColumnHeaders,
+  getValueHeaders
+} from "../lib/design-locale.js";
+import {
+  CONFIG_FILE_NAME,
+  ConfigError,
+  loadProjectConfig
+} from "../lib/project-config.js";
+
+// 設計書のフォルダ(設定ファイルの outDir)からの一覧設計書のパス
+const SUMMARY_DESIGN_DIR = path.join("permissionsets", "all");
+const PERMISSION_SET_DIR = "permissionsets";
+
+const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  INVALID_ARGUMENTS: 2
+};
+
+// 設計書の表の種類ごとのキー列(列ID)。列名は生成時の言語(--lang)のいずれでもよい
+const OBJECT_KEY_COLUMNS = ["objectLabel", "objectName"];
+const FIELD_KEY_COLUMNS = [...OBJECT_KEY_COLUMNS, "fieldLabel", "fieldName"];
+// オブジェクト・項目権限以外の表(レコードタイプなど)を見分けるためのキー列
+const OTHER_KEY_COLUMNS = [
+  "tabLabel",
+  "tabName",
+  "recordTypeLabel",
+  "recordTypeName",
+  "category",
+  "permissionLabel",
+  "permissionAltLabel",
+  "permissionName",
+  "memberName"
+];
+
+const USAGE = `Usage: npm run sf:apply:design -- [options] [design file or folder...]
+
+設計書(object-permissions.md / field-permissions.md)の内容を
+権限セットのメタデータXMLに反映します。
+パスを省略した場合は <設定ファイルの outDir>/${SUMMARY_DESIGN_DIR} の一覧設計書を読み込みます。
+
+Options:
+  --permission-set <name>   個別の設計書を反映する権限セット(省略時はフォルダ名)
+  --manifest <path>         package.xmlのパス(複数指定可、default: 設定ファイルの manifest)
+  --source-dir <dir>        権限セットXMLのフォルダ(複数指定可)
+                            (default: 設定ファイルの sourceDirs の ${PERMISSION_SET_DIR})
+                            既存のXMLはすべてのフォルダから探し、新しいXMLは先頭のフォルダに作成
+  --config <path>           設定ファイルのパス (default: ${CONFIG_FILE_NAME})
+  --dry-run                 XMLを書き換えずに変更内容のみ表示
+  --json                    変更内容をJSONで出力
+  -h, --help                このヘルプを表示`;
+
+class ApplyDesignError extends Error {
+  constructor(message, exitCode = EXIT_CODES.ERROR) {
+    super(message);
+    this.name = "ApplyDesignError";
+    this.exitCode = exitCode;
+  }
+}
+
+function parseCliOptions(args) {
+  try {
+    const { values, positionals } = parseArgs({
+      args,
+      options: {
+        "permission-set": { type: "string" },
+        manifest: { type: "string", multiple: true, default: [] },
+        "source-dir": { type: "string", multiple: true, default: [] },
+        config: { type: "string" },
+        "dry-run": { type: "boolean", default: false },
+        json: { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false }
+      },
+      allowPositionals: true
+    });
+    return {
+      designPaths: positionals,
+      permissionSet: values["permission-set"],
+      manifestPaths: values.manifest,
+      sourceDirs: values["source-dir"],
+      configPath: values.config,
+      dryRun: values["dry-run"],
+      json: values.json,
+      help: values.help
+    };
+  } catch (error) {
+    throw new ApplyDesignError(
+      `${error.message}\n\n${USAGE}`,
+      EXIT_CODES.INVALID_ARGUMENTS
+    );
+  }
+}
+
+// フォルダが指定された場合は、その中のオブジェクト・項目権限の設計書を対象にする
+async function resolveDesignFiles(designPaths) {
+  const files = [];
+  for (const designPath of designPaths) {
+    const stat = await fs.stat(designPath).catch(() => null);
+    if (!stat) {
+      throw new ApplyDesignError(
+        `Design file not found: ${designPath}`,
+        EXIT_CODES.INVALID_ARGUMENTS
+      );
+    }
+    if (stat.isDirectory()) {
+      for (const baseName of [
+        "object-permissions.md",
+        "field-permissions.md"
+      ]) {
+        const filePath = path.join(designPath, baseName);
+        if (await fs.stat(filePath).catch(() => null)) files.push(filePath);
+      }
+    } else {
+      files.push(designPath);
+    }
+  }
+  return files;
+}
+
+// 複数のフォルダにない権限セットは先頭のフォルダに作成する
+function permissionSetFilePath(sourceDirs, permissionSetName) {
+  return resolveSourceFile(
+    sourceDirs,
+    `${permissionSetName}.permissionset-meta.xml`
+  );
+}
+
+// コマンドラインで指定していない項目は設定ファイル(permission-design.config.json)の値を使う
+async function applyProjectConfig(options) {
+  const config = await loadProjectConfig(options.configPath);
+  return {
+    ...options,
+    designPaths:
+      options.designPaths.length > 0
+        ? options.designPaths
+        : [path.join(config.outDir, SUMMARY_DESIGN_DIR)],
+    manifestPaths:
+      options.manifestPaths.length > 0
+        ? options.manifestPaths
+        : config.manifestPaths,
+    sourceDirs:
+      options.sourceDirs.length > 0
+        ? options.sourceDirs
+        : config.sourceDirs.map((dir) => path.join(dir, PERMISSION_SET_DIR))
+  };
+}
+
+// 一覧設計書の列見出し(ラベル)から権限セットのAPI名を引けるようにする
+async function loadPermissionSetLabels(manifestPaths, sourceDirs) {
+  const labels = new Map();
+  let permissionSets = [];
+  try {
+    // membersの * は権限セットXMLのフォルダの親をソースのルートとして展開する
+    permissionSets = await getMetadataMembersFromPackageXml(
+      "PermissionSet",
+      manifestPaths,
+      { sourceDir: sourceDirs.map((dir) => path.dirname(dir)) }
+    );
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+
+  for (const name of permissionSets) {
+    labels.set(name, name);
+    try {
+      const document = parsePermissionMetadataDocument(
+        await fs.readFile(
+          await permissionSetFilePath(sourceDirs, name),
+          "utf-8"
+        )
+      );
+      const label = document.PermissionSet?.label;
+      if (label) labels.set(label, name);
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+  return labels;
+}
+
+// 列IDごとの列の位置: { objectName: 1, ... }(表にない列は含めない)
+function findKeyColumns(headers, columnIds) {
+  const indexes = {};
+  for (const columnId of columnIds) {
+    const index = headers.findIndex((header) =>
+      getColumnHeaders(columnId).includes(header)
+    );
+    if (index !== -1) indexes[columnId] = index;
+  }
+  return indexes;
+}
+
+// 設計書の表を { 権限セット名: { objects, fields } } の形に読み替える
+// (describeから項目を取得した設計書はオブジェクトごとに表が分かれている)
+async function readDesignFile(filePath, options, labels, desired, skipped) {
+  const markdownContent = await fs.readFile(filePath, "utf-8");
+  const tables = parseMarkdownTables(markdownContent);
+  if (tables.length === 0) {
+    skipped.push({ file: filePath, reason: "no table found" });
+    return;
+  }
+  for (const table of tables) {
+    readDesignTable(table, filePath, options, labels, desired, skipped);
+  }
+}
+
+function addSkipped(skipped, file, reason) {
+  if (!skipped.some((s) => s.file === file && s.reason === reason)) {
+    skipped.push({ file, reason });
+  }
+}
+
+// テンプレートで列を並べ替えた設計書も読めるよう、キー列・権限の列は列名で見分ける
+function readDesignTable(table, filePath, options, labels, desired, skipped) {
+  const keyColumns = findKeyColumns(table.headers, [
+    ...FIELD_KEY_COLUMNS,
+    ...OTHER_KEY_COLUMNS
+  ]);
+  if (
+    OTHER_KEY_COLUMNS.some((columnId) => columnId in keyColumns) ||
+    !("objectName" in keyColumns)
+  ) {
+    addSkipped(skipped, filePath, "unsupported table");
+    return;
+  }
+  const kind = "fieldName" in keyColumns ? "fields" : "objects";
+  const keyIndexes = Object.values(keyColumns);
+
+  // 生成時に追加される警告列と、値がすべて空の列(テンプレートで追加した備考欄など)は反映の対象外
+  const permissionColumns = table.headers
+    .map((header, index) => ({ header, index }))
+    .filter(
+      ({ header, index }) =>
+        !keyIndexes.includes(index) &&
+        !WARNING_HEADERS.includes(header) &&
+        !table.rows.every((row) => !row[index])
+    );
+
+  // 個別の設計書は「権限」列に値があり、対象はフォルダ名(または--permission-set)
+  const valueHeaders = getValueHeaders(
+    kind === "fields" ? "field-permissions" : "object-permissions"
+  );
+  const valueColumn = permissionColumns.find(({ header }) =>
+    valueHeaders.includes(header)
+  );
+  const isIndividual = Boolean(valueColumn);
+  const objectIndex = keyColumns.objectName;
+  const fieldIndex = keyColumns.fieldName;
+
+  for (const { header, index } of isIndividual
+    ? [valueColumn]
+    : permissionColumns) {
+    let target;
+    if (isIndividual) {
+      const folder = path.dirname(path.resolve(filePath));
+      const parent = path.basename(path.dirname(folder));
+      target =
+        parent === "profiles" || parent === "permissionsetgroups"
+          ? null
+          : options.permissionSet || path.basename(folder);
+    } else {
+      target = labels.get(header) || null;
+    }
+    if (!target) {
+      addSkipped(
+        skipped,
+        filePath,
+        `column "${header}" is not a permission set in the manifest`
+      );
+      continue;
+    }
+    if (!desired.has(target)) {
+      desired.set(target, {
+        label: isIndividual ? null : header,
+        objects: new Map(),
+        fields: new Map()
+      });
+    }
+
+    for (const row of table.rows) {
+      const value = row[index];
+      const objName = row[objectIndex];
+      if (kind === "objects") {
+        const flags = parseObjectPermission(value);
+        if (!flags) {
+          throw new ApplyDesignError(
+            `Invalid object permission "${value}" for ${objName} in ${filePath}`
+          );
+        }
+        desired.get(target).objects.set(objName, flags);
+      } else {
+        const fieldName = `${objName}.${row[fieldIndex]}`;
+        const flags = parseFieldPermission(value);
+        if (!flags) {
+          throw new ApplyDesignError(
+            `Invalid field permission "${value}" for ${fieldName} in ${filePath}`
+          );
+        }
+        desired.get(target).fields.set(fieldName, flags);
+      }
+    }
+  }
+}
+
+function newPermissionSetDocument(name, label) {
+  return {
+    "?xml": { "@_version": "1.0", "@_encoding": "UTF-8" },
+    PermissionSet: {
+      "@_xmlns": "http://soap.sforce.com/2006/04/metadata",
+      hasActivationRequired: "false",
+      label: label || name
+    }
+  };
+}
+
+// 既存の権限を更新し、存在しない権限は付与がある場合のみ追加する
+function mergePermissions(entries, keyName, desiredMap, section, changes) {
+  for (const [key, flags] of desiredMap) {
+    const entry = entries.find((e) => e[keyName] === key);
+    if (entry) {
+      const details = [];
+      for (const [flag, value] of Object.entries(flags)) {
+        const current = entry[flag] === "true";
+        if (current !== value) {
+          details.push({ flag, from: current, to: value });
+          entry[flag] = String(value);
+        }
+      }
+      if (details.length > 0) {
+        changes.push({ section, name: key, change: "updated", details });
+      }
+    } else if (Object.values(flags).some(Boolean)) {
+      const newEntry = { [keyName]: key };
+      for (const [flag, value] of Object.entries(flags)) {
+        newEntry[flag] = String(value);
+      }
+      entries.push(newEntry);
+      changes.push({
+        section,
+        name: key,
+        change: "added",
+        details: Object.entries(flags).map(([flag, value]) => ({
+          flag,
+          from: false,
+          to: value
+        }))
+      });
+    }
+  }
+  entries.sort((a, b) =>
+    a[keyName] < b[keyName] ? -1 : a[keyName] > b[keyName] ? 1 : 0
+  );
+}
+
+async function applyToPermissionSet(name, design, options) {
+  const filePath = await permissionSetFilePath(options.sourceDirs, name);
+  let document;
+  let created = false;
+  try {
+    document = parsePermissionMetadataDocument(
+      await fs.readFile(filePath, "utf-8")
+    );
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+    document = newPermissionSetDocument(name, design.label);
+    created = true;
+  }
+
+  const root = document.PermissionSet;
+  const changes = [];
+  root.objectPermissions = root.objectPermissions || [];
+  root.fieldPermissions = root.fieldPermissions || [];
+  mergePermissions(
+    root.objectPermissions,
+    "object",
+    design.objects,
+    "objectPermissions",
+    changes
+  );
+  mergePermissions(
+    root.fieldPermissions,
+    "field",
+    design.fields,
+    "fieldPermissions",
+    changes
+  );
+  // 空の要素を出力しないようにする
+  if (root.objectPermissions.length === 0) delete root.objectPermissions;
+  if (root.fieldPermissions.length === 0) delete root.fieldPermissions;
+
+  if (changes.length > 0 && !options.dryRun) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buildPermissionMetadataXml(document));
+  }
+  return { permissionSet: name, file: filePath, created, changes };
+}
+
+function formatReport(results, skipped, dryRun) {
+  const lines = [];
+  for (const result of results) {
+    if (result.changes.length === 0) {
+      lines.push(`${result.permissionSet}: no changes`);
+      continue;
+    }
+    lines.push(
+      `${result.permissionSet}: ${result.changes.length} change(s)${
+        result.created ? " (new file)" : ""
+      } -> ${result.file}`
+    );
+    for (const change of result.changes) {
+      const details = change.details
+        .filter((d) => d.from !== d.to)
+        .map((d) => `${d.flag} ${d.from} -> ${d.to}`)
+        .join(", ");
+      lines.push(
+        `  [${change.change}] ${change.section} ${change.name}: ${details}`
+      );
+    }
+  }
+  for (const skip of skipped) {
+    lines.push(`Skipped ${skip.file}: ${skip.reason}`);
+  }
+  if (dryRun) lines.push("(dry run: no files were written)");
+  return lines.join("\n");
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseCliOptions(process.argv.slice(2));
+    if (options.help) {
+      console.log(USAGE);
+      return;
+    }
+    options = await applyProjectConfig(options);
+
+    const files = await resolveDesignFiles(options.designPaths);
+    const labels = await loadPermissionSetLabels(
+      options.manifestPaths,
+      options.sourceDirs
+    );
+    const desired = new Map();
+    const skipped = [];
+    for (const file of files) {
+      await readDesignFile(file, options, labels, desired, skipped);
+    }
+
+    const results = [];
+    for (const [name, design] of desired) {
+      results.push(await applyToPermissionSet(name, design, options));
+    }
+
+    if (options.json) {
+      console.log(
+        JSON.stringify({ dryRun: options.dryRun, results, skipped }, null, 2)
+      );
+    } else {
+      console.log(formatReport(results, skipped, options.dryRun));
+    }
+  } catch (error) {
+    console.error("Error:", error.message);
+    process.exit(
+      error instanceof ConfigError
+        ? EXIT_CODES.INVALID_ARGUMENTS
+        : (error.exitCode ?? EXIT_CODES.ERROR)
+    );
+  }
+}
+
+main();
@@ -1,12 +1,31 @@
 #!/usr/bin/env node
-import jsforce from "jsforce";
 import fs from "fs";
 import path from "path";
+import { parseArgs } from "util";
 import { checkbox, confirm } from "@inquirer/prompts";
-import { XMLParser } from "fast-xml-parser";
 import dotenv from "dotenv";
 import { fileURLToPath } from "url";
 import { dirname } from "path";
+import {
+  getManifestMembers,
+  matchesWildcard
+} from "../lib/package-manifest.js";
+import {
+  formatDescribeCache,
+  getDescribeFilePath,
+  selectStaleDescribeObjects
+} from "../lib/describe-data.js";
+import {
+  SalesforceAuthError,
+  connectSalesforce,
+  resolveAuthOptions
+} from "../lib/salesforce-connection.js";
+import {
+  CONFIG_FILE_NAME,
+  CONFIG_SCHEMA,
+  ConfigError,
+  loadProjectConfig
+} from "../lib/project-config.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -14,32 +33,205 @@ const __dirname = dirname(__filename);
 // プロジェクトルートの.envファイルから環境変数をロード
 dotenv.config({ path: path.join(__dirname, "../../.env") });
 
-// Salesforce認証情報（環境変数から取得）
-const username = process.env.SF_USERNAME;
-const password = process.env.SF_PASSWORD;
-const securityToken = process.env.SF_SECURITY_TOKEN || "";
-const loginUrl = process.env.SF_LOGIN_URL || "https://login.salesforce.com";
+// 並列で実行するdescribeの数の既定値
+const DEFAULT_CONCURRENCY = 5;
 
-// コマンドライン引数から出力先ディレクトリを取得（指定がなければ'./output'を使用）
-const targetDir = process.argv[2] || "./output";
+// 非対話モードで返す終了コード
+const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  INVALID_ARGUMENTS: 2,
+  MISSING_CREDENTIALS: 3,
+  NO_OBJECTS: 4,
+  AUTH_FAILED: 5
+};
 
-if (!username || !password || !securityToken) {
+const USAGE = `Usage: npm run sf:describe:object -- [options] [outputDir]
+
+--object / --from-manifest / --manifest / --refresh-stale のいずれかを指定すると、
+プロンプトを表示せずにdescribe情報を取得します。
+describe情報は取得元の組織ID・APIバージョン・取得日時とあわせて保存します。
+
+Options:
+  --object <name>        describeを実行するオブジェクト(複数指定可)
+  --from-manifest        package.xmlのCustomObjectをdescribe
+  --manifest <path>      --from-manifestで読み込むpackage.xmlのパス
+                         (複数指定可、default: 設定ファイルの manifest)
+  --refresh-stale <days> 保存済みのdescribe情報のうち、指定した日数より古いもの・
+                         取得元の組織が異なるものを取り直す
+                         (--object / --from-manifest と併用すると、その中の
+                         未取得・古いものだけを取得)
+  --concurrency <n>      並列で実行するdescribeの数 (default: ${DEFAULT_CONCURRENCY})
+  --out <dir>            出力先ディレクトリ (default: 設定ファイルの describeDir)
+  --api-version <ver>    describeに使うAPIバージョン (例: 63.0、default: 設定ファイルの apiVersion)
+  --config <path>        設定ファイルのパス (default: ${CONFIG_FILE_NAME})
+  -h, --help             このヘルプを表示
+
+Authentication (上から順に、指定されているものを使用):
+  --target-org <alias>   Salesforce CLI(sf)でログイン済みの組織を使用 (env: SF_TARGET_ORG)
+  --jwt-key-file <path>  JWTベアラーフローの秘密鍵 (env: SF_JWT_KEY_FILE)
+  --client-id <id>       JWTベアラーフローの接続アプリケーションのコンシューマ鍵 (env: SF_CLIENT_ID)
+  --username <name>      JWTベアラーフローのユーザー名 (env: SF_USERNAME)
+  --instance-url <url>   SF_ACCESS_TOKEN と組み合わせるインスタンスURL (env: SF_INSTANCE_URL)
+  環境変数 SF_ACCESS_TOKEN / SF_INSTANCE_URL でアクセストークンを直接指定
+  環境変数 SF_USERNAME / SF_PASSWORD / SF_SECURITY_TOKEN でパスワードログイン
+
+Exit codes:
+  ${EXIT_CODES.SUCCESS}  成功
+  ${EXIT_CODES.ERROR}  想定外のエラー(一部のオブジェクトの取得に失敗した場合を含む)
+  ${EXIT_CODES.INVALID_ARGUMENTS}  引数が不正
+  ${EXIT_CODES.MISSING_CREDENTIALS}  認証情報が設定されていない
+  ${EXIT_CODES.NO_OBJECTS}  package.xmlにCustomObjectが存在しない
+  ${EXIT_CODES.AUTH_FAILED}  Salesforceへの接続に失敗`;
+
+function parsePositiveNumber(optionName, value, integer = false) {
+  const number = Number(value);
+  if (!(number > 0) || (integer && !Number.isInteger(number))) {
+    throw new Error(
+      `${optionName} must be a positive ${integer ? "integer" : "number"}: ${value}`
+    );
+  }
+  return number;
+}
+
+let cliOptions;
+try {
+  const { values, positionals } = parseArgs({
+    options: {
+      object: { type: "string", multiple: true, default: [] },
+      "from-manifest": { type: "boolean", default: false },
+      manifest: { type: "string", multiple: true, default: [] },
+      "refresh-stale": { type: "string" },
+      concurrency: { type: "string" },
+      "target-org": { type: "string" },
+      "jwt-key-file": { type: "string" },
+      "client-id": { type: "string" },
+      username: { type: "string" },
+      "instance-url": { type: "string" },
+      out: { type: "string" },
+      "api-version": { type: "string" },
+      config: { type: "string" },
+      help: { type: "boolean", short: "h", default: false }
+    },
+    allowPositionals: true
+  });
+  const { pattern, example } = CONFIG_SCHEMA.apiVersion;
+  if (
+    values["api-version"] !== undefined &&
+    !pattern.test(values["api-version"])
+  ) {
+    throw new Error(
+      `--api-version must be like "${example}": ${values["api-version"]}`
+    );
+  }
+  const config = await loadProjectConfig(values.config);
+  cliOptions = {
+    objects: values.object,
+    manifestPaths:
+      values.manifest.length > 0 ? values.manifest : config.manifestPaths,
+    fromManifest: values["from-manifest"] || values.manifest.length > 0,
+    refreshStaleDays:
+      values["refresh-stale"] === undefined
+        ? undefined
+        : parsePositiveNumber("--refresh-stale", values["refresh-stale"]),
+    concurrency:
+      values.concurrency === undefined
+        ? DEFAULT_CONCURRENCY
+        : parsePositiveNumber("--concurrency", values.concurrency, true),
+    authOptions: resolveAuthOptions({
+      targetOrg: values["target-org"],
+      jwtKeyFile: values["jwt-key-file"],
+      clientId: values["client-id"],
+      username: values.username,
+      instanceUrl: values["instance-url"],
+      apiVersion: values["api-version"] || config.apiVersion
+    }),
+    // コマンドライン引数から出力先ディレクトリを取得（指定がなければ設定ファイルのdescribeDirを使用）
+    targetDir: values.out || positionals[0] || config.describeDir,
+    help: values.help
+  };
+} catch (error) {
   console.error(
-    "環境変数 SF_USERNAME, SF_PASSWORD, SF_SECURITY_TOKEN を設定してください。"
+    error instanceof ConfigError
+      ? error.message
+      : `${error.message}\n\n${USAGE}`
   );
-  process.exit(1);
+  process.exit(EXIT_CODES.INVALID_ARGUMENTS);
+}
+
+if (cliOptions.help) {
+  console.log(USAGE);
+  process.exit(EXIT_CODES.SUCCESS);
 }
 
-const conn = new jsforce.Connection({ loginUrl });
+const interactive =
+  cliOptions.objects.length === 0 &&
+  !cliOptions.fromManifest &&
+  cliOptions.refreshStaleDays === undefined;
+const targetDir = cliOptions.targetDir;
+
+// package.xmlに記載されているCustomObjectのmembersを取得
+// (「*」「ns__*」などは組織のカスタムオブジェクトに展開する)
+async function getCustomObjectsFromPackageXml(manifestPaths, customObjects) {
+  const members = await getManifestMembers("CustomObject", manifestPaths);
+  const objectNames = members.flatMap((member) =>
+    member.includes("*")
+      ? customObjects
+          .map((obj) => obj.name)
+          .filter((name) => matchesWildcard(member, name))
+      : [member]
+  );
+  return [...new Set(objectNames)];
+}
+
+// itemsをconcurrency件ずつ並列に処理し、結果を { item, value } / { item, error } で返す
+async function mapWithConcurrency(items, concurrency, iteratee) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = {
+          item: items[index],
+          value: await iteratee(items[index])
+        };
+      } catch (error) {
+        results[index] = { item: items[index], error };
+      }
+    }
+  }
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, items.length) }, worker)
+  );
+  return results;
+}
+
+// 認証情報の不足・接続の失敗は、それぞれの終了コードで終了する
+async function connect() {
+  try {
+    return await connectSalesforce(cliOptions.authOptions);
+  } catch (error) {
+    if (!(error instanceof SalesforceAuthError)) throw error;
+    console.error(error.message);
+    process.exit(
+      error.code === "MISSING_CREDENTIALS"
+        ? EXIT_CODES.MISSING_CREDENTIALS
+        : EXIT_CODES.AUTH_FAILED
+    );
+  }
+}
 
 (async () => {
   try {
-    console.log("Salesforceにログイン中...");
-    const userInfo = await conn.login(username, password + securityToken);
-    console.log(`ログイン成功: ユーザID ${userInfo.id}`);
+    console.error("Salesforceにログイン中...");
+    const { conn, userInfo, method } = await connect();
+    console.error(
+      `ログイン成功: ユーザID ${userInfo.id} (認証方式: ${method})`
+    );
 
     // 組織の全オブジェクト一覧を取得
-    console.log("オブジェクト一覧を取得中...");
+    console.error("オブジェクト一覧を取得中...");
     const { sobjects } = await conn.describeGlobal();
 
     // オブジェクトを標準とカスタムに分類
@@ -59,46 +251,49 @@ const conn = new jsforce.Connection({ loginUrl });
         type: "カスタム"
       }));
 
-    // package.xmlからCustomObjectを読み込むかどうかを確認
-    const usePackageXml = await confirm({
-      message: "package.xmlに記載されているCustomObjectを選択しますか？"
-    });
-
     let selectedObjects;
-    if (usePackageXml) {
-      // package.xmlを読み込む
-      const packageXmlPath = path.join(__dirname, "../../manifest/package.xml");
-      const packageXmlContent = fs.readFileSync(packageXmlPath, "utf8");
-
-      // XMLをパース
-      const parser = new XMLParser();
-      const packageData = parser.parse(packageXmlContent);
-
-      // CustomObjectのmembersを取得
-      const customObjectTypes = packageData.Package.types;
-      const customObjectMembers = Array.isArray(customObjectTypes)
-        ? customObjectTypes.find((type) => type.name === "CustomObject")
-            ?.members || []
-        : customObjectTypes?.name === "CustomObject"
-          ? [customObjectTypes.members].flat()
-          : [];
-
-      if (customObjectMembers.length === 0) {
-        console.log("package.xmlにCustomObjectが見つかりませんでした。");
-        // 通常の選択画面に切り替え
+    if (cliOptions.objects.length > 0) {
+      selectedObjects = cliOptions.objects;
+    } else if (cliOptions.fromManifest) {
+      selectedObjects = await getCustomObjectsFromPackageXml(
+        cliOptions.manifestPaths,
+        customObjects
+      );
+      if (selectedObjects.length === 0) {
+        console.error(
+          `${cliOptions.manifestPaths.join(", ")}にCustomObjectが見つかりませんでした。`
+        );
+        process.exit(EXIT_CODES.NO_OBJECTS);
+      }
+    } else if (cliOptions.refreshStaleDays !== undefined) {
+      // 保存済みのすべてのオブジェクトから古いものを選ぶ
+      selectedObjects = null;
+    } else {
+      // package.xmlからCustomObjectを読み込むかどうかを確認
+      const usePackageXml = await confirm({
+        message: "package.xmlに記載されているCustomObjectを選択しますか？"
+      });
+
+      const customObjectMembers = usePackageXml
+        ? await getCustomObjectsFromPackageXml(
+            cliOptions.manifestPaths,
+            customObjects
+          )
+        : [];
+
+      if (usePackageXml && customObjectMembers.length === 0) {
+        console.error("package.xmlにCustomObjectが見つかりませんでした。");
+      }
+
+      if (customObjectMembers.length > 0) {
+        selectedObjects = customObjectMembers;
+      } else {
+        // 通常の選択画面を表示
         selectedObjects = await showObjectSelectionPrompt(
           standardObjects,
           customObjects
         );
-      } else {
-        selectedObjects = customObjectMembers;
       }
-    } else {
-      // 通常の選択画面を表示
-      selectedObjects = await showObjectSelectionPrompt(
-        standardObjects,
-        customObjects
-      );
     }
 
     // オブジェクト選択プロンプトを表示する関数
@@ -122,24 +317,79 @@ const conn = new jsforce.Connection({ loginUrl });
       });
     }
 
-    // 選択された各オブジェクトに対してdescribe情報を取得
-    for (const objectName of selectedObjects) {
-      console.log(`${objectName}オブジェクトのdescribe情報を取得中...`);
-      const meta = await conn.sobject(objectName).describe();
+    if (cliOptions.refreshStaleDays !== undefined) {
+      selectedObjects = await selectStaleDescribeObjects(selectedObjects, {
+        maxAgeDays: cliOptions.refreshStaleDays,
+        orgId: userInfo.organizationId,
+        describeDir: targetDir
+      });
+      console.error(
+        selectedObjects.length > 0
+          ? `取り直すオブジェクト: ${selectedObjects.join(", ")}`
+          : "取り直しが必要なdescribe情報はありません。"
+      );
+    }
 
-      if (!fs.existsSync(targetDir)) {
-        fs.mkdirSync(targetDir, { recursive: true });
+    // 選択された各オブジェクトに対してdescribe情報を並列に取得
+    if (!fs.existsSync(targetDir)) {
+      fs.mkdirSync(targetDir, { recursive: true });
+    }
+    const results = await mapWithConcurrency(
+      selectedObjects,
+      cliOptions.concurrency,
+      async (objectName) => {
+        console.error(`${objectName}オブジェクトのdescribe情報を取得中...`);
+        const meta = await conn.sobject(objectName).describe();
+        const cacheInfo = {
+          orgId: userInfo.organizationId,
+          instanceUrl: conn.instanceUrl,
+          apiVersion: conn.version,
+          fetchedAt: new Date().toISOString()
+        };
+        const outputPath = getDescribeFilePath(objectName, targetDir);
+        fs.writeFileSync(
+          outputPath,
+          formatDescribeCache(meta, cacheInfo),
+          "utf8"
+        );
+        console.error(
+          `${objectName}のdescribe情報を ${outputPath} に保存しました。`
+        );
+        return outputPath;
       }
-      const outputPath = path.join(targetDir, `${objectName}_describe.json`);
-      fs.writeFileSync(outputPath, JSON.stringify(meta, null, 2), "utf8");
+    );
+
+    const files = results.filter((r) => !r.error).map((r) => r.value);
+    const failed = results
+      .filter((r) => r.error)
+      .map((r) => ({ object: r.item, error: r.error.message }));
+    failed.forEach(({ object, error }) =>
+      console.error(`${object}のdescribe情報の取得に失敗しました: ${error}`)
+    );
+
+    if (failed.length === 0) {
+      console.error("すべての処理が完了しました。");
+    }
+    if (!interactive) {
+      // 非対話モードでは実行結果をJSONで出力する
       console.log(
-        `${objectName}のdescribe情報を ${outputPath} に保存しました。`
+        JSON.stringify(
+          {
+            status: failed.length === 0 ? "success" : "error",
+            objects: selectedObjects,
+            files,
+            failed
+          },
+          null,
+          2
+        )
       );
     }
-
-    console.log("すべての処理が完了しました。");
+    if (failed.length > 0) {
+      process.exit(EXIT_CODES.ERROR);
+    }
   } catch (err) {
     console.error("エラーが発生しました:", err);
-    process.exit(1);
+    process.exit(EXIT_CODES.ERROR);
   }
 })();
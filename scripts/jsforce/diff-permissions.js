@@ -0,0 +1,296 @@
+import fs from "fs/promises";
+import path from "path";
+import { parseArgs } from "util";
+import { execFileSync } from "child_process";
+import { IMAGE_FORMATS, getImageFileNames } from "../lib/table-layout.js";
+import { generateSvgImages } from "../lib/table-svg.js";
+import {
+  parsePermissionMetadataXml,
+  getMetadataRoot
+} from "../lib/permission-metadata.js";
+import {
+  comparePermissions,
+  buildDiffSections,
+  buildCriticalMarkdown
+} from "../lib/permission-diff.js";
+import {
+  DESIGN_LANGS,
+  getDesignLocale,
+  renderText
+} from "../lib/design-locale.js";
+import {
+  CONFIG_FILE_NAME,
+  ConfigError,
+  loadProjectConfig
+} from "../lib/project-config.js";
+
+// 設計書のフォルダ(設定ファイルの outDir)からのレポートの出力先
+const DIFFS_DIR = "diffs";
+
+const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  INVALID_ARGUMENTS: 2
+};
+
+const USAGE = `Usage:
+  npm run sf:diff:permissions -- <file> [--from <ref>] [--to <ref>] [options]
+  npm run sf:diff:permissions -- <old file> <new file> [options]
+
+権限セット(.permissionset-meta.xml)・プロファイル(.profile-meta.xml)の
+2つのリビジョン間の差分レポートをMarkdown/PNG(SVG)で出力します。
+ファイルを1つ指定した場合は git のリビジョン間(--from 省略時は HEAD、
+--to 省略時は作業ツリー)を比較します。
+
+Options:
+  --from <ref>        変更前のgitリビジョン (default: HEAD)
+  --to <ref>          変更後のgitリビジョン (default: 作業ツリー)
+  --out <dir>         レポートの出力先 (default: <設定ファイルの outDir>/${DIFFS_DIR}/<名前>)
+  --no-images         PNG・SVG画像を生成しない
+  --image-format <format>
+                      画像の形式 (${IMAGE_FORMATS.join(" / ")}、複数指定可、
+                      default: 設定ファイルの imageFormats)
+  --describe-dir <dir>
+                      ラベルを取得するdescribeデータのフォルダ
+                      (default: 設定ファイルの describeDir)
+  --lang <lang>       レポートの見出し・列名の言語 (${DESIGN_LANGS.join(" / ")}、
+                      default: 設定ファイルの lang)
+  --config <path>     設定ファイルのパス (default: ${CONFIG_FILE_NAME})
+  -h, --help          このヘルプを表示`;
+
+class DiffPermissionsError extends Error {
+  constructor(message, exitCode = EXIT_CODES.ERROR) {
+    super(message);
+    this.name = "DiffPermissionsError";
+    this.exitCode = exitCode;
+  }
+}
+
+function parseCliOptions(args) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      options: {
+        from: { type: "string" },
+        to: { type: "string" },
+        out: { type: "string" },
+        "no-images": { type: "boolean", default: false },
+        "image-format": { type: "string", multiple: true, default: [] },
+        "describe-dir": { type: "string" },
+        lang: { type: "string" },
+        config: { type: "string" },
+        help: { type: "boolean", short: "h", default: false }
+      },
+      allowPositionals: true
+    });
+  } catch (error) {
+    throw new DiffPermissionsError(
+      `${error.message}\n\n${USAGE}`,
+      EXIT_CODES.INVALID_ARGUMENTS
+    );
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+
+  const invalidFormats = values["image-format"].filter(
+    (format) => !IMAGE_FORMATS.includes(format)
+  );
+  if (invalidFormats.length > 0) {
+    throw new DiffPermissionsError(
+      `--image-format must be one of ${IMAGE_FORMATS.join(", ")}: ${invalidFormats.join(", ")}\n\n${USAGE}`,
+      EXIT_CODES.INVALID_ARGUMENTS
+    );
+  }
+
+  if (values.lang !== undefined && !DESIGN_LANGS.includes(values.lang)) {
+    throw new DiffPermissionsError(
+      `--lang must be one of ${DESIGN_LANGS.join(", ")}: ${values.lang}\n\n${USAGE}`,
+      EXIT_CODES.INVALID_ARGUMENTS
+    );
+  }
+
+  let base;
+  let head;
+  if (positionals.length === 1) {
+    base = { file: positionals[0], ref: values.from || "HEAD" };
+    head = { file: positionals[0], ref: values.to };
+  } else if (positionals.length === 2 && !values.from && !values.to) {
+    base = { file: positionals[0] };
+    head = { file: positionals[1] };
+  } else {
+    throw new DiffPermissionsError(
+      `Specify one file with git refs, or two files.\n\n${USAGE}`,
+      EXIT_CODES.INVALID_ARGUMENTS
+    );
+  }
+
+  const name = path
+    .basename(head.file)
+    .replace(/\.(permissionset|profile)-meta\.xml$/, "");
+  return {
+    base,
+    head,
+    name,
+    outDir: values.out,
+    images: !values["no-images"],
+    imageFormats: [...new Set(values["image-format"])],
+    describeDir: values["describe-dir"],
+    lang: values.lang,
+    configPath: values.config
+  };
+}
+
+// コマンドラインで指定していない項目は設定ファイル(permission-design.config.json)の値を使う
+async function applyProjectConfig(options) {
+  const config = await loadProjectConfig(options.configPath);
+  const imageFormats =
+    options.imageFormats.length > 0
+      ? options.imageFormats
+      : config.imageFormats;
+  return {
+    ...options,
+    outDir: options.outDir || path.join(config.outDir, DIFFS_DIR, options.name),
+    images: options.images && imageFormats.length > 0,
+    imageFormats,
+    describeDir: options.describeDir ?? config.describeDir,
+    lang: options.lang ?? config.lang
+  };
+}
+
+function describeRevision(revision) {
+  return revision.ref ? `${revision.ref}:${revision.file}` : revision.file;
+}
+
+// git show に渡すため、リポジトリのルートからのパスを求める(絶対パス・別のフォルダからの実行に対応)
+// 作業ツリーにないファイル(削除済みなど)は、存在する親フォルダからリポジトリを探す
+async function resolveRepositoryPath(file) {
+  const names = [path.basename(file)];
+  let dir = path.dirname(path.resolve(file));
+  while (!(await fs.stat(dir).catch(() => null))) {
+    names.unshift(path.basename(dir));
+    dir = path.dirname(dir);
+  }
+  // rev-parse はシンボリックリンクを解決したパスを返すため、比較するパスも揃える
+  const cwd = await fs.realpath(dir);
+  const root = execFileSync("git", ["rev-parse", "--show-toplevel"], {
+    cwd,
+    encoding: "utf-8",
+    stdio: ["ignore", "pipe", "pipe"]
+  }).trim();
+  return {
+    cwd,
+    repositoryPath: path
+      .relative(root, path.join(cwd, ...names))
+      .split(path.sep)
+      .join("/")
+  };
+}
+
+// gitのリビジョンまたはファイルからXMLを読み込む(存在しない場合は空の権限として扱う)
+async function readRevision(revision) {
+  let xmlContent;
+  if (revision.ref) {
+    try {
+      const { cwd, repositoryPath } = await resolveRepositoryPath(
+        revision.file
+      );
+      xmlContent = execFileSync(
+        "git",
+        ["show", `${revision.ref}:${repositoryPath}`],
+        { cwd, encoding: "utf-8", stdio: ["ignore", "pipe", "pipe"] }
+      );
+    } catch (error) {
+      const stderr = error.stderr?.toString() || "";
+      if (/does not exist|exists on disk, but not in/.test(stderr)) {
+        return {};
+      }
+      throw new DiffPermissionsError(
+        `Failed to read ${describeRevision(revision)}: ${stderr.trim() || error.message}`
+      );
+    }
+  } else {
+    try {
+      xmlContent = await fs.readFile(revision.file, "utf-8");
+    } catch (error) {
+      if (error.code === "ENOENT") return {};
+      throw error;
+    }
+  }
+  return getMetadataRoot(parsePermissionMetadataXml(xmlContent)) || {};
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseCliOptions(process.argv.slice(2));
+    if (options.help) {
+      console.log(USAGE);
+      return;
+    }
+    options = await applyProjectConfig(options);
+
+    const base = await readRevision(options.base);
+    const head = await readRevision(options.head);
+    const texts = getDesignLocale(options.lang).diff;
+    const diff = await comparePermissions(base, head, {
+      describeDir: options.describeDir,
+      lang: options.lang
+    });
+    const sections = buildDiffSections(diff, { lang: options.lang });
+
+    const markdownContent = `# ${texts.title}
+
+## ${renderText(texts.target, { label: head.label || base.label || options.name })}
+- ${texts.before}: ${describeRevision(options.base)}
+- ${texts.after}: ${describeRevision(options.head)}
+
+${buildCriticalMarkdown(diff.critical, options.lang)}
+
+${sections.map((section) => section.markdown).join("\n\n")}
+`;
+
+    await fs.mkdir(options.outDir, { recursive: true });
+    const mdPath = path.join(options.outDir, "permission-diff.md");
+    await fs.writeFile(mdPath, markdownContent);
+    console.log(`Created permission diff markdown file: ${mdPath}`);
+
+    if (options.images) {
+      for (const section of sections) {
+        for (const format of options.imageFormats) {
+          // canvasはネイティブモジュールのため、PNGを作成するときのみ読み込む
+          const render =
+            format === "svg"
+              ? generateSvgImages
+              : (await import("../lib/table-image.js")).generateImages;
+          const imageContents = await render(section.markdown);
+          const fileNames = getImageFileNames(
+            section.baseName,
+            imageContents.length,
+            format
+          );
+          for (const [index, imageContent] of imageContents.entries()) {
+            const imgPath = path.join(options.outDir, fileNames[index]);
+            await fs.writeFile(imgPath, imageContent);
+            console.log(`Created permission diff image file: ${imgPath}`);
+          }
+        }
+      }
+    }
+
+    if (diff.critical.length > 0) {
+      console.warn("WARNING: View All / Modify All permissions were granted:");
+      diff.critical.forEach((item) => console.warn(`  - ${item}`));
+    }
+  } catch (error) {
+    console.error("Error:", error.message);
+    process.exit(
+      error instanceof ConfigError
+        ? EXIT_CODES.INVALID_ARGUMENTS
+        : (error.exitCode ?? EXIT_CODES.ERROR)
+    );
+  }
+}
+
+main();
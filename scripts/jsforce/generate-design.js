@@ -1,798 +1,1209 @@
 import inquirer from "inquirer";
-import { XMLParser } from "fast-xml-parser";
 import fs from "fs/promises";
+import os from "os";
 import path from "path";
-import { createCanvas } from "canvas";
-import { execSync } from "child_process";
-
-async function getCustomObjectsFromPackageXml() {
-  const xmlContent = await fs.readFile("manifest/package.xml", "utf-8");
-  const parser = new XMLParser({
-    ignoreAttributes: true,
-    isArray: (name, jpath) => name === "members"
-  });
-  const result = parser.parse(xmlContent);
-
-  const customObjects = result.Package.types.find(
-    (type) => type.name === "CustomObject"
-  );
-  return customObjects ? customObjects.members : [];
+import { parseArgs } from "util";
+import { resolveSourceFile } from "../lib/package-manifest.js";
+import {
+  RetrieveError,
+  createOrgTransport,
+  retrieveMetadata,
+  retrieveMissingMetadata
+} from "../lib/metadata-retrieve.js";
+import { resolveAuthOptions } from "../lib/salesforce-connection.js";
+import {
+  DescribeDataNotFoundError,
+  InvalidPersonaError,
+  DESIGN_DOCUMENTS,
+  DESIGN_TYPES,
+  loadManifest,
+  loadTemplates,
+  getRelatedRetrieveMembers,
+  loadPermissionSet,
+  loadProfile,
+  loadPermissionSetGroup,
+  loadPersona,
+  buildDesignMatrices,
+  buildSubjectMatrices,
+  groupMatrixByObject,
+  renderMarkdown,
+  renderImage
+} from "../lib/permission-design.js";
+import {
+  DESIGN_LANGS,
+  getDesignLocale,
+  renderText
+} from "../lib/design-locale.js";
+import { InvalidTemplateError } from "../lib/design-template.js";
+import {
+  CONFIG_FILE_NAME,
+  CONFIG_SCHEMA,
+  ConfigError,
+  loadProjectConfig
+} from "../lib/project-config.js";
+import { writeDesignWorkbook } from "../lib/xlsx-export.js";
+import { writeDesignSite } from "../lib/html-site.js";
+import {
+  DEFAULT_IMAGE_SCALE,
+  DEFAULT_MAX_ROWS,
+  DEFAULT_MAX_COLUMNS,
+  IMAGE_FORMATS,
+  getImageFileNames,
+  resolveImageOptions
+} from "../lib/table-layout.js";
+import {
+  comparePermissions,
+  hasPermissionDifferences,
+  buildDiffSections
+} from "../lib/permission-diff.js";
+import {
+  parsePermissionMetadataXml,
+  getMetadataRoot
+} from "../lib/permission-metadata.js";
+
+const WORKBOOK_FILE_NAME = "permission-design.xlsx";
+const SITE_DIR_NAME = "site";
+const PDF_FILE_NAME = "permission-design.pdf";
+const SFDX_PROJECT_FILE = "sfdx-project.json";
+const DEFAULT_PERSONAS_FILE = ".design/personas.json";
+
+// 非対話モードで返す終了コード
+const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  INVALID_ARGUMENTS: 2,
+  DESCRIBE_DATA_NOT_FOUND: 3,
+  RETRIEVE_FAILED: 4,
+  NO_PERMISSION_SETS: 5,
+  DRIFT_DETECTED: 6
+};
+
+class GenerateDesignError extends Error {
+  constructor(message, exitCode = EXIT_CODES.ERROR) {
+    super(message);
+    this.name = "GenerateDesignError";
+    this.exitCode = exitCode;
+  }
 }
 
-async function getCustomFieldsFromPackageXml() {
-  const xmlContent = await fs.readFile("manifest/package.xml", "utf-8");
-  const parser = new XMLParser({
-    ignoreAttributes: true,
-    isArray: (name, jpath) => name === "members"
-  });
-  const result = parser.parse(xmlContent);
-
-  const customFields = result.Package.types.find(
-    (type) => type.name === "CustomField"
-  );
-  return customFields ? customFields.members : [];
+// ライブラリのエラーを終了コードに変換する
+function getExitCode(error) {
+  if (error instanceof RetrieveError) return EXIT_CODES.RETRIEVE_FAILED;
+  if (error instanceof DescribeDataNotFoundError) {
+    return EXIT_CODES.DESCRIBE_DATA_NOT_FOUND;
+  }
+  if (
+    error instanceof InvalidPersonaError ||
+    error instanceof InvalidTemplateError ||
+    error instanceof ConfigError
+  ) {
+    return EXIT_CODES.INVALID_ARGUMENTS;
+  }
+  return error.exitCode ?? EXIT_CODES.ERROR;
 }
 
-async function retrievePermissionSet(permissionSetName) {
-  console.log(
-    `Retrieving permission set ${permissionSetName} from Salesforce...`
-  );
+async function ensureFolder(folderPath) {
   try {
-    // Create a temporary package.xml for retrieving the permission set
-    const tempPackageXml = `<?xml version="1.0" encoding="UTF-8"?>
-<Package xmlns="http://soap.sforce.com/2006/04/metadata">
-    <types>
-        <members>${permissionSetName}</members>
-        <name>PermissionSet</name>
-    </types>
-    <version>59.0</version>
-</Package>`;
-
-    const tempDir = ".temp";
-    await fs.mkdir(tempDir, { recursive: true });
-    await fs.writeFile(path.join(tempDir, "package.xml"), tempPackageXml);
-
-    // Execute SFDX retrieve command
-    execSync(`sf project retrieve start -x ${tempDir}/package.xml`, {
-      stdio: "inherit"
-    });
-
-    // Clean up temp directory
-    await fs.rm(tempDir, { recursive: true, force: true });
-
-    console.log(`Successfully retrieved permission set ${permissionSetName}`);
-    return true;
-  } catch (error) {
-    console.error(`Error retrieving permission set: ${error.message}`);
-    throw error;
+    await fs.access(folderPath);
+    console.error(`Folder already exists: ${folderPath}`);
+  } catch {
+    await fs.mkdir(folderPath, { recursive: true });
+    console.error(`Created folder: ${folderPath}`);
   }
 }
 
-async function getPermissionSetMetadata(permissionSetName) {
-  const permissionSetPath = `force-app/main/default/permissionsets/${permissionSetName}.permissionset-meta.xml`;
+// Markdownと(有効な場合は)表のPNGを書き出し、出力したファイルをcontextに記録する
+async function writeDesignDocument(
+  folderPath,
+  matrix,
+  markdownContent,
+  description,
+  context,
+  { groupByObject = false } = {}
+) {
+  const baseName = matrix.type;
+  const mdPath = path.join(folderPath, `${baseName}.md`);
+  await fs.writeFile(mdPath, markdownContent);
+  context.files.push(mdPath);
+  console.error(`Created ${description} markdown file: ${mdPath}`);
+
+  if (context.xlsx || context.html || context.pdf) {
+    // Excelブック・HTMLサイト・PDFは実行の最後にまとめて書き出す
+    const scope =
+      path.basename(folderPath) === "all"
+        ? "all"
+        : path.relative(context.outDir, folderPath);
+    context.documents.push({ scope, baseName, markdown: markdownContent });
+  }
 
-  try {
-    const xmlContent = await fs.readFile(permissionSetPath, "utf-8");
-    const parser = new XMLParser({
-      ignoreAttributes: true,
-      isArray: (name) =>
-        [
-          "fieldPermissions",
-          "objectPermissions",
-          "recordTypeVisibilities",
-          "tabSettings"
-        ].includes(name)
-    });
-    return parser.parse(xmlContent);
-  } catch (error) {
-    if (error.code === "ENOENT") {
-      console.log(
-        `Permission set metadata not found. Retrieving from Salesforce...`
-      );
-      await retrievePermissionSet(permissionSetName);
-      // Try reading the file again after retrieval
-      const xmlContent = await fs.readFile(permissionSetPath, "utf-8");
-      const parser = new XMLParser({
-        ignoreAttributes: true,
-        isArray: (name) =>
-          [
-            "fieldPermissions",
-            "objectPermissions",
-            "recordTypeVisibilities",
-            "tabSettings"
-          ].includes(name)
+  if (!context.images) return;
+
+  // 表が複数ある設計書は、表ごとに <baseName>-<key>.png(.svg) を作成する
+  const images = groupByObject
+    ? groupMatrixByObject(matrix, context.renderOptions).map((section) => ({
+        name: `${baseName}-${section.key}`,
+        matrix: section.matrix
+      }))
+    : [{ name: baseName, matrix }];
+  for (const image of images) {
+    for (const format of context.imageOptions.formats) {
+      // 大きな表は <name>-1.png, -2.png ... に分割される
+      const imageContents = await renderImage(image.matrix, {
+        ...context.imageOptions,
+        ...context.renderOptions,
+        format
       });
-      return parser.parse(xmlContent);
+      const fileNames = getImageFileNames(
+        image.name,
+        imageContents.length,
+        format
+      );
+      for (const [index, imageContent] of imageContents.entries()) {
+        const imgPath = path.join(folderPath, fileNames[index]);
+        await fs.writeFile(imgPath, imageContent);
+        context.files.push(imgPath);
+        console.error(`Created ${description} image file: ${imgPath}`);
+      }
     }
-    throw error;
   }
 }
 
-async function getProfileMetadata(profileName) {
-  const profilePath = `force-app/main/default/profiles/${profileName}.profile-meta.xml`;
-
-  try {
-    const xmlContent = await fs.readFile(profilePath, "utf-8");
-    const parser = new XMLParser({
-      ignoreAttributes: true,
-      isArray: (name) =>
-        [
-          "fieldPermissions",
-          "objectPermissions",
-          "recordTypeVisibilities",
-          "tabSettings"
-        ].includes(name)
+// 表ごとに設計書を書き出す
+// describe: ログに表示する設計書の説明(「object permissions」など)を組み立てる
+async function writeDesignMatrices(
+  designPath,
+  matrices,
+  context,
+  {
+    subtitle,
+    fieldLegendItems = [],
+    describe = (description) => description
+  } = {}
+) {
+  for (const matrix of matrices) {
+    const groupByObject =
+      context.groupFieldsByObject && matrix.type === "field-permissions";
+    const markdownContent = renderMarkdown(matrix, {
+      ...context.renderOptions,
+      subtitle,
+      legendItems: matrix.type === "field-permissions" ? fieldLegendItems : [],
+      groupByObject
     });
-    return parser.parse(xmlContent);
-  } catch (error) {
-    console.error(`Error reading profile metadata for ${profileName}:`, error);
-    throw error;
+    await writeDesignDocument(
+      designPath,
+      matrix,
+      markdownContent,
+      describe(DESIGN_DOCUMENTS[matrix.type].description),
+      context,
+      { groupByObject }
+    );
   }
 }
 
-async function getObjectDescribe(objectName) {
-  const filePath = `.describe_data/${objectName}_describe.json`;
+// HTMLサイト・PDFの目次に載せる権限セット・プロファイルなどの情報
+function addDesignSubject(context, designPath, subject) {
+  if (!context.html && !context.pdf) return;
+  context.designSubjects.push({
+    scope: path.relative(context.outDir, designPath),
+    type: subject.type,
+    name: subject.name,
+    label: subject.label,
+    description: subject.description,
+    license: subject.license
+  });
+}
+
+async function writeSubjectDesigns(designPath, subject, context) {
+  await ensureFolder(designPath);
+  await writeDesignMatrices(
+    designPath,
+    await buildSubjectMatrices(
+      context.manifest,
+      subject,
+      context.designOptions
+    ),
+    context,
+    {
+      subtitle: `## ${renderText(
+        subject.type === "Profile"
+          ? context.locale.subtitles.profile
+          : context.locale.subtitles.permissionSet,
+        subject
+      )}`
+    }
+  );
+  addDesignSubject(context, designPath, subject);
+  context.generated.push({ type: subject.type, name: subject.name });
+}
+
+async function createDesignFolder(permissionSetName, context) {
+  const permissionSet = await loadPermissionSet(
+    permissionSetName,
+    context.loadOptions
+  );
+  await writeSubjectDesigns(
+    path.join(context.outDir, "permissionsets", permissionSetName),
+    permissionSet,
+    context
+  );
+}
+
+async function createProfileDesignFolder(profileName, context) {
   try {
-    await fs.access(filePath);
-    const describeData = await fs.readFile(filePath, "utf-8");
-    return JSON.parse(describeData);
+    const profile = await loadProfile(profileName, context.loadOptions);
+    await writeSubjectDesigns(
+      path.join(context.outDir, "profiles", profileName),
+      profile,
+      context
+    );
   } catch (error) {
-    if (error.code === "ENOENT") {
-      throw new Error(
-        `Describe data not found for ${objectName}. Please run "npm run sf:describe:object" to generate the describe data.`
-      );
-    }
-    console.error(`Error reading describe data for ${objectName}:`, error);
-    return null;
+    console.error(`Error generating design for profile ${profileName}:`, error);
+    throw error;
   }
 }
 
-async function generateObjectPermissionsTable(
-  profileName,
-  customObjects,
-  metadata
+// 権限セットグループ・ペルソナの設計書は、構成要素ごとの列と有効な権限の列を並べる
+async function writeCombinedDesigns(
+  designPath,
+  subtitle,
+  columns,
+  context,
+  { description, fieldLegendItems, tabs = false }
 ) {
-  let markdownContent = `# オブジェクト権限設計書
-
-## プロファイル: ${metadata.Profile.label || profileName}
-
-### オブジェクト権限の説明
-- C: レコードの作成
-- R: レコードの参照
-- U: レコードの編集
-- D: レコードの削除
-- Va: すべて参照
-- Ua: すべて変更
-- Fa: すべての項目表示
-
-### オブジェクト権限一覧(table data)
-| オブジェクト名 | オブジェクトAPI名 | 権限 |
-|:--|:--|:--|`;
-
-  const objectRows = [];
-  for (const objName of customObjects) {
-    const objPermission = metadata.Profile.objectPermissions?.find(
-      (p) => p.object === objName
-    );
-    let permissions = "-";
-
-    if (objPermission) {
-      permissions = "";
-      if (objPermission.allowCreate) permissions += "C";
-      if (objPermission.allowRead) permissions += "R";
-      if (objPermission.allowEdit) permissions += "U";
-      if (objPermission.allowDelete) permissions += "D";
-      if (objPermission.viewAllRecords) permissions += "Va";
-      if (objPermission.modifyAllRecords) permissions += "Ua";
-      if (objPermission.viewAllFields) permissions += "Fa";
-      if (permissions === "") permissions = "-";
+  const matrices = await buildDesignMatrices(context.manifest, columns, {
+    ...context.designOptions,
+    types: [
+      "object-permissions",
+      "field-permissions",
+      ...(tabs ? ["tab-settings"] : []),
+      "user-permissions"
+    ].filter((type) => context.designOptions.types.includes(type))
+  });
+  await writeDesignMatrices(designPath, matrices, context, {
+    subtitle,
+    fieldLegendItems,
+    describe: (text) => `${description} ${text}`
+  });
+}
+
+async function createPermissionSetGroupDesignFolder(groupName, context) {
+  const group = await loadPermissionSetGroup(groupName, context.loadOptions);
+  const designPath = path.join(
+    context.outDir,
+    "permissionsetgroups",
+    groupName
+  );
+  await ensureFolder(designPath);
+
+  await writeCombinedDesigns(
+    designPath,
+    `## ${renderText(context.locale.subtitles.permissionSetGroup, group)}`,
+    [
+      ...group.components,
+      ...(group.muting ? [{ ...group.muting, validate: false }] : []),
+      { label: context.locale.effectivePermissions, root: group.root }
+    ],
+    context,
+    {
+      description: "permission set group",
+      fieldLegendItems: [context.locale.mutingLegend]
     }
+  );
+  addDesignSubject(context, designPath, group);
+  context.generated.push({ type: "PermissionSetGroup", name: groupName });
+}
 
-    const objectDescribe = await getObjectDescribe(objName);
-    const displayName = objectDescribe
-      ? objectDescribe.label
-      : objName.replace("__c", "");
-    objectRows.push(`| ${displayName} | ${objName} | ${permissions} |`);
+// ペルソナ定義ファイル: { "<ペルソナ名>": { label, profile, permissionSets, permissionSetGroups } }
+async function readPersonas(personasFile) {
+  let content;
+  try {
+    content = await fs.readFile(personasFile, "utf-8");
+  } catch (error) {
+    if (error.code === "ENOENT") return {};
+    throw error;
   }
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new GenerateDesignError(
+      `Invalid persona file ${personasFile}: ${error.message}`,
+      EXIT_CODES.INVALID_ARGUMENTS
+    );
+  }
+}
 
-  markdownContent += "\n" + objectRows.join("\n");
-  return markdownContent;
+async function createPersonaDesignFolder(personaName, definition, context) {
+  const persona = await loadPersona(personaName, definition, {
+    ...context.loadOptions,
+    customFields: context.manifest.customFields
+  });
+  const designPath = path.join(context.outDir, "personas", personaName);
+  await ensureFolder(designPath);
+
+  await writeCombinedDesigns(
+    designPath,
+    `## ${renderText(context.locale.subtitles.persona, persona)}
+
+${context.locale.personaNote}`,
+    [
+      ...persona.columns,
+      { label: context.locale.effectivePermissions, root: persona.root }
+    ],
+    context,
+    { description: "persona", tabs: true }
+  );
+  addDesignSubject(context, designPath, persona);
+  context.generated.push({ type: "Persona", name: personaName });
 }
 
-async function getFieldLabel(objectDescribe, fieldName) {
-  if (!objectDescribe || !objectDescribe.fields) return fieldName;
-  // カスタム項目も標準項目も、完全一致で検索
-  const field = objectDescribe.fields.find((f) => f.name === fieldName);
-  if (!field) {
-    console.error(`Field not found: ${fieldName}`);
-    return fieldName;
+async function generateAllDesigns(permissionSets, context) {
+  for (const ps of permissionSets) {
+    await createDesignFolder(ps, context);
   }
-  console.log(`Found field ${fieldName} with label ${field.label}`);
-  return field.label;
 }
 
-async function generateFieldPermissionsTable(
-  profileName,
-  customFields,
-  metadata
+async function generateAllSummary(
+  permissionSets,
+  profiles,
+  permissionSetGroups,
+  context
 ) {
-  let markdownContent = `# 項目権限設計書
-
-## プロファイル: ${metadata.Profile.label || profileName}
-
-### 項目権限の説明
-- R: 参照可能
-- RU: 参照・編集可能
-- -: 権限なし
-
-### 項目権限一覧(table data)
-| オブジェクト名 | オブジェクトAPI名 | 項目名 | 項目API名 | 権限 |
-|:--|:--|:--|:--|:--|`;
-
-  for (const fieldFullName of customFields) {
-    const [objName, fieldName] = fieldFullName.split(".");
-    const objectDescribe = await getObjectDescribe(objName);
-    const displayName = objectDescribe
-      ? objectDescribe.label
-      : objName.replace("__c", "");
-    const fieldLabel = await getFieldLabel(objectDescribe, fieldName);
-    const fieldPerm = metadata.Profile.fieldPermissions?.find(
-      (p) => p.field === fieldFullName
+  const allPath = path.join(context.outDir, "permissionsets", "all");
+  try {
+    await fs.access(allPath);
+  } catch {
+    await fs.mkdir(allPath, { recursive: true });
+    console.error(`Created folder: ${allPath}`);
+  }
+
+  // 一覧設計書の列は権限セット→プロファイル→権限セットグループの順
+  // 権限セットグループは構成権限セット・ミュート権限セットの列(付与元)の後に有効な権限の列を並べる
+  const columns = [];
+  let muted = false;
+  for (const ps of permissionSets) {
+    columns.push(await loadPermissionSet(ps, context.loadOptions));
+  }
+  for (const profile of profiles) {
+    columns.push(await loadProfile(profile, context.loadOptions));
+  }
+  for (const groupName of permissionSetGroups) {
+    const group = await loadPermissionSetGroup(groupName, context.loadOptions);
+    const sources = [
+      ...group.components,
+      ...(group.muting ? [group.muting] : [])
+    ];
+    muted ||= Boolean(group.muting);
+    columns.push(
+      ...sources.map((source) => ({
+        label: renderText(context.locale.groupComponent, {
+          group: group.label,
+          label: source.label
+        }),
+        root: source.root,
+        validate: false
+      })),
+      group
     );
+  }
 
-    let permission = "-";
-    if (fieldPerm) {
-      if (fieldPerm.readable && fieldPerm.editable) {
-        permission = "RU";
-      } else if (fieldPerm.readable) {
-        permission = "R";
-      }
+  await writeDesignMatrices(
+    allPath,
+    await buildDesignMatrices(context.manifest, columns, context.designOptions),
+    context,
+    {
+      fieldLegendItems: muted ? [context.locale.mutingLegend] : [],
+      describe: (description) => `${description} summary`
     }
-    markdownContent += `\n| ${displayName} | ${objName} | ${fieldLabel} | ${fieldName} | ${permission} |`;
-  }
+  );
 
-  return markdownContent;
+  context.generated.push({ type: "Summary", name: "all" });
 }
 
-async function generateImage(markdownContent) {
-  // テーブル部分のみを抽出
-  const lines = markdownContent.split("\n");
-  const tableStartIndex = lines.findIndex((line) =>
-    line.includes("| オブジェクト名 |")
-  );
-  if (tableStartIndex === -1) return null;
-
-  const tableLines = lines.slice(tableStartIndex);
-  const tableRows = tableLines.filter((line) => line.startsWith("|"));
-
-  // ヘッダー行から列数を取得
-  const headerCells = tableRows[0]
-    .split("|")
-    .filter((cell) => cell.trim()).length;
-
-  // キャンバスのサイズを設定
-  const cellPadding = 10;
-  const rowHeight = 40;
-  const padding = 20;
-
-  // 各列の最大幅を計算
-  const columnWidths = Array(headerCells).fill(0);
-  const minColumnWidth = 150; // 最小列幅
-
-  // テキストを測定するためのコンテキストを作成
-  const measureCanvas = createCanvas(1, 1);
-  const measureCtx = measureCanvas.getContext("2d");
-  measureCtx.font = "14px Arial";
-
-  // 各セルの内容を測定して最大幅を更新
-  for (const row of tableRows) {
-    const cells = row
-      .split("|")
-      .filter((cell) => cell.trim())
-      .map((cell) => cell.trim());
-
-    cells.forEach((cell, index) => {
-      if (index < headerCells) {
-        const textWidth = measureCtx.measureText(cell).width + cellPadding * 2;
-        columnWidths[index] = Math.max(
-          columnWidths[index],
-          textWidth,
-          minColumnWidth
-        );
+// 組織の最新の権限セット・プロファイルを一時フォルダに1回の取得でまとめて取得する
+// 取得できなかったもの(組織にないものなど)は警告を表示し、レポートでは「組織に存在しません」とする
+async function retrieveOrgMetadata(permissionSets, profiles, context) {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "permission-drift-"));
+  console.error(`Retrieving current org metadata into ${tempDir}...`);
+  try {
+    await retrieveMetadata(
+      { PermissionSet: permissionSets, Profile: profiles },
+      {
+        sourceDir: tempDir,
+        transport: context.loadOptions.transport,
+        apiVersion: context.loadOptions.apiVersion,
+        relatedMembers: getRelatedRetrieveMembers(context.manifest)
       }
-    });
+    );
+    return tempDir;
+  } catch (error) {
+    await fs.rm(tempDir, { recursive: true, force: true });
+    throw new GenerateDesignError(
+      `Failed to retrieve org metadata for drift check: ${error.message}`,
+      EXIT_CODES.RETRIEVE_FAILED
+    );
   }
+}
 
-  const width =
-    columnWidths.reduce((sum, width) => sum + width, 0) + padding * 2;
-  const height = (tableRows.length - 1) * rowHeight + padding * 2;
-
-  const canvas = createCanvas(width, height);
-  const ctx = canvas.getContext("2d");
-
-  // 背景を白に設定
-  ctx.fillStyle = "#ffffff";
-  ctx.fillRect(0, 0, width, height);
-
-  // グリッド線の色を設定
-  ctx.strokeStyle = "#cccccc";
-  ctx.lineWidth = 1;
-
-  // テーブルの描画
-  let y = padding;
-  let isHeader = true;
-  let rowIndex = 0;
-
-  for (const line of tableRows) {
-    // 区切り行をスキップ
-    if (line.includes(":-")) continue;
+// 取得結果のフォルダ構成に依存しないよう、ファイル名で再帰的に探す
+async function findMetadataFile(rootDir, fileName) {
+  const entries = await fs.readdir(rootDir, { recursive: true });
+  const match = entries.find((entry) => path.basename(entry) === fileName);
+  return match ? path.join(rootDir, match) : null;
+}
 
-    const cells = line
-      .split("|")
-      .filter((cell) => cell.trim())
-      .map((cell) => cell.trim());
+async function readMetadataRoot(filePath) {
+  if (!filePath) return null;
+  try {
+    const xmlContent = await fs.readFile(filePath, "utf-8");
+    return getMetadataRoot(parsePermissionMetadataXml(xmlContent));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
 
-    if (cells.length >= 2) {
-      // ヘッダー行の背景
-      if (isHeader) {
-        ctx.fillStyle = "#f0f0f0";
-        ctx.fillRect(padding, y, width - padding * 2, rowHeight);
+async function checkDrift(permissionSets, profiles, options, context) {
+  const { drift: texts, subtitles } = context.locale;
+  const orgDir =
+    options.orgDir ||
+    (await retrieveOrgMetadata(permissionSets, profiles, context));
+  const targets = [
+    ...permissionSets.map((name) => ({
+      type: "PermissionSet",
+      name,
+      fileName: `${name}.permissionset-meta.xml`,
+      dirName: "permissionsets"
+    })),
+    ...profiles.map((name) => ({
+      type: "Profile",
+      name,
+      fileName: `${name}.profile-meta.xml`,
+      dirName: "profiles"
+    }))
+  ];
+
+  const drift = [];
+  const reportSections = [];
+  try {
+    for (const target of targets) {
+      const orgRoot = await readMetadataRoot(
+        await findMetadataFile(orgDir, target.fileName)
+      );
+      const localRoot = await readMetadataRoot(
+        await resolveSourceFile(
+          options.sourceDirs,
+          target.dirName,
+          target.fileName
+        )
+      );
+      const label = localRoot?.label || orgRoot?.label || target.name;
+      const subtitle =
+        target.type === "Profile" ? subtitles.profile : subtitles.permissionSet;
+      const heading = `## ${renderText(subtitle, { label })} (${target.name})`;
+
+      if (!orgRoot || !localRoot) {
+        // 実行結果のJSONの値は言語に関わらず同じにする(レポートの文言のみ翻訳する)
+        const missing = !orgRoot ? "org" : "local";
+        drift.push({ type: target.type, name: target.name, missing });
+        reportSections.push(
+          `${heading}\n${!orgRoot ? texts.notInOrg : texts.notInLocal}`
+        );
+        continue;
       }
 
-      // セルの描画
-      let x = padding;
-      cells.forEach((cell, index) => {
-        if (index < columnWidths.length) {
-          const cellWidth = columnWidths[index];
-
-          // セルの背景と境界線
-          ctx.strokeRect(x, y, cellWidth, rowHeight);
-
-          // テキストの描画
-          ctx.fillStyle = "#000000";
-          ctx.font = isHeader ? "bold 14px Arial" : "14px Arial";
-
-          // テキストの省略処理
-          const maxWidth = cellWidth - cellPadding * 2;
-          let displayText = cell;
-          if (ctx.measureText(cell).width > maxWidth) {
-            while (
-              ctx.measureText(displayText + "...").width > maxWidth &&
-              displayText.length > 0
-            ) {
-              displayText = displayText.slice(0, -1);
-            }
-            displayText += "...";
-          }
-
-          // テキストを縦方向中央に配置
-          const textHeight = 14;
-          const textY = y + (rowHeight + textHeight) / 2;
-
-          ctx.fillText(displayText, x + cellPadding, textY);
-          x += cellWidth;
-        }
+      const diff = await comparePermissions(orgRoot, localRoot, {
+        describeDir: options.describeDir,
+        lang: options.lang
       });
-
-      y += rowHeight;
-      isHeader = false;
-      rowIndex++;
+      if (!hasPermissionDifferences(diff)) {
+        reportSections.push(`${heading}\n${texts.noDifferences}`);
+        continue;
+      }
+      drift.push({
+        type: target.type,
+        name: target.name,
+        objects: diff.objects.length,
+        fields: diff.fields.length,
+        tabs: diff.tabs.length,
+        userPermissions: diff.userPermissions.length
+      });
+      const sections = buildDiffSections(diff, {
+        lang: options.lang,
+        before: texts.org,
+        after: texts.local
+      });
+      reportSections.push(
+        `${heading}\n\n${sections.map((section) => section.markdown).join("\n\n")}`
+      );
+    }
+  } finally {
+    if (!options.orgDir) {
+      await fs.rm(orgDir, { recursive: true, force: true });
     }
   }
 
-  return canvas.toBuffer();
-}
+  const markdownContent = `# ${texts.title}
 
-async function getPermissionSetsFromPackageXml() {
-  const xmlContent = await fs.readFile("manifest/package.xml", "utf-8");
-  const parser = new XMLParser({
-    ignoreAttributes: true,
-    isArray: (name, jpath) => name === "members"
-  });
-  const result = parser.parse(xmlContent);
+- ${texts.org}: ${options.orgDir || texts.orgSource}
+- ${texts.local}: ${options.sourceDirs.join(", ")}
+- ${texts.result}: ${
+    drift.length > 0
+      ? renderText(texts.differences, { count: drift.length })
+      : texts.noDifferences
+  }
 
-  const permissionSetsType = result.Package.types.find(
-    (type) => type.name === "PermissionSet"
-  );
-  const permissionSets = permissionSetsType ? permissionSetsType.members : [];
+${reportSections.join("\n\n")}
+`;
 
-  const profileType = result.Package.types.find(
-    (type) => type.name === "Profile"
-  );
-  const profiles = profileType ? profileType.members : [];
+  const driftPath = path.join(context.outDir, "drift");
+  await ensureFolder(driftPath);
+  const mdPath = path.join(driftPath, "drift-report.md");
+  await fs.writeFile(mdPath, markdownContent);
+  context.files.push(mdPath);
+  console.error(`Created drift report markdown file: ${mdPath}`);
 
-  return { permissionSets, profiles };
+  return drift;
 }
 
-async function createDesignFolder(permissionSetName, metadata, customFields) {
-  const designPath = path.join(".design", "permissionsets", permissionSetName);
-
-  try {
-    await fs.access(designPath);
-    console.log(`Folder already exists: ${designPath}`);
-  } catch {
-    await fs.mkdir(designPath, { recursive: true });
-    console.log(`Created folder: ${designPath}`);
+const USAGE = `Usage: npm run sf:generate:design -- [options]
+
+オプションを指定しない場合は対話モードで起動します。
+--all / --summary / --permission-set / --profile / --permission-set-group /
+--personas / --persona のいずれかを指定すると、
+プロンプトを表示せずに設計書を生成します。
+
+Options:
+  --all                     すべての権限セット・権限セットグループの設計書を生成
+  --summary                 すべての権限セット・プロファイル・権限セットグループの
+                            一覧設計書を生成
+  --permission-set <name>   指定した権限セットの設計書を生成(複数指定可)
+  --profile <name>          指定したプロファイルの設計書を生成(複数指定可)
+  --permission-set-group <name>
+                            指定した権限セットグループの設計書を生成(複数指定可)
+  --personas                ペルソナ定義ファイルのすべてのペルソナの有効なアクセス権の設計書を生成
+  --persona <name>          指定したペルソナの有効なアクセス権の設計書を生成(複数指定可)
+  --personas-file <path>    ペルソナ定義ファイル (default: ${DEFAULT_PERSONAS_FILE})
+  --fields-from-describe    項目権限の対象をpackage.xmlのCustomFieldではなく、
+                            describeデータの権限設定可能な項目から取得
+                            (オブジェクトごとに表・画像を分けて出力)
+  --custom-fields-only      カスタム項目のみを対象にする
+  --exclude-system-fields   作成日・最終更新者などのシステム項目を除外する
+  --field <pattern>         対象の項目を絞り込む(例: Sample__c.*、複数指定可)
+  --config <path>           設定ファイルのパス (default: ${CONFIG_FILE_NAME})
+                            以下の「設定ファイル」の項目は、指定しない場合に設定ファイルの値を使う
+  --manifest <path>         package.xmlのパス(複数指定可、設定ファイル: manifest)
+  --out <dir>               設計書の出力先 (設定ファイル: outDir)
+  --document <type>         生成する設計書の種類(複数指定可、設定ファイル: documents)
+                            (${DESIGN_TYPES.join(" / ")})
+  --no-images               PNG・SVG画像を生成しない
+  --image-format <format>   画像の形式 (${IMAGE_FORMATS.join(" / ")}、複数指定可、設定ファイル: imageFormats)
+  --image-font <path>       PNG画像・PDFに使用するフォントファイル
+                            (env: DESIGN_IMAGE_FONT、default: 依存パッケージ
+                            @expo-google-fonts/noto-sans-jp のNoto Sans JP)
+  --image-scale <n>         PNG画像の解像度の倍率 (default: ${DEFAULT_IMAGE_SCALE})
+  --image-max-rows <n>      画像1枚あたりの行数。超える場合は画像を分割 (default: ${DEFAULT_MAX_ROWS})
+  --image-max-columns <n>   画像1枚あたりの列数。超える場合は権限セットの列を分割 (default: ${DEFAULT_MAX_COLUMNS})
+  --xlsx                    設計書の表をExcelブック(<out>/${WORKBOOK_FILE_NAME})にも出力
+  --html                    設計書をHTMLサイト(<out>/${SITE_DIR_NAME}/index.html)にも出力
+  --pdf                     オブジェクト権限・項目権限・タブ設定の表をPDF(<out>/${PDF_FILE_NAME})にも出力
+  --summary-file <path>     実行結果のJSONをファイルにも書き出す
+  --check-drift             組織とローカルの権限セット・プロファイルの差分を
+                            <out>/drift/drift-report.md に出力
+  --org-dir <dir>           --check-drift で組織から取得せずに比較するフォルダ
+  --source-dir <dir>        ローカルのメタデータのフォルダ(複数指定可、設定ファイル: sourceDirs)
+                            package.xmlのmembersの * の展開にも使用
+  --lang <lang>             設計書の表題・凡例・列名の言語 (${DESIGN_LANGS.join(" / ")}、設定ファイル: lang)
+  --template-dir <dir>      設計書のテンプレート(<設計書の種類>.md)のフォルダ
+                            (設定ファイル: templateDir、ない場合は既定の構成)
+  --api-version <version>   組織から取得する際のAPIバージョン (例: 63.0、設定ファイル: apiVersion)
+  --target-org <alias>      ローカルにない権限セットなどを取得する組織 (env: SF_TARGET_ORG)
+                            sf:describe:object と同じ環境変数の認証情報も使用可
+  -h, --help                このヘルプを表示
+
+Exit codes:
+  ${EXIT_CODES.SUCCESS}  成功
+  ${EXIT_CODES.ERROR}  想定外のエラー
+  ${EXIT_CODES.INVALID_ARGUMENTS}  引数が不正
+  ${EXIT_CODES.DESCRIBE_DATA_NOT_FOUND}  --fields-from-describe でdescribeデータが見つからない
+  ${EXIT_CODES.RETRIEVE_FAILED}  Salesforceからの取得に失敗
+  ${EXIT_CODES.NO_PERMISSION_SETS}  package.xmlに権限セットが存在しない
+  ${EXIT_CODES.DRIFT_DETECTED}  組織とローカルに差分がある(--check-drift)`;
+
+// 未指定の場合はundefinedを返す
+function parsePositiveNumber(optionName, value, integer = false) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!(number > 0) || (integer && !Number.isInteger(number))) {
+    throw new GenerateDesignError(
+      `${optionName} must be a positive ${integer ? "integer" : "number"}: ${value}\n\n${USAGE}`,
+      EXIT_CODES.INVALID_ARGUMENTS
+    );
   }
+  return number;
+}
 
-  // Get custom objects from package.xml
-  const customObjects = await getCustomObjectsFromPackageXml();
-
-  // Generate and save object permissions
-  const objectPermissions = await generateObjectPermissionsTable(
-    permissionSetName,
-    customObjects,
-    metadata
-  );
-  const objectMdPath = path.join(designPath, "object-permissions.md");
-  await fs.writeFile(objectMdPath, objectPermissions);
-  console.log(`Created object permissions markdown file: ${objectMdPath}`);
+function parseImageFormats(formats) {
+  const invalid = formats.filter((format) => !IMAGE_FORMATS.includes(format));
+  if (invalid.length > 0) {
+    throw new GenerateDesignError(
+      `--image-format must be one of ${IMAGE_FORMATS.join(", ")}: ${invalid.join(", ")}\n\n${USAGE}`,
+      EXIT_CODES.INVALID_ARGUMENTS
+    );
+  }
+  return [...new Set(formats)];
+}
 
-  const objectImageBuffer = await generateImage(objectPermissions);
-  if (objectImageBuffer) {
-    const objectImgPath = path.join(designPath, "object-permissions.png");
-    await fs.writeFile(objectImgPath, objectImageBuffer);
-    console.log(`Created object permissions image file: ${objectImgPath}`);
+function parseCliOptions(args) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      options: {
+        all: { type: "boolean", default: false },
+        summary: { type: "boolean", default: false },
+        "permission-set": { type: "string", multiple: true, default: [] },
+        profile: { type: "string", multiple: true, default: [] },
+        "permission-set-group": { type: "string", multiple: true, default: [] },
+        personas: { type: "boolean", default: false },
+        persona: { type: "string", multiple: true, default: [] },
+        "personas-file": { type: "string", default: DEFAULT_PERSONAS_FILE },
+        "fields-from-describe": { type: "boolean", default: false },
+        "custom-fields-only": { type: "boolean", default: false },
+        "exclude-system-fields": { type: "boolean", default: false },
+        field: { type: "string", multiple: true, default: [] },
+        manifest: { type: "string", multiple: true, default: [] },
+        out: { type: "string" },
+        document: { type: "string", multiple: true, default: [] },
+        "no-images": { type: "boolean", default: false },
+        "image-format": { type: "string", multiple: true, default: [] },
+        "image-font": { type: "string" },
+        "image-scale": { type: "string" },
+        "image-max-rows": { type: "string" },
+        "image-max-columns": { type: "string" },
+        xlsx: { type: "boolean", default: false },
+        html: { type: "boolean", default: false },
+        pdf: { type: "boolean", default: false },
+        "summary-file": { type: "string" },
+        "check-drift": { type: "boolean", default: false },
+        "org-dir": { type: "string" },
+        "source-dir": { type: "string", multiple: true, default: [] },
+        lang: { type: "string" },
+        "template-dir": { type: "string" },
+        "api-version": { type: "string" },
+        "target-org": { type: "string" },
+        config: { type: "string" },
+        help: { type: "boolean", short: "h", default: false }
+      }
+    });
+  } catch (error) {
+    throw new GenerateDesignError(
+      `${error.message}\n\n${USAGE}`,
+      EXIT_CODES.INVALID_ARGUMENTS
+    );
   }
 
-  // Generate and save field permissions
-  const fieldPermissions = await generateFieldPermissionsTable(
-    permissionSetName,
-    customFields,
-    metadata
+  const { values } = parsed;
+  if (values.lang !== undefined && !DESIGN_LANGS.includes(values.lang)) {
+    throw new GenerateDesignError(
+      `--lang must be one of ${DESIGN_LANGS.join(", ")}: ${values.lang}\n\n${USAGE}`,
+      EXIT_CODES.INVALID_ARGUMENTS
+    );
+  }
+  const invalidDocuments = values.document.filter(
+    (type) => !DESIGN_TYPES.includes(type)
   );
-  const fieldMdPath = path.join(designPath, "field-permissions.md");
-  await fs.writeFile(fieldMdPath, fieldPermissions);
-  console.log(`Created field permissions markdown file: ${fieldMdPath}`);
-
-  const fieldImageBuffer = await generateImage(fieldPermissions);
-  if (fieldImageBuffer) {
-    const fieldImgPath = path.join(designPath, "field-permissions.png");
-    await fs.writeFile(fieldImgPath, fieldImageBuffer);
-    console.log(`Created field permissions image file: ${fieldImgPath}`);
+  if (invalidDocuments.length > 0) {
+    throw new GenerateDesignError(
+      `--document must be one of ${DESIGN_TYPES.join(", ")}: ${invalidDocuments.join(", ")}\n\n${USAGE}`,
+      EXIT_CODES.INVALID_ARGUMENTS
+    );
+  }
+  if (
+    values["api-version"] !== undefined &&
+    !CONFIG_SCHEMA.apiVersion.pattern.test(values["api-version"])
+  ) {
+    throw new GenerateDesignError(
+      `--api-version must be like "${CONFIG_SCHEMA.apiVersion.example}": ${values["api-version"]}\n\n${USAGE}`,
+      EXIT_CODES.INVALID_ARGUMENTS
+    );
   }
+  return {
+    all: values.all,
+    summary: values.summary,
+    permissionSets: values["permission-set"],
+    profiles: values.profile,
+    permissionSetGroups: values["permission-set-group"],
+    allPersonas: values.personas,
+    personas: values.persona,
+    personasFile: values["personas-file"],
+    fieldOptions: {
+      fromDescribe: values["fields-from-describe"],
+      customOnly: values["custom-fields-only"],
+      excludeSystem: values["exclude-system-fields"],
+      patterns: values.field
+    },
+    manifestPaths: values.manifest,
+    outDir: values.out,
+    documents: [...new Set(values.document)],
+    images: !values["no-images"],
+    imageFormats: parseImageFormats(values["image-format"]),
+    imageOptions: resolveImageOptions({
+      fontFile: values["image-font"],
+      scale: parsePositiveNumber("--image-scale", values["image-scale"]),
+      maxRows: parsePositiveNumber(
+        "--image-max-rows",
+        values["image-max-rows"],
+        true
+      ),
+      maxColumns: parsePositiveNumber(
+        "--image-max-columns",
+        values["image-max-columns"],
+        true
+      )
+    }),
+    xlsx: values.xlsx,
+    html: values.html,
+    pdf: values.pdf,
+    summaryFile: values["summary-file"],
+    checkDrift: values["check-drift"],
+    orgDir: values["org-dir"],
+    sourceDirs: values["source-dir"],
+    lang: values.lang,
+    templateDir: values["template-dir"],
+    apiVersion: values["api-version"],
+    targetOrg: values["target-org"],
+    configPath: values.config,
+    help: values.help,
+    interactive:
+      !values["check-drift"] &&
+      !values.all &&
+      !values.summary &&
+      values["permission-set"].length === 0 &&
+      values.profile.length === 0 &&
+      values["permission-set-group"].length === 0 &&
+      !values.personas &&
+      values.persona.length === 0
+  };
 }
 
-async function generateAllDesigns(permissionSets, customFields) {
-  for (const ps of permissionSets) {
-    const metadata = await getPermissionSetMetadata(ps);
-    await createDesignFolder(ps, metadata, customFields);
-  }
+async function promptSelection({
+  permissionSets,
+  profiles,
+  permissionSetGroups,
+  personas
+}) {
+  const { selected } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "selected",
+      message: "Select a permission set to generate design:",
+      choices: [
+        {
+          name: "All - Generate designs for all permission sets",
+          value: "All"
+        },
+        {
+          name: "All summary - Generate combined summary table",
+          value: "All summary"
+        },
+        ...permissionSets.map((ps) => ({
+          name: ps,
+          value: ps
+        })),
+        ...profiles.map((profile) => ({
+          name: profile,
+          value: profile
+        })),
+        ...permissionSetGroups.map((group) => ({
+          name: `${group} (権限セットグループ)`,
+          value: group
+        })),
+        // 権限セット等と同名のペルソナを区別できるよう、値はオブジェクトにする
+        ...Object.keys(personas).map((persona) => ({
+          name: `${persona} (ペルソナ)`,
+          value: { persona }
+        }))
+      ]
+    }
+  ]);
+
+  // 対話モードの選択結果を非対話モードと同じ形に揃える
+  return {
+    all: selected === "All",
+    summary: selected === "All summary",
+    permissionSets: permissionSets.includes(selected) ? [selected] : [],
+    profiles: profiles.includes(selected) ? [selected] : [],
+    permissionSetGroups: permissionSetGroups.includes(selected)
+      ? [selected]
+      : [],
+    allPersonas: false,
+    personas: selected.persona ? [selected.persona] : []
+  };
 }
 
-async function generateAllSummary(permissionSets, profiles, customFields) {
-  const allPath = path.join(".design", "permissionsets", "all");
-  try {
-    await fs.access(allPath);
-  } catch {
-    await fs.mkdir(allPath, { recursive: true });
-    console.log(`Created folder: ${allPath}`);
+// 生成に必要な権限セット・プロファイル・権限セットグループのうち、ローカルにないものを1回の取得でまとめて取得する
+// (権限セットグループの構成権限セットは、グループを読み込む際に個別に取得する)
+async function retrieveComponents(selection, members, context) {
+  const allSets = selection.all || selection.summary;
+  const personas = (
+    selection.allPersonas ? Object.keys(members.personas) : selection.personas
+  ).map((name) => members.personas[name] ?? {});
+  const { retrieved, failed } = await retrieveMissingMetadata(
+    {
+      PermissionSet: [
+        ...(allSets ? members.permissionSets : selection.permissionSets),
+        ...personas.flatMap((persona) => persona.permissionSets || [])
+      ],
+      Profile: [
+        ...(selection.summary ? members.profiles : selection.profiles),
+        ...personas.map((persona) => persona.profile).filter(Boolean)
+      ],
+      PermissionSetGroup: [
+        ...(allSets
+          ? members.permissionSetGroups
+          : selection.permissionSetGroups),
+        ...personas.flatMap((persona) => persona.permissionSetGroups || [])
+      ]
+    },
+    {
+      sourceDir: context.loadOptions.sourceDir,
+      transport: context.loadOptions.transport,
+      apiVersion: context.loadOptions.apiVersion,
+      relatedMembers: getRelatedRetrieveMembers(context.manifest)
+    }
+  );
+  context.retrieved.push(
+    ...retrieved.map(({ type, name }) => ({ type, name }))
+  );
+  if (failed.length > 0) {
+    throw new RetrieveError(
+      `Failed to retrieve ${failed.length} component(s):\n${failed
+        .map(({ type, name, error }) => `  - ${type} ${name}: ${error}`)
+        .join("\n")}`
+    );
   }
+}
 
-  // Get custom objects from package.xml
-  const customObjects = await getCustomObjectsFromPackageXml();
-
-  // Generate object permissions summary
-  let objectMarkdownContent = `# オブジェクト権限設計書
-
-### オブジェクト権限の説明
-- C: レコードの作成
-- R: レコードの参照
-- U: レコードの編集
-- D: レコードの削除
-- Va: すべて参照
-- Ua: すべて変更
-- Fa: すべての項目表示
-
-### オブジェクト権限一覧(table data)
-| オブジェクト名 | オブジェクトAPI名`;
-
-  // 各権限セット、プロファイルのラベルを取得して使用
-  for (const ps of permissionSets) {
-    const metadata = await getPermissionSetMetadata(ps);
-    const label = metadata.PermissionSet.label || ps;
-    objectMarkdownContent += ` | ${label}`;
-  }
-  for (const profile of profiles) {
-    const metadata = await getProfileMetadata(profile);
-    const label = metadata.Profile.label || profile;
-    objectMarkdownContent += ` | ${label}`;
+async function runGeneration(selection, members, context) {
+  const { permissionSets, profiles, permissionSetGroups, personas } = members;
+  for (const name of selection.permissionSets) {
+    if (!permissionSets.includes(name)) {
+      throw new GenerateDesignError(
+        `Permission set ${name} is not listed in ${context.manifestPaths.join(", ")}`,
+        EXIT_CODES.INVALID_ARGUMENTS
+      );
+    }
   }
-  objectMarkdownContent += " |\n|:--|:--";
-  permissionSets.forEach(() => {
-    objectMarkdownContent += "|:--";
-  });
-  profiles.forEach(() => {
-    objectMarkdownContent += "|:--";
-  });
-  objectMarkdownContent += "|";
-
-  for (const objName of customObjects) {
-    const objectDescribe = await getObjectDescribe(objName);
-    const displayName = objectDescribe
-      ? objectDescribe.label
-      : objName.replace("__c", "");
-    let row = `\n| ${displayName} | ${objName}`;
-
-    for (const ps of permissionSets) {
-      const metadata = await getPermissionSetMetadata(ps);
-      const objPermission = metadata.PermissionSet.objectPermissions?.find(
-        (p) => p.object === objName
+  for (const name of selection.profiles) {
+    if (!profiles.includes(name)) {
+      throw new GenerateDesignError(
+        `Profile ${name} is not listed in ${context.manifestPaths.join(", ")}`,
+        EXIT_CODES.INVALID_ARGUMENTS
       );
-
-      let permissions = "-";
-      if (objPermission) {
-        permissions = "";
-        if (objPermission.allowCreate) permissions += "C";
-        if (objPermission.allowRead) permissions += "R";
-        if (objPermission.allowEdit) permissions += "U";
-        if (objPermission.allowDelete) permissions += "D";
-        if (objPermission.viewAllRecords) permissions += "Va";
-        if (objPermission.modifyAllRecords) permissions += "Ua";
-        if (objPermission.viewAllFields) permissions += "Fa";
-        if (permissions === "") permissions = "-";
-      }
-      row += ` | ${permissions}`;
     }
+  }
 
-    for (const profile of profiles) {
-      const metadata = await getProfileMetadata(profile);
-      const objPermission = metadata.Profile.objectPermissions?.find(
-        (p) => p.object === objName
+  for (const name of selection.permissionSetGroups) {
+    if (!permissionSetGroups.includes(name)) {
+      throw new GenerateDesignError(
+        `Permission set group ${name} is not listed in ${context.manifestPaths.join(", ")}`,
+        EXIT_CODES.INVALID_ARGUMENTS
+      );
+    }
+  }
+  for (const name of selection.personas) {
+    if (!personas[name]) {
+      throw new GenerateDesignError(
+        `Persona ${name} is not defined in ${context.personasFile}`,
+        EXIT_CODES.INVALID_ARGUMENTS
       );
-
-      let permissions = "-";
-      if (objPermission) {
-        permissions = "";
-        if (objPermission.allowCreate) permissions += "C";
-        if (objPermission.allowRead) permissions += "R";
-        if (objPermission.allowEdit) permissions += "U";
-        if (objPermission.allowDelete) permissions += "D";
-        if (objPermission.viewAllRecords) permissions += "Va";
-        if (objPermission.modifyAllRecords) permissions += "Ua";
-        if (objPermission.viewAllFields) permissions += "Fa";
-        if (permissions === "") permissions = "-";
-      }
-      row += ` | ${permissions}`;
     }
-    row += " |";
-    objectMarkdownContent += row;
+  }
+  if (selection.allPersonas && Object.keys(personas).length === 0) {
+    throw new GenerateDesignError(
+      `No personas defined in ${context.personasFile}`,
+      EXIT_CODES.INVALID_ARGUMENTS
+    );
   }
 
-  // Save object permissions summary
-  const objectMdPath = path.join(allPath, "object-permissions.md");
-  await fs.writeFile(objectMdPath, objectMarkdownContent);
-  console.log(
-    `Created object permissions summary markdown file: ${objectMdPath}`
-  );
+  await retrieveComponents(selection, members, context);
 
-  const objectImageBuffer = await generateImage(objectMarkdownContent);
-  if (objectImageBuffer) {
-    const objectImgPath = path.join(allPath, "object-permissions.png");
-    await fs.writeFile(objectImgPath, objectImageBuffer);
-    console.log(
-      `Created object permissions summary image file: ${objectImgPath}`
+  if (selection.all) {
+    await generateAllDesigns(permissionSets, context);
+  } else {
+    await generateAllDesigns(selection.permissionSets, context);
+  }
+  for (const profile of selection.profiles) {
+    await createProfileDesignFolder(profile, context);
+  }
+  for (const group of selection.all
+    ? permissionSetGroups
+    : selection.permissionSetGroups) {
+    await createPermissionSetGroupDesignFolder(group, context);
+  }
+  for (const persona of selection.allPersonas
+    ? Object.keys(personas)
+    : selection.personas) {
+    await createPersonaDesignFolder(persona, personas[persona], context);
+  }
+  if (selection.summary) {
+    await generateAllSummary(
+      permissionSets,
+      profiles,
+      permissionSetGroups,
+      context
     );
   }
+}
 
-  // Generate field permissions summary
-  let fieldMarkdownContent = `# 項目権限設計書
+// PDFの表紙・各ページに表示するプロジェクト名(sfdx-project.jsonのname)
+async function readProjectName() {
+  try {
+    const project = JSON.parse(await fs.readFile(SFDX_PROJECT_FILE, "utf-8"));
+    if (project.name) return project.name;
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+  return path.basename(process.cwd());
+}
 
-### 項目権限の説明
-- R: 参照可能
-- RU: 参照・編集可能
-- -: 権限なし
+// 標準出力には実行結果のJSONのみを出力する(進捗のログは標準エラー出力に出すため、jq などにそのまま渡せる)
+async function writeRunSummary(runSummary, summaryFile) {
+  const json = JSON.stringify(runSummary, null, 2);
+  if (summaryFile) {
+    await fs.mkdir(path.dirname(summaryFile), { recursive: true });
+    await fs.writeFile(summaryFile, json);
+  }
+  console.log(json);
+}
 
-### 項目権限一覧(table data)
-| オブジェクト名 | オブジェクトAPI名 | 項目名 | 項目API名`;
+// コマンドラインで指定していない項目は設定ファイル(permission-design.config.json)の値を使う
+function applyProjectConfig(options, config) {
+  const imageFormats =
+    options.imageFormats.length > 0
+      ? options.imageFormats
+      : config.imageFormats;
+  return {
+    ...options,
+    manifestPaths:
+      options.manifestPaths.length > 0
+        ? options.manifestPaths
+        : config.manifestPaths,
+    sourceDirs:
+      options.sourceDirs.length > 0 ? options.sourceDirs : config.sourceDirs,
+    describeDir: config.describeDir,
+    outDir: options.outDir ?? config.outDir,
+    documents:
+      options.documents.length > 0 ? options.documents : config.documents,
+    // imageFormats が空の場合は画像を生成しない
+    images: options.images && imageFormats.length > 0,
+    imageOptions: { ...options.imageOptions, formats: imageFormats },
+    lang: options.lang ?? config.lang,
+    templateDir: options.templateDir ?? config.templateDir,
+    apiVersion: options.apiVersion ?? config.apiVersion
+  };
+}
 
-  // 各権限セット、プロファイルのラベルを取得して使用
-  for (const ps of permissionSets) {
-    const metadata = await getPermissionSetMetadata(ps);
-    const label = metadata.PermissionSet.label || ps;
-    fieldMarkdownContent += ` | ${label}`;
+async function main() {
+  let options;
+  try {
+    options = parseCliOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error("Error:", error.message);
+    process.exit(error.exitCode ?? EXIT_CODES.ERROR);
   }
-  for (const profile of profiles) {
-    const metadata = await getProfileMetadata(profile);
-    const label = metadata.Profile.label || profile;
-    fieldMarkdownContent += ` | ${label}`;
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
   }
-  fieldMarkdownContent += " |\n|:--|:--|:--|:--";
-  permissionSets.forEach(() => {
-    fieldMarkdownContent += "|:--";
-  });
-  profiles.forEach(() => {
-    fieldMarkdownContent += "|:--";
-  });
-  fieldMarkdownContent += "|";
-
-  for (const fieldFullName of customFields) {
-    const [objName, fieldName] = fieldFullName.split(".");
-    const objectDescribe = await getObjectDescribe(objName);
-    const displayName = objectDescribe
-      ? objectDescribe.label
-      : objName.replace("__c", "");
-    const fieldLabel = await getFieldLabel(objectDescribe, fieldName);
-    let row = `\n| ${displayName} | ${objName} | ${fieldLabel} | ${fieldName}`;
-
-    for (const ps of permissionSets) {
-      const metadata = await getPermissionSetMetadata(ps);
-      const fieldPerm = metadata.PermissionSet.fieldPermissions?.find(
-        (p) => p.field === fieldFullName
-      );
 
-      let permission = "-";
-      if (fieldPerm) {
-        if (fieldPerm.readable && fieldPerm.editable) {
-          permission = "RU";
-        } else if (fieldPerm.readable) {
-          permission = "R";
-        }
+  try {
+    options = applyProjectConfig(
+      options,
+      await loadProjectConfig(options.configPath)
+    );
+  } catch (error) {
+    console.error("Error:", error.message);
+    process.exit(getExitCode(error));
+  }
+
+  const missingDescribes = new Set();
+  const context = {
+    manifestPaths: options.manifestPaths,
+    personasFile: options.personasFile,
+    outDir: options.outDir,
+    images: options.images,
+    imageOptions: options.imageOptions,
+    xlsx: options.xlsx,
+    html: options.html,
+    pdf: options.pdf,
+    documents: [],
+    designSubjects: [],
+    groupFieldsByObject: options.fieldOptions.fromDescribe,
+    manifest: null,
+    locale: getDesignLocale(options.lang),
+    // 設計書の文言の言語とテンプレート(テンプレートは実行の最初に読み込む)
+    renderOptions: { lang: options.lang, templates: {} },
+    // ローカルにない権限セットなどは組織から取得する(組織には最初の取得の際に接続する)
+    loadOptions: {
+      sourceDir: options.sourceDirs,
+      retrieve: true,
+      transport: createOrgTransport(
+        resolveAuthOptions({
+          targetOrg: options.targetOrg,
+          apiVersion: options.apiVersion
+        })
+      ),
+      apiVersion: options.apiVersion,
+      lang: options.lang
+    },
+    designOptions: {
+      types: options.documents,
+      describeDir: options.describeDir,
+      lang: options.lang,
+      // describeデータがない場合の警告はオブジェクトごとに1回(実行結果のJSONにも出力する)
+      onMissingDescribe: (objectName) => {
+        if (missingDescribes.has(objectName)) return;
+        missingDescribes.add(objectName);
+        console.warn(
+          `WARNING: Describe data not found for ${objectName}. API names are used instead of labels. Run "npm run sf:describe:object" to fetch the describe data.`
+        );
       }
-      row += ` | ${permission}`;
-    }
+    },
+    generated: [],
+    retrieved: [],
+    files: []
+  };
 
-    for (const profile of profiles) {
-      const metadata = await getProfileMetadata(profile);
-      const fieldPerm = metadata.Profile.fieldPermissions?.find(
-        (p) => p.field === fieldFullName
+  try {
+    context.renderOptions.templates = await loadTemplates(options.templateDir);
+    context.manifest = await loadManifest(context.manifestPaths, {
+      sourceDir: options.sourceDirs,
+      describeDir: options.describeDir,
+      fieldOptions: options.fieldOptions
+    });
+    const { permissionSets, profiles, permissionSetGroups } = context.manifest;
+    const members = {
+      permissionSets,
+      profiles,
+      permissionSetGroups,
+      personas: await readPersonas(context.personasFile)
+    };
+
+    if (!Array.isArray(permissionSets) || permissionSets.length === 0) {
+      throw new GenerateDesignError(
+        "No permission sets found in package.xml",
+        EXIT_CODES.NO_PERMISSION_SETS
       );
+    }
 
-      let permission = "-";
-      if (fieldPerm) {
-        if (fieldPerm.readable && fieldPerm.editable) {
-          permission = "RU";
-        } else if (fieldPerm.readable) {
-          permission = "R";
-        }
-      }
-      row += ` | ${permission}`;
+    if (options.checkDrift) {
+      const drift = await checkDrift(
+        permissionSets,
+        profiles,
+        options,
+        context
+      );
+      const exitCode =
+        drift.length > 0 ? EXIT_CODES.DRIFT_DETECTED : EXIT_CODES.SUCCESS;
+      await writeRunSummary(
+        {
+          status: drift.length > 0 ? "drift" : "success",
+          exitCode,
+          manifests: context.manifestPaths,
+          outDir: context.outDir,
+          drift,
+          files: context.files
+        },
+        options.summaryFile
+      );
+      process.exit(exitCode);
     }
-    row += " |";
-    fieldMarkdownContent += row;
-  }
 
-  // Save field permissions summary
-  const fieldMdPath = path.join(allPath, "field-permissions.md");
-  await fs.writeFile(fieldMdPath, fieldMarkdownContent);
-  console.log(
-    `Created field permissions summary markdown file: ${fieldMdPath}`
-  );
+    const selection = options.interactive
+      ? await promptSelection(members)
+      : options;
 
-  const fieldImageBuffer = await generateImage(fieldMarkdownContent);
-  if (fieldImageBuffer) {
-    const fieldImgPath = path.join(allPath, "field-permissions.png");
-    await fs.writeFile(fieldImgPath, fieldImageBuffer);
-    console.log(
-      `Created field permissions summary image file: ${fieldImgPath}`
-    );
-  }
-}
+    await runGeneration(selection, members, context);
 
-async function main() {
-  try {
-    const { permissionSets, profiles } =
-      await getPermissionSetsFromPackageXml();
+    if (context.xlsx) {
+      const workbookPath = await writeDesignWorkbook(
+        path.join(context.outDir, WORKBOOK_FILE_NAME),
+        context.documents,
+        { lang: options.lang }
+      );
+      context.files.push(workbookPath);
+      console.error(`Created design workbook: ${workbookPath}`);
+    }
 
-    if (!Array.isArray(permissionSets) || permissionSets.length === 0) {
-      console.error("No permission sets found in package.xml");
-      process.exit(1);
+    if (context.html) {
+      const siteFiles = await writeDesignSite(
+        path.join(context.outDir, SITE_DIR_NAME),
+        context.documents,
+        context.designSubjects,
+        { lang: options.lang }
+      );
+      context.files.push(...siteFiles);
+      console.error(
+        `Created design site: ${path.join(context.outDir, SITE_DIR_NAME, "index.html")}`
+      );
     }
 
-    const { selected } = await inquirer.prompt([
-      {
-        type: "list",
-        name: "selected",
-        message: "Select a permission set to generate design:",
-        choices: [
-          {
-            name: "All - Generate designs for all permission sets",
-            value: "All"
-          },
-          {
-            name: "All summary - Generate combined summary table",
-            value: "All summary"
-          },
-          ...permissionSets.map((ps) => ({
-            name: ps,
-            value: ps
-          })),
-          ...profiles.map((profile) => ({
-            name: profile,
-            value: profile
-          }))
-        ]
-      }
-    ]);
-
-    const customFields = await getCustomFieldsFromPackageXml();
-
-    if (selected === "All") {
-      await generateAllDesigns(permissionSets, customFields);
-    } else if (selected === "All summary") {
-      await generateAllSummary(permissionSets, profiles, customFields);
-    } else {
-      // Differentiate between PermissionSets and Profiles
-      if (permissionSets.includes(selected)) {
-        const metadata = await getPermissionSetMetadata(selected);
-        await createDesignFolder(selected, metadata, customFields);
-      } else {
-        // Handle Profiles
-        try {
-          const metadata = await getProfileMetadata(selected);
-          const designPath = path.join(".design", "profiles", selected);
-
-          try {
-            await fs.access(designPath);
-            console.log(`Folder already exists: ${designPath}`);
-          } catch {
-            await fs.mkdir(designPath, { recursive: true });
-            console.log(`Created folder: ${designPath}`);
-          }
-
-          // Get custom objects from package.xml
-          const customObjects = await getCustomObjectsFromPackageXml();
-
-          // Generate and save object permissions
-          const objectPermissions = await generateObjectPermissionsTable(
-            selected,
-            customObjects,
-            metadata
-          );
-          const objectMdPath = path.join(designPath, "object-permissions.md");
-          await fs.writeFile(objectMdPath, objectPermissions);
-          console.log(
-            `Created object permissions markdown file: ${objectMdPath}`
-          );
-
-          const objectImageBuffer = await generateImage(objectPermissions);
-          if (objectImageBuffer) {
-            const objectImgPath = path.join(
-              designPath,
-              "object-permissions.png"
-            );
-            await fs.writeFile(objectImgPath, objectImageBuffer);
-            console.log(
-              `Created object permissions image file: ${objectImgPath}`
-            );
-          }
-
-          // Generate and save field permissions
-          const fieldPermissions = await generateFieldPermissionsTable(
-            selected,
-            customFields,
-            metadata
-          );
-          const fieldMdPath = path.join(designPath, "field-permissions.md");
-          await fs.writeFile(fieldMdPath, fieldPermissions);
-          console.log(
-            `Created field permissions markdown file: ${fieldMdPath}`
-          );
-
-          const fieldImageBuffer = await generateImage(fieldPermissions);
-          if (fieldImageBuffer) {
-            const fieldImgPath = path.join(designPath, "field-permissions.png");
-            await fs.writeFile(fieldImgPath, fieldImageBuffer);
-            console.log(
-              `Created field permissions image file: ${fieldImgPath}`
-            );
-          }
-        } catch (error) {
-          console.error(
-            `Error generating design for profile ${selected}:`,
-            error
-          );
-          if (error.code === "ENOENT") {
-            throw new Error(
-              `Profile file not found. Please ensure you have retrieved the latest metadata from your Salesforce organization.`
-            );
-          }
+    if (context.pdf) {
+      // PDFはcanvasで作成するため、--pdf を指定したときのみ読み込む
+      const { writeDesignPdf } = await import("../lib/pdf-export.js");
+      const pdfPath = await writeDesignPdf(
+        path.join(context.outDir, PDF_FILE_NAME),
+        context.documents,
+        context.designSubjects,
+        {
+          projectName: await readProjectName(),
+          fontFile: context.imageOptions.fontFile,
+          lang: options.lang
         }
-      }
+      );
+      context.files.push(pdfPath);
+      console.error(`Created design PDF: ${pdfPath}`);
+    }
+
+    if (!options.interactive) {
+      await writeRunSummary(
+        {
+          status: "success",
+          exitCode: EXIT_CODES.SUCCESS,
+          manifests: context.manifestPaths,
+          outDir: context.outDir,
+          images: context.images,
+          generated: context.generated,
+          retrieved: context.retrieved,
+          missingDescribes: [...missingDescribes],
+          files: context.files
+        },
+        options.summaryFile
+      );
     }
   } catch (error) {
+    const exitCode = getExitCode(error);
     console.error("Error:", error.message);
-    process.exit(1);
+    if (!options.interactive) {
+      await writeRunSummary(
+        {
+          status: "error",
+          exitCode,
+          error: error.message,
+          manifests: context.manifestPaths,
+          outDir: context.outDir,
+          images: context.images,
+          generated: context.generated,
+          retrieved: context.retrieved,
+          missingDescribes: [...missingDescribes],
+          files: context.files
+        },
+        options.summaryFile
+      );
+    }
+    process.exit(exitCode);
   }
 }
 
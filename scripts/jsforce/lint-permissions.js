@@ -0,0 +1,262 @@
+import fs from "fs/promises";
+import path from "path";
+import { parseArgs } from "util";
+import { getMetadataMembersFromPackageXml } from "../lib/package-manifest.js";
+import {
+  loadManifest,
+  getRelatedRetrieveMembers
+} from "../lib/permission-design.js";
+import {
+  getPermissionSetMetadata,
+  getProfileMetadata
+} from "../lib/permission-source.js";
+import { retrieveMissingMetadata } from "../lib/metadata-retrieve.js";
+import {
+  InvalidRuleError,
+  lintPermissions,
+  formatLintText,
+  formatLintJunit
+} from "../lib/permission-lint.js";
+import {
+  CONFIG_FILE_NAME,
+  ConfigError,
+  loadProjectConfig
+} from "../lib/project-config.js";
+
+const DEFAULT_RULES_FILE = ".design/permission-rules.json";
+const FORMATS = ["text", "json", "junit"];
+
+const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  INVALID_ARGUMENTS: 2,
+  VIOLATIONS: 3
+};
+
+const USAGE = `Usage: npm run sf:lint:permissions -- [options]
+
+package.xmlの権限セット・プロファイルをルールファイルに沿って検査します。
+severity が error の違反がある場合は終了コード ${EXIT_CODES.VIOLATIONS} で終了します。
+
+Options:
+  --rules <path>        ルールファイル (default: ${DEFAULT_RULES_FILE})
+  --manifest <path>     package.xmlのパス(複数指定可、default: 設定ファイルの manifest)
+  --format <format>     出力形式 ${FORMATS.join(" / ")} (default: text)
+  --output <path>       結果をファイルに書き出す(省略時は標準出力)
+  --config <path>       設定ファイルのパス (default: ${CONFIG_FILE_NAME})
+                        ローカルのメタデータのフォルダ・APIバージョンも設定ファイルの値を使う
+  -h, --help            このヘルプを表示
+
+Exit codes:
+  ${EXIT_CODES.SUCCESS}  違反なし(warningのみを含む)
+  ${EXIT_CODES.ERROR}  想定外のエラー
+  ${EXIT_CODES.INVALID_ARGUMENTS}  引数・ルールファイルが不正
+  ${EXIT_CODES.VIOLATIONS}  errorの違反がある`;
+
+class LintPermissionsError extends Error {
+  constructor(message, exitCode = EXIT_CODES.ERROR) {
+    super(message);
+    this.name = "LintPermissionsError";
+    this.exitCode = exitCode;
+  }
+}
+
+function parseCliOptions(args) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args,
+      options: {
+        rules: { type: "string", default: DEFAULT_RULES_FILE },
+        manifest: { type: "string", multiple: true, default: [] },
+        config: { type: "string" },
+        format: { type: "string", default: "text" },
+        output: { type: "string" },
+        help: { type: "boolean", short: "h", default: false }
+      }
+    }));
+  } catch (error) {
+    throw new LintPermissionsError(
+      `${error.message}\n\n${USAGE}`,
+      EXIT_CODES.INVALID_ARGUMENTS
+    );
+  }
+  if (!FORMATS.includes(values.format)) {
+    throw new LintPermissionsError(
+      `Unknown format: ${values.format}\n\n${USAGE}`,
+      EXIT_CODES.INVALID_ARGUMENTS
+    );
+  }
+  return {
+    rulesFile: values.rules,
+    manifestPaths: values.manifest,
+    format: values.format,
+    output: values.output,
+    configPath: values.config,
+    help: values.help
+  };
+}
+
+// コマンドラインで指定していない項目は設定ファイル(permission-design.config.json)の値を使う
+async function applyProjectConfig(options) {
+  const config = await loadProjectConfig(options.configPath);
+  return {
+    ...options,
+    manifestPaths:
+      options.manifestPaths.length > 0
+        ? options.manifestPaths
+        : config.manifestPaths,
+    sourceOptions: {
+      sourceDir: config.sourceDirs,
+      describeDir: config.describeDir
+    },
+    apiVersion: config.apiVersion
+  };
+}
+
+async function readRules(rulesFile) {
+  let content;
+  try {
+    content = await fs.readFile(rulesFile, "utf-8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new LintPermissionsError(
+        `Rule file not found: ${rulesFile}`,
+        EXIT_CODES.INVALID_ARGUMENTS
+      );
+    }
+    throw error;
+  }
+  try {
+    return JSON.parse(content).rules;
+  } catch (error) {
+    throw new LintPermissionsError(
+      `Invalid rule file ${rulesFile}: ${error.message}`,
+      EXIT_CODES.INVALID_ARGUMENTS
+    );
+  }
+}
+
+// package.xmlの権限セット・プロファイルを検査対象の形に揃える
+// ローカルにない権限セット・プロファイルは、検査の前に組織から1回でまとめて取得する
+// (権限セットグループは検査しないため取得しない)
+async function loadTargets({ manifestPaths, sourceOptions, apiVersion }) {
+  const manifest = await loadManifest(manifestPaths, sourceOptions);
+  const { permissionSets, profiles } = manifest;
+  const { failed } = await retrieveMissingMetadata(
+    { PermissionSet: permissionSets, Profile: profiles },
+    {
+      sourceDir: sourceOptions.sourceDir,
+      apiVersion,
+      relatedMembers: getRelatedRetrieveMembers(manifest)
+    }
+  );
+  if (failed.length > 0) {
+    throw new LintPermissionsError(
+      `Failed to retrieve ${failed.length} component(s):\n${failed
+        .map(({ type, name, error }) => `  - ${type} ${name}: ${error}`)
+        .join("\n")}`
+    );
+  }
+  const targets = [];
+  for (const name of permissionSets) {
+    const metadata = await getPermissionSetMetadata(name, {
+      sourceDir: sourceOptions.sourceDir,
+      retrieve: false
+    });
+    targets.push({
+      type: "PermissionSet",
+      name,
+      label: metadata.PermissionSet.label || name,
+      root: metadata.PermissionSet
+    });
+  }
+  for (const name of profiles) {
+    const metadata = await getProfileMetadata(name, {
+      sourceDir: sourceOptions.sourceDir
+    });
+    targets.push({
+      type: "Profile",
+      name,
+      label: metadata.Profile.label || name,
+      root: metadata.Profile
+    });
+  }
+  return targets;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseCliOptions(process.argv.slice(2));
+    if (options.help) {
+      console.log(USAGE);
+      return;
+    }
+    options = await applyProjectConfig(options);
+
+    const rules = await readRules(options.rulesFile);
+    const targets = await loadTargets(options);
+    const customFields = await getMetadataMembersFromPackageXml(
+      "CustomField",
+      options.manifestPaths,
+      options.sourceOptions
+    );
+
+    let violations;
+    try {
+      violations = lintPermissions(targets, rules, { customFields });
+    } catch (error) {
+      if (error instanceof InvalidRuleError) {
+        throw new LintPermissionsError(
+          `Invalid rule file ${options.rulesFile}: ${error.message}`,
+          EXIT_CODES.INVALID_ARGUMENTS
+        );
+      }
+      throw error;
+    }
+
+    let output;
+    if (options.format === "json") {
+      output = JSON.stringify(
+        {
+          rules: options.rulesFile,
+          manifests: options.manifestPaths,
+          targets: targets.map(({ type, name, label }) => ({
+            type,
+            name,
+            label
+          })),
+          violations
+        },
+        null,
+        2
+      );
+    } else if (options.format === "junit") {
+      output = formatLintJunit(violations, rules, targets);
+    } else {
+      output = formatLintText(violations);
+    }
+
+    if (options.output) {
+      await fs.mkdir(path.dirname(options.output), { recursive: true });
+      await fs.writeFile(options.output, output);
+      console.log(`Created lint report: ${options.output}`);
+    } else {
+      console.log(output);
+    }
+
+    if (violations.some((v) => v.severity === "error")) {
+      process.exit(EXIT_CODES.VIOLATIONS);
+    }
+  } catch (error) {
+    console.error("Error:", error.message);
+    process.exit(
+      error instanceof ConfigError
+        ? EXIT_CODES.INVALID_ARGUMENTS
+        : (error.exitCode ?? EXIT_CODES.ERROR)
+    );
+  }
+}
+
+main();
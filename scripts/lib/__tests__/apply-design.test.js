@@ -0,0 +1,97 @@
+import { execFile } from "child_process";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const TESTS_DIR = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = path.join(TESTS_DIR, "fixtures");
+const APPLY_SCRIPT = path.join(TESTS_DIR, "../../jsforce/apply-design.js");
+
+// 一覧設計書の「営業」列の Sample__c だけを CRU から CRUD に書き換えたもの
+const EDITED_DESIGN = `# オブジェクト権限設計書
+
+### オブジェクト権限一覧(table data)
+| オブジェクト名 | オブジェクトAPI名 | 営業 | サポート | 警告 |
+|:--|:--|:--|:--|:--|
+| サンプル | Sample__c | CRUD | R |  |
+`;
+
+describe("sf:apply:design", () => {
+  let tempDir;
+  let permissionSetDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "apply-design-"));
+    await fs.cp(
+      path.join(FIXTURES_DIR, "force-app"),
+      path.join(tempDir, "force-app"),
+      { recursive: true }
+    );
+    permissionSetDir = path.join(tempDir, "force-app", "permissionsets");
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  function runApply(args) {
+    return new Promise((resolve) => {
+      execFile(
+        process.execPath,
+        [
+          APPLY_SCRIPT,
+          "--manifest",
+          path.join(FIXTURES_DIR, "manifest", "package.xml"),
+          "--source-dir",
+          permissionSetDir,
+          ...args
+        ],
+        { cwd: tempDir },
+        (error, stdout, stderr) =>
+          resolve({ exitCode: error ? error.code : 0, stdout, stderr })
+      );
+    });
+  }
+
+  test("writes back only the edited cell and keeps the other sections", async () => {
+    const designFile = path.join(tempDir, "object-permissions.md");
+    await fs.writeFile(designFile, EDITED_DESIGN);
+    const readPermissionSet = (name) =>
+      fs.readFile(
+        path.join(permissionSetDir, `${name}.permissionset-meta.xml`),
+        "utf-8"
+      );
+    const [sales, support] = await Promise.all([
+      readPermissionSet("Sales"),
+      readPermissionSet("Support")
+    ]);
+
+    const { exitCode, stdout } = await runApply([designFile, "--json"]);
+
+    expect(exitCode).toBe(0);
+    expect(JSON.parse(stdout).results).toEqual([
+      expect.objectContaining({
+        permissionSet: "Sales",
+        created: false,
+        changes: [
+          {
+            section: "objectPermissions",
+            name: "Sample__c",
+            change: "updated",
+            details: [{ flag: "allowDelete", from: false, to: true }]
+          }
+        ]
+      }),
+      expect.objectContaining({ permissionSet: "Support", changes: [] })
+    ]);
+    // 書き換えたのは allowDelete の要素だけで、他のセクション・書式はそのまま
+    expect(await readPermissionSet("Sales")).toBe(
+      sales.replace(
+        "<allowDelete>false</allowDelete>",
+        "<allowDelete>true</allowDelete>"
+      )
+    );
+    expect(await readPermissionSet("Support")).toBe(support);
+  });
+});
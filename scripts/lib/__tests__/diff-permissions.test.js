@@ -0,0 +1,106 @@
+import { execFile, execFileSync } from "child_process";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const TESTS_DIR = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = path.join(TESTS_DIR, "fixtures");
+const DIFF_SCRIPT = path.join(TESTS_DIR, "../../jsforce/diff-permissions.js");
+
+describe("sf:diff:permissions", () => {
+  let tempDir;
+  let repoDir;
+  let permissionSetFile;
+
+  // Sales の権限セットをコミットした後、Sample__c の削除権限を付与する
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "diff-permissions-"));
+    repoDir = path.join(tempDir, "repo");
+    const permissionSetDir = path.join(repoDir, "force-app", "permissionsets");
+    await fs.mkdir(permissionSetDir, { recursive: true });
+    permissionSetFile = path.join(
+      permissionSetDir,
+      "Sales.permissionset-meta.xml"
+    );
+    const xml = await fs.readFile(
+      path.join(
+        FIXTURES_DIR,
+        "force-app",
+        "permissionsets",
+        "Sales.permissionset-meta.xml"
+      ),
+      "utf-8"
+    );
+    await fs.writeFile(permissionSetFile, xml);
+    const git = (...args) =>
+      execFileSync("git", args, { cwd: repoDir, stdio: "ignore" });
+    git("init", "--quiet");
+    git("add", ".");
+    git(
+      "-c",
+      "user.name=test",
+      "-c",
+      "user.email=test@example.com",
+      "commit",
+      "--quiet",
+      "--no-verify",
+      "-m",
+      "Add Sales"
+    );
+    await fs.writeFile(
+      permissionSetFile,
+      xml.replace(
+        "<allowDelete>false</allowDelete>",
+        "<allowDelete>true</allowDelete>"
+      )
+    );
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  function runDiff(args, cwd) {
+    return new Promise((resolve) => {
+      execFile(
+        process.execPath,
+        [
+          DIFF_SCRIPT,
+          ...args,
+          "--out",
+          path.join(tempDir, "out"),
+          "--no-images",
+          "--describe-dir",
+          path.join(FIXTURES_DIR, "describe")
+        ],
+        { cwd },
+        (error, stdout, stderr) =>
+          resolve({ exitCode: error ? error.code : 0, stdout, stderr })
+      );
+    });
+  }
+
+  const readReport = () =>
+    fs.readFile(path.join(tempDir, "out", "permission-diff.md"), "utf-8");
+
+  test("reads HEAD of an absolute path from outside the repository", async () => {
+    const { exitCode, stderr } = await runDiff([permissionSetFile], tempDir);
+
+    expect(stderr).not.toMatch(/Error/);
+    expect(exitCode).toBe(0);
+    const report = await readReport();
+    expect(report).toContain(`- 変更前: HEAD:${permissionSetFile}`);
+    expect(report).toMatch(/\| Sample__c \| CRU \| CRUD \|/);
+  });
+
+  test("reads a path relative to a subfolder of the repository", async () => {
+    const { exitCode } = await runDiff(
+      [path.join("permissionsets", "Sales.permissionset-meta.xml")],
+      path.join(repoDir, "force-app")
+    );
+
+    expect(exitCode).toBe(0);
+    expect(await readReport()).toMatch(/\| Sample__c \| CRU \| CRUD \|/);
+  });
+});
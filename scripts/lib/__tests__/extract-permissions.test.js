@@ -0,0 +1,202 @@
+import { execFile } from "child_process";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { formatTables } from "../table-format.js";
+import {
+  ClipboardError,
+  copyToClipboard,
+  detectClipboardCommand
+} from "../clipboard.js";
+
+const TESTS_DIR = path.dirname(fileURLToPath(import.meta.url));
+const EXTRACT_SCRIPT = path.join(TESTS_DIR, "../../extract-permissions.js");
+
+const DESIGN = `# 項目権限設計書
+
+### 項目権限一覧: サンプル (Sample__c)(table data)
+| 項目名 | 項目API名 | 営業 |
+|:--|:--|:--|
+| テキスト | Text__c | RU |
+
+### 項目権限一覧: 注文 (Order__c)(table data)
+| 項目名 | 項目API名 | 営業 |
+|:--|:--|:--|
+| 金額, 税込 | Amount__c | R |
+`;
+
+const tables = [
+  {
+    file: "a.md",
+    heading: "オブジェクト権限一覧",
+    headers: ["オブジェクト名", "営業"],
+    rows: [['注文 "速報"', "CRU"]]
+  },
+  {
+    file: "b.md",
+    heading: "タブ設定一覧",
+    headers: ["タブ名", "営業"],
+    rows: [["サンプル\tタブ", "Visible"]]
+  }
+];
+
+describe("formatTables", () => {
+  test("writes a single table without a heading", () => {
+    expect(formatTables(tables.slice(0, 1), "tsv")).toBe(
+      'オブジェクト名\t営業\n注文 "速報"\tCRU\n'
+    );
+  });
+
+  test("quotes CSV cells and prefixes the file and heading of each table", () => {
+    expect(formatTables(tables, "csv")).toBe(
+      [
+        "a.md - オブジェクト権限一覧",
+        "オブジェクト名,営業",
+        '"注文 ""速報""",CRU',
+        "",
+        "b.md - タブ設定一覧",
+        "タブ名,営業",
+        "サンプル\tタブ,Visible",
+        ""
+      ].join("\n")
+    );
+  });
+
+  test("replaces tabs in TSV cells and keeps JSON as is", () => {
+    expect(formatTables(tables, "tsv")).toContain("サンプル タブ\tVisible");
+    expect(JSON.parse(formatTables(tables, "json"))).toEqual(tables);
+    expect(() => formatTables(tables, "xlsx")).toThrow(/Unknown format/);
+  });
+});
+
+describe("clipboard", () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "clipboard-"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  // PATHに置いたコマンドは標準入力を clipboard.txt に書き出す
+  async function addCommand(command) {
+    const filePath = path.join(tempDir, command);
+    await fs.writeFile(
+      filePath,
+      `#!/bin/sh\ncat > "${path.join(tempDir, "clipboard.txt")}"\n`,
+      { mode: 0o755 }
+    );
+  }
+
+  test("detects the clipboard command of the platform from PATH", async () => {
+    const env = { PATH: tempDir };
+    await addCommand("pbcopy");
+    await addCommand("xsel");
+
+    expect(detectClipboardCommand(env, "darwin")).toMatchObject({
+      command: "pbcopy",
+      path: path.join(tempDir, "pbcopy")
+    });
+    expect(detectClipboardCommand(env, "linux")).toMatchObject({
+      command: "xsel",
+      args: ["--clipboard", "--input"]
+    });
+
+    await addCommand("wl-copy");
+    expect(
+      detectClipboardCommand({ ...env, WAYLAND_DISPLAY: "wayland-0" }, "linux")
+        .command
+    ).toBe("wl-copy");
+    expect(detectClipboardCommand({ PATH: "" }, "linux")).toBeNull();
+  });
+
+  const linuxTest = process.platform === "linux" ? test : test.skip;
+
+  linuxTest("copies the text through the standard input", async () => {
+    await addCommand("xclip");
+
+    expect(copyToClipboard("営業\tRU\n", { PATH: tempDir })).toBe("xclip");
+    expect(
+      await fs.readFile(path.join(tempDir, "clipboard.txt"), "utf-8")
+    ).toBe("営業\tRU\n");
+    expect(() => copyToClipboard("text", { PATH: "" })).toThrow(ClipboardError);
+  });
+});
+
+describe("sf:extract-permissions", () => {
+  let tempDir;
+  let designFile;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "extract-permissions-"));
+    designFile = path.join(tempDir, "field-permissions.md");
+    await fs.writeFile(designFile, DESIGN);
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  function runExtract(args) {
+    return new Promise((resolve) => {
+      execFile(
+        process.execPath,
+        [EXTRACT_SCRIPT, ...args],
+        { cwd: tempDir },
+        (error, stdout, stderr) =>
+          resolve({ exitCode: error ? error.code : 0, stdout, stderr })
+      );
+    });
+  }
+
+  test("writes the selected table as CSV to the standard output", async () => {
+    const { exitCode, stdout } = await runExtract([
+      designFile,
+      "--format",
+      "csv",
+      "--table",
+      "2"
+    ]);
+
+    expect(exitCode).toBe(0);
+    expect(stdout).toBe('項目名,項目API名,営業\n"金額, 税込",Amount__c,R\n');
+  });
+
+  test("writes all tables of a folder as JSON", async () => {
+    const { exitCode, stdout } = await runExtract([
+      tempDir,
+      "--format",
+      "json"
+    ]);
+
+    expect(exitCode).toBe(0);
+    expect(JSON.parse(stdout)).toEqual([
+      {
+        file: designFile,
+        heading: "項目権限一覧: サンプル (Sample__c)",
+        headers: ["項目名", "項目API名", "営業"],
+        rows: [["テキスト", "Text__c", "RU"]]
+      },
+      {
+        file: designFile,
+        heading: "項目権限一覧: 注文 (Order__c)",
+        headers: ["項目名", "項目API名", "営業"],
+        rows: [["金額, 税込", "Amount__c", "R"]]
+      }
+    ]);
+  });
+
+  test("exits with 3 when no table matches", async () => {
+    const { exitCode, stderr } = await runExtract([
+      designFile,
+      "--table",
+      "タブ設定"
+    ]);
+
+    expect(exitCode).toBe(3);
+    expect(stderr).toMatch(/No tables found/);
+  });
+});
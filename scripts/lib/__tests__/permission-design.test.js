@@ -0,0 +1,1362 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { jest } from "@jest/globals";
+import ExcelJS from "exceljs";
+import { ACCESS_LEVEL_COLORS, getAccessLevel } from "../access-level.js";
+import {
+  InvalidTemplateError,
+  parseDesignTemplate
+} from "../design-template.js";
+import {
+  getMarkdownSubjectLabel,
+  parseMarkdownLegends
+} from "../markdown-table.js";
+
+// PNG・PDFのテストでネイティブモジュールのcanvasを使わないよう、描画しないモックに差し替える
+// (文字幅は table-layout.js がcanvasを使わずに求める)
+const measureContext = {
+  scale: jest.fn(),
+  fillRect: jest.fn(),
+  strokeRect: jest.fn(),
+  fillText: jest.fn(),
+  addPage: jest.fn(),
+  save: jest.fn(),
+  restore: jest.fn(),
+  translate: jest.fn()
+};
+jest.unstable_mockModule("canvas", () => ({
+  createCanvas: (width, height) => ({
+    getContext: () => measureContext,
+    toBuffer: () => Buffer.from(`PNG ${width}x${height}`)
+  }),
+  registerFont: jest.fn()
+}));
+
+// jsforceはJestで読み込めない(依存するcsv-parseがESMのみ)ため、組織に接続しないモックに差し替える
+jest.unstable_mockModule("jsforce", () => ({
+  default: { Connection: jest.fn() }
+}));
+
+const {
+  DESIGN_TYPES,
+  DescribeDataNotFoundError,
+  InvalidPersonaError,
+  loadManifest,
+  loadPermissionSet,
+  loadProfile,
+  loadPermissionSetGroup,
+  loadPersona,
+  buildObjectMatrix,
+  buildFieldMatrix,
+  buildTabMatrix,
+  buildRecordTypeMatrix,
+  buildUserPermissionMatrix,
+  buildAccessMatrix,
+  buildDesignMatrices,
+  buildSubjectMatrices,
+  groupMatrixByObject,
+  loadTemplates,
+  getRelatedRetrieveMembers,
+  renderMarkdown,
+  renderImage
+} = await import("../permission-design.js");
+const { measureText, resolveImageOptions, wrapText } =
+  await import("../table-layout.js");
+const { ConfigError, loadProjectConfig, validateConfig } =
+  await import("../project-config.js");
+const { resolveSourceFile } = await import("../package-manifest.js");
+const {
+  formatDescribeCache,
+  getDescribeFilePath,
+  isDescribeCacheStale,
+  selectStaleDescribeObjects
+} = await import("../describe-data.js");
+const { comparePermissions, buildDiffSections, buildCriticalMarkdown } =
+  await import("../permission-diff.js");
+const { writeDesignSite } = await import("../html-site.js");
+const { writeDesignWorkbook } = await import("../xlsx-export.js");
+const { writeDesignPdf } = await import("../pdf-export.js");
+const { getAuthMethod, resolveAuthOptions } =
+  await import("../salesforce-connection.js");
+const {
+  RetrieveError,
+  createZipTransport,
+  retrieveMetadata,
+  retrieveMissingMetadata
+} = await import("../metadata-retrieve.js");
+
+const FIXTURES_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures"
+);
+const MANIFEST_PATH = path.join(FIXTURES_DIR, "manifest", "package.xml");
+const SOURCE_DIR = path.join(FIXTURES_DIR, "force-app");
+const DESCRIBE_DIR = path.join(FIXTURES_DIR, "describe");
+const OPTIONS = { sourceDir: SOURCE_DIR, describeDir: DESCRIBE_DIR };
+
+beforeEach(() => {
+  // getFieldLabel などのログを抑止する
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("loadManifest", () => {
+  test("reads members from package.xml and expands wildcards from the source folder", async () => {
+    const manifest = await loadManifest(MANIFEST_PATH, OPTIONS);
+
+    expect(manifest.manifestPaths).toEqual([MANIFEST_PATH]);
+    expect(manifest.permissionSets).toEqual(["Sales", "Support"]);
+    expect(manifest.profiles).toEqual(["Standard"]);
+    expect(manifest.permissionSetGroups).toEqual(["SalesGroup"]);
+    expect(manifest.customObjects).toEqual(["Sample__c", "acme__Order__c"]);
+    expect(manifest.customFields).toEqual([
+      "Sample__c.Text__c",
+      "Sample__c.Formula__c"
+    ]);
+    expect(manifest.customTabs).toEqual(["Sample__c"]);
+    expect(manifest.accessMembers.classAccesses).toEqual(["SampleController"]);
+  });
+
+  test("lists permissionable fields from describe data", async () => {
+    const manifest = await loadManifest(
+      path.join(FIXTURES_DIR, "manifest", "sample-only.xml"),
+      {
+        ...OPTIONS,
+        fieldOptions: { fromDescribe: true, excludeSystem: true }
+      }
+    );
+
+    expect(manifest.customFields).toEqual([
+      "Sample__c.Text__c",
+      "Sample__c.Formula__c"
+    ]);
+  });
+
+  test("throws DescribeDataNotFoundError when describe data is missing", async () => {
+    await expect(
+      loadManifest(MANIFEST_PATH, {
+        ...OPTIONS,
+        fieldOptions: { fromDescribe: true }
+      })
+    ).rejects.toThrow(DescribeDataNotFoundError);
+  });
+});
+
+describe("loadPermissionSet / loadProfile", () => {
+  test("returns the label, description and license with the metadata root", async () => {
+    const permissionSet = await loadPermissionSet("Sales", OPTIONS);
+
+    expect(permissionSet).toMatchObject({
+      type: "PermissionSet",
+      name: "Sales",
+      label: "営業",
+      description: "営業担当者の権限",
+      license: "Salesforce"
+    });
+    expect(permissionSet.root.objectPermissions).toHaveLength(1);
+  });
+
+  test("does not retrieve from the org by default", async () => {
+    await expect(loadPermissionSet("Missing", OPTIONS)).rejects.toMatchObject({
+      code: "ENOENT"
+    });
+  });
+
+  test("uses userLicense as the license of a profile", async () => {
+    const profile = await loadProfile("Standard", OPTIONS);
+
+    expect(profile).toMatchObject({
+      type: "Profile",
+      label: "標準ユーザー",
+      license: "Salesforce"
+    });
+  });
+
+  test("reports a missing profile file", async () => {
+    await expect(loadProfile("Missing", OPTIONS)).rejects.toThrow(
+      "Profile file not found: Missing"
+    );
+  });
+});
+
+describe("loadPermissionSetGroup / loadPersona", () => {
+  test("merges component permission sets and subtracts muted permissions", async () => {
+    const group = await loadPermissionSetGroup("SalesGroup", OPTIONS);
+
+    expect(group.label).toBe("営業グループ");
+    expect(group.components.map((component) => component.name)).toEqual([
+      "Sales",
+      "Support"
+    ]);
+    expect(group.muting.label).toBe("ミュート: 営業ミュート");
+    expect(
+      group.root.fieldPermissions.find((p) => p.field === "Sample__c.Text__c")
+    ).toMatchObject({ readable: true, editable: false });
+  });
+
+  test("merges record type and access settings of the components", async () => {
+    const group = await loadPermissionSetGroup("SalesGroup", OPTIONS);
+
+    expect(group.root.classAccesses).toEqual([
+      { apexClass: "SampleController", enabled: true }
+    ]);
+    expect(group.root.customPermissions).toEqual([
+      { name: "SampleApproval", enabled: true }
+    ]);
+    expect(group.root.recordTypeVisibilities).toEqual([
+      { recordType: "Sample__c.Business", visible: true, default: false }
+    ]);
+    // 参照をミュートした項目は編集もできない
+    expect(
+      group.root.fieldPermissions.find(
+        (p) => p.field === "Sample__c.Formula__c"
+      )
+    ).toMatchObject({ readable: false, editable: false });
+
+    const manifest = await loadManifest(MANIFEST_PATH, OPTIONS);
+    const [apexMatrix] = await buildDesignMatrices(manifest, [group], {
+      ...OPTIONS,
+      types: ["apex-class-accesses"]
+    });
+    expect(apexMatrix.rows).toEqual([
+      ["SampleController", "SampleController", "ON"]
+    ]);
+  });
+
+  test("combines the profile, permission sets and groups of a persona", async () => {
+    const persona = await loadPersona(
+      "Sales",
+      {
+        label: "営業ユーザー",
+        profile: "Standard",
+        permissionSets: ["Sales"]
+      },
+      OPTIONS
+    );
+
+    expect(persona.columns.map((column) => column.label)).toEqual([
+      "標準ユーザー",
+      "営業"
+    ]);
+    expect(
+      persona.root.objectPermissions.find((p) => p.object === "Sample__c")
+    ).toMatchObject({ allowCreate: true, allowRead: true, allowEdit: true });
+  });
+
+  test("requires a profile for a persona", async () => {
+    await expect(loadPersona("NoProfile", {}, OPTIONS)).rejects.toThrow(
+      InvalidPersonaError
+    );
+  });
+});
+
+describe("matrices", () => {
+  let manifest;
+  let sales;
+  let support;
+
+  beforeAll(async () => {
+    manifest = await loadManifest(MANIFEST_PATH, OPTIONS);
+    sales = await loadPermissionSet("Sales", OPTIONS);
+    support = await loadPermissionSet("Support", OPTIONS);
+  });
+
+  test("buildObjectMatrix uses describe labels and notifies missing describe data", async () => {
+    const onMissingDescribe = jest.fn();
+    const matrix = await buildObjectMatrix(manifest, [sales, support], {
+      describeDir: DESCRIBE_DIR,
+      onMissingDescribe
+    });
+
+    expect(matrix.keyHeaders).toEqual(["オブジェクト名", "オブジェクトAPI名"]);
+    expect(matrix.columns).toEqual(["営業", "サポート"]);
+    expect(matrix.rows).toEqual([
+      ["サンプル", "Sample__c", "CRU", "R"],
+      ["Order (acme)", "acme__Order__c", "-", "-"]
+    ]);
+    expect(onMissingDescribe).toHaveBeenCalledWith("acme__Order__c");
+  });
+
+  test("buildFieldMatrix warns about edit access to calculated fields", async () => {
+    const matrix = await buildFieldMatrix(manifest, [sales], {
+      describeDir: DESCRIBE_DIR
+    });
+
+    expect(matrix.rows).toEqual([
+      ["サンプル", "Sample__c", "テキスト", "Text__c", "RU"],
+      ["サンプル", "Sample__c", "数式", "Formula__c", "RU"]
+    ]);
+    expect(matrix.warnings[0].messages).toEqual([]);
+    expect(matrix.warnings[1]).toEqual({
+      subject: "Sample__c.Formula__c",
+      messages: [
+        {
+          label: null,
+          message:
+            "編集できない項目(数式・積み上げ集計など)に編集権限が設定されています"
+        }
+      ]
+    });
+  });
+
+  test("buildTabMatrix and buildRecordTypeMatrix read visibilities", async () => {
+    const standard = await loadProfile("Standard", OPTIONS);
+    const tabs = await buildTabMatrix(manifest, [sales, standard], {
+      describeDir: DESCRIBE_DIR
+    });
+    const recordTypes = await buildRecordTypeMatrix(manifest, [sales], {
+      describeDir: DESCRIBE_DIR
+    });
+
+    expect(tabs.rows).toEqual([
+      ["サンプル", "Sample__c", "Visible", "Available"]
+    ]);
+    expect(recordTypes.rows).toEqual([
+      ["サンプル", "Sample__c", "法人", "Business", "V"]
+    ]);
+  });
+
+  test("buildUserPermissionMatrix lists high-risk permissions first", async () => {
+    const matrix = await buildUserPermissionMatrix(manifest, [sales]);
+    const apiEnabled = matrix.rows.find((row) => row[3] === "ApiEnabled");
+
+    expect(matrix.rows[0][0]).toBe("高リスク");
+    expect(apiEnabled).toEqual([
+      "-",
+      "API の有効化",
+      "API Enabled",
+      "ApiEnabled",
+      "ON"
+    ]);
+  });
+
+  test("buildAccessMatrix accepts the document name of a section", async () => {
+    const matrix = await buildAccessMatrix(
+      "apex-class-accesses",
+      manifest,
+      [sales, support],
+      { describeDir: DESCRIBE_DIR }
+    );
+
+    expect(matrix.keyHeaders).toEqual(["Apexクラス名", "API名"]);
+    expect(matrix.rows).toEqual([
+      ["SampleController", "SampleController", "ON", "-"]
+    ]);
+  });
+
+  test("buildDesignMatrices builds the requested documents in order", async () => {
+    const matrices = await buildDesignMatrices(manifest, [sales], {
+      describeDir: DESCRIBE_DIR,
+      types: ["user-permissions", "object-permissions"]
+    });
+
+    expect(matrices.map((matrix) => matrix.type)).toEqual([
+      "object-permissions",
+      "user-permissions"
+    ]);
+  });
+
+  test("buildSubjectMatrices names the value column of a single subject", async () => {
+    const matrices = await buildSubjectMatrices(manifest, sales, {
+      describeDir: DESCRIBE_DIR
+    });
+    const columns = Object.fromEntries(
+      matrices.map((matrix) => [matrix.type, matrix.columns])
+    );
+
+    expect(columns["object-permissions"]).toEqual(["権限"]);
+    expect(columns["tab-settings"]).toEqual(["表示設定"]);
+    expect(columns["apex-class-accesses"]).toEqual(["権限"]);
+    // package.xmlにメンバーがないアクセス設定の表は作成しない
+    expect(Object.keys(columns)).not.toContain("application-visibilities");
+  });
+});
+
+describe("renderMarkdown", () => {
+  const matrix = {
+    type: "field-permissions",
+    keyHeaders: ["オブジェクト名", "オブジェクトAPI名", "項目名", "項目API名"],
+    columns: ["営業", "サポート"],
+    rows: [
+      ["サンプル", "Sample__c", "テキスト", "Text__c", "RU", "R"],
+      ["注文", "Order__c", "金額", "Amount__c", "R", "-"]
+    ],
+    warnings: [
+      { subject: "Sample__c.Text__c", messages: [] },
+      {
+        subject: "Order__c.Amount__c",
+        messages: [
+          {
+            label: "営業",
+            message: "オブジェクトの参照権限(R)がありません"
+          }
+        ]
+      }
+    ]
+  };
+
+  test("renders the title, legend, table and warnings", () => {
+    const markdown = renderMarkdown(matrix, {
+      subtitle: "## 権限セットグループ: 営業グループ"
+    });
+
+    expect(markdown).toMatch(
+      /^# 項目権限設計書\n\n## 権限セットグループ: 営業グループ\n\n### 項目権限の説明\n/
+    );
+    expect(markdown).toContain(`### 項目権限一覧(table data)
+| オブジェクト名 | オブジェクトAPI名 | 項目名 | 項目API名 | 営業 | サポート | 警告 |
+|:--|:--|:--|:--|:--|:--|:--|
+| サンプル | Sample__c | テキスト | Text__c | RU | R |  |
+| 注文 | Order__c | 金額 | Amount__c | R | - | 営業: オブジェクトの参照権限(R)がありません |`);
+    expect(markdown).toMatch(
+      /### 警告\n- Order__c\.Amount__c \(営業\): オブジェクトの参照権限\(R\)がありません$/
+    );
+  });
+
+  test("renders a table per object when grouping fields", () => {
+    const markdown = renderMarkdown(matrix, { groupByObject: true });
+
+    expect(markdown).toContain(
+      "### 項目権限一覧: サンプル (Sample__c)(table data)"
+    );
+    expect(markdown).toContain("### 項目権限一覧: 注文 (Order__c)(table data)");
+    expect(groupMatrixByObject(matrix).map((section) => section.key)).toEqual([
+      "Sample__c",
+      "Order__c"
+    ]);
+  });
+
+  test("omits the warning column when there are no warnings", () => {
+    const markdown = renderMarkdown({
+      type: "tab-settings",
+      keyHeaders: ["タブ名", "タブAPI名"],
+      columns: ["表示設定"],
+      rows: [["サンプル", "Sample__c", "Visible"]],
+      warnings: []
+    });
+
+    expect(markdown).toContain("| タブ名 | タブAPI名 | 表示設定 |\n");
+    expect(markdown).not.toContain("警告");
+  });
+});
+
+describe("renderImage", () => {
+  const matrix = {
+    type: "object-permissions",
+    keyHeaders: ["オブジェクト名", "オブジェクトAPI名"],
+    columns: ["営業"],
+    rows: [
+      ["サンプル", "Sample__c", "CRU"],
+      ["注文", "Order__c", "-"]
+    ],
+    warnings: []
+  };
+
+  test("renders SVG with access level colors", async () => {
+    const [svg] = await renderImage(matrix, { format: "svg" });
+
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+    expect(svg).toContain(">Sample__c</text>");
+    expect(svg).toContain(">CRU</text>");
+    expect(svg).toContain(
+      `fill="#${ACCESS_LEVEL_COLORS[getAccessLevel("CRU")]}"`
+    );
+    expect(svg).toContain(
+      `fill="#${ACCESS_LEVEL_COLORS[getAccessLevel("-")]}"`
+    );
+  });
+
+  test("splits PNG images by the maximum number of rows", async () => {
+    const images = await renderImage(matrix, { maxRows: 1 });
+
+    expect(images).toHaveLength(2);
+    expect(images[0].toString()).toMatch(/^PNG \d+x\d+$/);
+  });
+
+  test("measures and wraps text without canvas", () => {
+    expect(measureText("あい", { size: 10 })).toBe(20);
+    expect(measureText("A", { size: 1000 })).toBeLessThan(
+      measureText("A", { size: 1000, bold: true })
+    );
+    expect(wrapText("あいうえお", 30, { size: 14 })).toEqual([
+      "あい",
+      "うえ",
+      "お"
+    ]);
+    expect(wrapText("Account.Name", 60)).toEqual(["Account.", "Name"]);
+  });
+
+  test("uses the bundled Noto Sans JP font unless another font is given", () => {
+    expect(path.basename(resolveImageOptions({}, {}).fontFile)).toBe(
+      "NotoSansJP_400Regular.ttf"
+    );
+    expect(
+      resolveImageOptions({}, { DESIGN_IMAGE_FONT: "/fonts/Custom.ttf" })
+        .fontFile
+    ).toBe("/fonts/Custom.ttf");
+  });
+});
+
+describe("localization and templates", () => {
+  const TEMPLATE_DIR = path.join(FIXTURES_DIR, "templates");
+
+  test("builds English headers, labels and legends with lang: en", async () => {
+    const manifest = await loadManifest(MANIFEST_PATH, OPTIONS);
+    const sales = await loadPermissionSet("Sales", OPTIONS);
+    const options = { ...OPTIONS, lang: "en" };
+
+    const objectMatrix = await buildObjectMatrix(manifest, [sales], options);
+    const fieldMatrix = await buildFieldMatrix(manifest, [sales], options);
+    const userMatrix = await buildUserPermissionMatrix(
+      manifest,
+      [sales],
+      options
+    );
+    const group = await loadPermissionSetGroup("SalesGroup", options);
+
+    expect(objectMatrix.keyHeaders).toEqual(["Object name", "Object API name"]);
+    expect(userMatrix.keyHeaders).toEqual([
+      "Category",
+      "Permission name",
+      "Permission name (Japanese)",
+      "Permission API name"
+    ]);
+    expect(userMatrix.rows[0].slice(0, 4)).toEqual([
+      "High risk",
+      "Modify All Data",
+      "すべてのデータの編集",
+      "ModifyAllData"
+    ]);
+    expect(group.muting.label).toBe("Muted: 営業ミュート");
+    expect(fieldMatrix.warnings[1].messages).toEqual([
+      {
+        label: null,
+        message:
+          "Edit access is set on a read-only field (formula, roll-up summary, etc.)"
+      }
+    ]);
+    expect(renderMarkdown(objectMatrix, { lang: "en" })).toMatch(
+      /^# Object Permission Design\n\n### Object permission legend\n- C: Create records\n/
+    );
+  });
+
+  test("orders columns and adds extra columns from a template", async () => {
+    const templates = await loadTemplates(TEMPLATE_DIR);
+    const markdown = renderMarkdown(
+      {
+        type: "object-permissions",
+        keyColumns: ["objectLabel", "objectName"],
+        keyHeaders: ["オブジェクト名", "オブジェクトAPI名"],
+        columns: ["営業"],
+        rows: [["サンプル", "Sample__c", "CRU"]],
+        warnings: [{ subject: "Sample__c", messages: [] }]
+      },
+      { templates }
+    );
+
+    expect(markdown).toBe(`# オブジェクト権限一覧表
+
+### オブジェクト権限一覧(table data)
+| オブジェクトAPI名 | オブジェクト名 | 営業 | 備考 |
+|:--|:--|:--|:--|
+| Sample__c | サンプル | CRU |  |
+
+### オブジェクト権限の説明
+- C: レコードの作成
+- R: レコードの参照
+- U: レコードの編集
+- D: レコードの削除
+- Va: すべて参照
+- Ua: すべて変更
+- Fa: すべての項目表示`);
+  });
+
+  test("uses the default layout for documents without a template", async () => {
+    const templates = await loadTemplates(TEMPLATE_DIR);
+    const matrix = {
+      type: "tab-settings",
+      keyHeaders: ["タブ名", "タブAPI名"],
+      columns: ["表示設定"],
+      rows: [["サンプル", "Sample__c", "Visible"]],
+      warnings: []
+    };
+
+    expect(renderMarkdown(matrix, { templates })).toBe(renderMarkdown(matrix));
+    expect(await loadTemplates(path.join(FIXTURES_DIR, "missing"))).toEqual({});
+  });
+
+  test("rejects templates that are not design documents", async () => {
+    await expect(
+      loadTemplates(path.join(FIXTURES_DIR, "templates-invalid"))
+    ).rejects.toThrow(InvalidTemplateError);
+    expect(() => parseDesignTemplate("---\ncolour: red\n---\n")).toThrow(
+      InvalidTemplateError
+    );
+  });
+
+  test("reads subject labels and legends from English documents", () => {
+    const markdown = renderMarkdown(
+      {
+        type: "field-permissions",
+        keyHeaders: [
+          "Object name",
+          "Object API name",
+          "Field name",
+          "Field API name"
+        ],
+        columns: ["Sales"],
+        rows: [["Sample", "Sample__c", "Text", "Text__c", "RU"]],
+        warnings: []
+      },
+      { lang: "en", subtitle: "## Persona: Sales user" }
+    );
+
+    expect(getMarkdownSubjectLabel(markdown)).toBe("Sales user");
+    expect(getMarkdownSubjectLabel("## Permission set: Sales")).toBe("Sales");
+    expect(getMarkdownSubjectLabel("## 権限セット: 営業")).toBe("営業");
+    expect(parseMarkdownLegends(markdown)).toEqual([
+      {
+        heading: "Field permission legend",
+        items: ["R: Read", "RU: Read and edit", "-: No access"]
+      }
+    ]);
+  });
+
+  test("writes English diff reports and HTML sites with lang: en", async () => {
+    const diff = await comparePermissions(
+      {},
+      { userPermissions: [{ name: "ModifyAllData", enabled: true }] },
+      { lang: "en" }
+    );
+    const [objectSection, , , userSection] = buildDiffSections(diff, {
+      lang: "en"
+    });
+
+    expect(objectSection.markdown).toBe(
+      "### Object permission changes\nNo changes"
+    );
+    expect(userSection.markdown).toContain(
+      "| Category | Permission name | Permission API name | Before | After |"
+    );
+    expect(userSection.markdown).toContain(
+      "| High risk | Modify All Data | ModifyAllData | - | ON |"
+    );
+    expect(buildCriticalMarkdown(diff.critical, "en")).toBe(
+      "### [Review] View All / Modify All granted\n- Modify All Data (ModifyAllData) granted"
+    );
+
+    const siteDir = await fs.mkdtemp(path.join(os.tmpdir(), "design-site-"));
+    try {
+      await writeDesignSite(
+        siteDir,
+        [{ scope: "all", baseName: "object-permissions", markdown: "# Test" }],
+        [],
+        { lang: "en" }
+      );
+      const html = await fs.readFile(path.join(siteDir, "all.html"), "utf-8");
+      expect(html).toContain('<html lang="en">');
+      expect(html).toContain("<h1>Permission set summary</h1>");
+      expect(html).toContain('<option value="">All</option>');
+    } finally {
+      await fs.rm(siteDir, { recursive: true, force: true });
+    }
+  });
+
+  test("reads diff labels from the given describe folder", async () => {
+    const diff = await comparePermissions(
+      {},
+      {
+        objectPermissions: [
+          { object: "Sample__c", allowRead: true, viewAllRecords: true }
+        ],
+        fieldPermissions: [
+          { field: "Sample__c.Text__c", readable: true, editable: false }
+        ]
+      },
+      { describeDir: DESCRIBE_DIR }
+    );
+
+    expect(diff.objects[0].slice(0, 2)).toEqual(["サンプル", "Sample__c"]);
+    expect(diff.fields[0].slice(0, 4)).toEqual([
+      "サンプル",
+      "Sample__c",
+      "テキスト",
+      "Text__c"
+    ]);
+    expect(diff.critical).toEqual([
+      "サンプル (Sample__c): Va (viewAllRecords) を付与"
+    ]);
+  });
+});
+
+describe("project configuration", () => {
+  const PROJECT_DIR = path.join(FIXTURES_DIR, "project");
+  const CONFIG_PATH = path.join(PROJECT_DIR, "permission-design.config.json");
+
+  test("resolves paths from the config file and sfdx-project.json", async () => {
+    const config = await loadProjectConfig(CONFIG_PATH);
+
+    expect(config.configPath).toBe(CONFIG_PATH);
+    expect(config.manifestPaths).toEqual([MANIFEST_PATH]);
+    // デフォルトのパッケージが先頭で、main/default がある場合はそのフォルダ
+    expect(config.sourceDirs).toEqual([
+      SOURCE_DIR,
+      path.join(PROJECT_DIR, "extra", "main", "default")
+    ]);
+    expect(config.outDir).toBe(path.join(PROJECT_DIR, "docs", "design"));
+    expect(config.describeDir).toBe(path.join(PROJECT_DIR, ".describe_data"));
+    // package.xml の <version> が sfdx-project.json より優先される
+    expect(config.apiVersion).toBe("59.0");
+    expect(config.documents).toEqual([
+      "object-permissions",
+      "field-permissions"
+    ]);
+    expect(config.imageFormats).toEqual([]);
+    expect(config.lang).toBe("ja");
+  });
+
+  test("reports every invalid property at once", () => {
+    expect(() =>
+      validateConfig(
+        {
+          outdir: "docs",
+          apiVersion: "63",
+          documents: ["objects"],
+          sourceDirs: []
+        },
+        "config.json"
+      )
+    ).toThrow(
+      [
+        "Invalid config.json:",
+        '  - unknown property "outdir" (did you mean "outDir"?)',
+        '  - "apiVersion" must be like "63.0" (got "63")',
+        `  - "documents[0]" must be one of ${DESIGN_TYPES.join(", ")} (got "objects")`,
+        '  - "sourceDirs" must not be empty'
+      ].join("\n")
+    );
+  });
+
+  test("requires a config file that is given explicitly", async () => {
+    await expect(
+      loadProjectConfig(path.join(PROJECT_DIR, "missing.config.json"))
+    ).rejects.toThrow(ConfigError);
+  });
+
+  test("finds source files in any package directory", async () => {
+    const { sourceDirs } = await loadProjectConfig(CONFIG_PATH);
+
+    expect(
+      await resolveSourceFile(
+        sourceDirs,
+        "permissionsets",
+        "Project.permissionset-meta.xml"
+      )
+    ).toBe(
+      path.join(
+        PROJECT_DIR,
+        "extra",
+        "main",
+        "default",
+        "permissionsets",
+        "Project.permissionset-meta.xml"
+      )
+    );
+    // どのフォルダにもない場合はデフォルトのパッケージのパス
+    expect(
+      await resolveSourceFile(sourceDirs, "permissionsets", "New.xml")
+    ).toBe(path.join(SOURCE_DIR, "permissionsets", "New.xml"));
+
+    const permissionSet = await loadPermissionSet("Project", {
+      sourceDir: sourceDirs
+    });
+    expect(permissionSet.label).toBe("プロジェクト");
+  });
+});
+
+describe("metadata retrieve", () => {
+  const ZIP_PATH = path.join(FIXTURES_DIR, "retrieve", "unpackaged.zip");
+  let tempDir;
+
+  // 取得の回数と要求を記録する transport
+  function recordingTransport(transport = createZipTransport(ZIP_PATH)) {
+    const requests = [];
+    return {
+      requests,
+      retrieve: async (request) => {
+        requests.push(request);
+        const result = await transport.retrieve(request);
+        return {
+          ...result,
+          messages: [
+            {
+              fileName: "unpackaged/permissionsets/Missing.permissionset",
+              problem:
+                "Entity of type 'PermissionSet' named 'Missing' cannot be found"
+            }
+          ]
+        };
+      }
+    };
+  }
+
+  beforeEach(async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "permission-retrieve-"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test("retrieves all members in one request and reports failures per member", async () => {
+    const transport = recordingTransport();
+    const { retrieved, failed } = await retrieveMetadata(
+      {
+        PermissionSet: ["Retrieved", "Missing"],
+        Profile: ["Custom: Support"],
+        PermissionSetGroup: ["RetrievedGroup"]
+      },
+      {
+        transport,
+        sourceDir: [tempDir, SOURCE_DIR],
+        apiVersion: "63.0",
+        relatedMembers: { CustomObject: ["Sample__c"] }
+      }
+    );
+
+    expect(transport.requests).toEqual([
+      {
+        apiVersion: "63.0",
+        types: [
+          { name: "PermissionSet", members: ["Retrieved", "Missing"] },
+          { name: "Profile", members: ["Custom: Support"] },
+          { name: "PermissionSetGroup", members: ["RetrievedGroup"] },
+          { name: "CustomObject", members: ["Sample__c"] }
+        ]
+      }
+    ]);
+    expect(retrieved).toEqual([
+      {
+        type: "PermissionSet",
+        name: "Retrieved",
+        file: path.join(
+          tempDir,
+          "permissionsets",
+          "Retrieved.permissionset-meta.xml"
+        )
+      },
+      {
+        type: "Profile",
+        name: "Custom: Support",
+        file: path.join(tempDir, "profiles", "Custom: Support.profile-meta.xml")
+      },
+      {
+        type: "PermissionSetGroup",
+        name: "RetrievedGroup",
+        file: path.join(
+          tempDir,
+          "permissionsetgroups",
+          "RetrievedGroup.permissionsetgroup-meta.xml"
+        )
+      }
+    ]);
+    expect(failed).toEqual([
+      {
+        type: "PermissionSet",
+        name: "Missing",
+        error: "Entity of type 'PermissionSet' named 'Missing' cannot be found"
+      }
+    ]);
+    // 一緒に取得したオブジェクトのファイルは書き出さない
+    expect(await fs.readdir(tempDir)).toEqual(
+      expect.not.arrayContaining(["objects"])
+    );
+  });
+
+  test("retrieves only the members missing from the source folders", async () => {
+    const transport = recordingTransport();
+    await retrieveMissingMetadata(
+      { PermissionSet: ["Sales", "Retrieved"], Profile: ["Standard"] },
+      { transport, sourceDir: [tempDir, SOURCE_DIR] }
+    );
+    expect(transport.requests[0].types).toEqual([
+      { name: "PermissionSet", members: ["Retrieved"] }
+    ]);
+
+    const unused = recordingTransport();
+    await retrieveMissingMetadata(
+      { PermissionSet: ["Sales", "Retrieved"] },
+      { transport: unused, sourceDir: [tempDir, SOURCE_DIR] }
+    );
+    expect(unused.requests).toEqual([]);
+  });
+
+  test("retrieves the access setting members of package.xml with profiles", async () => {
+    const manifest = await loadManifest(MANIFEST_PATH, OPTIONS);
+    expect(getRelatedRetrieveMembers(manifest)).toEqual({
+      CustomObject: ["Sample__c", "acme__Order__c"],
+      CustomTab: ["Sample__c"],
+      ApexClass: ["SampleController"],
+      ApexPage: [],
+      CustomPermission: [],
+      Flow: [],
+      CustomApplication: []
+    });
+  });
+
+  test("saves encoded profile names under the name used for lookups", async () => {
+    const transport = recordingTransport();
+    const options = { transport, sourceDir: [tempDir, SOURCE_DIR] };
+    await retrieveMissingMetadata({ Profile: ["Custom: Support"] }, options);
+    await retrieveMissingMetadata({ Profile: ["Custom: Support"] }, options);
+
+    // zipの Custom%3A Support.profile を取得するのは1回だけ
+    expect(transport.requests).toHaveLength(1);
+    const profile = await loadProfile("Custom: Support", {
+      sourceDir: [tempDir, SOURCE_DIR]
+    });
+    expect(profile.name).toBe("Custom: Support");
+  });
+
+  test("loads retrieved profiles and permission set groups", async () => {
+    const options = {
+      sourceDir: [tempDir, SOURCE_DIR],
+      retrieve: true,
+      transport: createZipTransport(ZIP_PATH)
+    };
+
+    const group = await loadPermissionSetGroup("RetrievedGroup", options);
+    expect(group.label).toBe("取得したグループ");
+    expect(group.components.map((component) => component.label)).toEqual([
+      "取得した権限セット"
+    ]);
+    // ミュート権限セットも組織から取得し、有効な権限から差し引く
+    expect(group.muting.label).toBe("ミュート: 取得したミュート");
+    expect(group.root.objectPermissions).toEqual([
+      expect.objectContaining({
+        object: "Sample__c",
+        allowRead: true,
+        allowEdit: false
+      })
+    ]);
+
+    const profile = await loadProfile("RetrievedProfile", options).catch(
+      (error) => error
+    );
+    expect(profile).toBeInstanceOf(RetrieveError);
+    expect(profile.message).toContain("Not found in the retrieved package");
+  });
+
+  test("reports a missing muting permission set instead of ignoring it", async () => {
+    await fs.mkdir(path.join(tempDir, "permissionsetgroups"));
+    await fs.writeFile(
+      path.join(
+        tempDir,
+        "permissionsetgroups",
+        "LocalGroup.permissionsetgroup-meta.xml"
+      ),
+      `<?xml version="1.0" encoding="UTF-8"?>
+<PermissionSetGroup xmlns="http://soap.sforce.com/2006/04/metadata">
+    <label>ローカルのグループ</label>
+    <mutingPermissionSets>LocalMuting</mutingPermissionSets>
+    <permissionSets>Sales</permissionSets>
+</PermissionSetGroup>`
+    );
+
+    await expect(
+      loadPermissionSetGroup("LocalGroup", {
+        sourceDir: [tempDir, SOURCE_DIR]
+      })
+    ).rejects.toThrow(
+      "Muting permission set file not found: LocalMuting (permission set group LocalGroup)"
+    );
+  });
+
+  test("throws RetrieveError when the request fails", async () => {
+    await expect(
+      retrieveMetadata(
+        { PermissionSet: ["Sales"] },
+        {
+          transport: createZipTransport(path.join(tempDir, "missing.zip")),
+          sourceDir: tempDir
+        }
+      )
+    ).rejects.toThrow(RetrieveError);
+  });
+});
+
+describe("salesforce connection", () => {
+  test("uses the Salesforce CLI default org without other credentials", () => {
+    expect(getAuthMethod(resolveAuthOptions({}, {}))).toBe("sf-cli");
+    expect(
+      getAuthMethod(
+        resolveAuthOptions(
+          {},
+          { SF_ACCESS_TOKEN: "token", SF_INSTANCE_URL: "x" }
+        )
+      )
+    ).toBe("access-token");
+  });
+
+  test("prefers command line options over environment variables", () => {
+    const env = {
+      SF_TARGET_ORG: "env-org",
+      SF_USERNAME: "env@example.com",
+      SF_PASSWORD: "password",
+      SF_INSTANCE_URL: "https://env.my.salesforce.com",
+      SF_LOGIN_URL: "https://test.salesforce.com/"
+    };
+
+    expect(
+      resolveAuthOptions(
+        { targetOrg: "cli-org", instanceUrl: "https://cli.my.salesforce.com" },
+        env
+      )
+    ).toMatchObject({
+      targetOrg: "cli-org",
+      username: "env@example.com",
+      password: "password",
+      securityToken: "",
+      instanceUrl: "https://cli.my.salesforce.com",
+      loginUrl: "https://test.salesforce.com"
+    });
+    expect(resolveAuthOptions({}, {}).loginUrl).toBe(
+      "https://login.salesforce.com"
+    );
+  });
+
+  test("picks the Salesforce CLI, JWT, access token and password in order", () => {
+    const env = {
+      SF_JWT_KEY_FILE: "server.key",
+      SF_CLIENT_ID: "client",
+      SF_ACCESS_TOKEN: "token",
+      SF_USERNAME: "user@example.com",
+      SF_PASSWORD: "password"
+    };
+    const methodFor = (options, overrides = {}) =>
+      getAuthMethod(resolveAuthOptions(options, { ...env, ...overrides }));
+
+    expect(methodFor({ targetOrg: "myorg" })).toBe("sf-cli");
+    expect(methodFor({})).toBe("jwt");
+    expect(
+      methodFor({}, { SF_JWT_KEY_FILE: undefined, SF_CLIENT_ID: undefined })
+    ).toBe("access-token");
+    expect(
+      methodFor(
+        {},
+        {
+          SF_JWT_KEY_FILE: undefined,
+          SF_CLIENT_ID: undefined,
+          SF_ACCESS_TOKEN: undefined
+        }
+      )
+    ).toBe("password");
+  });
+});
+
+describe("design workbook", () => {
+  const GENERATED_AT = new Date("2024-04-01T00:00:00Z");
+  const objectMatrix = {
+    type: "object-permissions",
+    keyHeaders: ["オブジェクト名", "オブジェクトAPI名"],
+    columns: ["営業", "サポート"],
+    rows: [["サンプル", "Sample__c", "CRUVa", "R"]],
+    warnings: [{ subject: "Sample__c", messages: [] }]
+  };
+  const userMatrix = {
+    type: "user-permissions",
+    keyHeaders: ["区分", "権限名", "権限名(英語)", "権限API名"],
+    columns: ["営業"],
+    rows: [
+      [
+        "高リスク",
+        "すべてのデータの編集",
+        "Modify All Data",
+        "ModifyAllData",
+        "ON"
+      ]
+    ],
+    warnings: [{ subject: "ModifyAllData", messages: [] }]
+  };
+  const documents = [
+    { scope: "all", markdown: renderMarkdown(objectMatrix) },
+    { scope: "all", markdown: renderMarkdown(userMatrix) },
+    {
+      scope: "Sales",
+      markdown: renderMarkdown(
+        {
+          ...objectMatrix,
+          columns: ["権限"],
+          rows: [["サンプル", "Sample__c", "CRU"]]
+        },
+        { subtitle: "## 権限セット: 営業" }
+      )
+    }
+  ];
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "design-workbook-"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  async function readWorkbook(options) {
+    const filePath = await writeDesignWorkbook(
+      path.join(tempDir, "permission-design.xlsx"),
+      documents,
+      { generatedAt: GENERATED_AT, ...options }
+    );
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+    return workbook;
+  }
+
+  const fillColor = (cell) => cell.fill?.fgColor?.argb;
+
+  test("adds the cover, a sheet per summary document and per subject", async () => {
+    const workbook = await readWorkbook();
+
+    expect(workbook.worksheets.map((sheet) => sheet.name)).toEqual([
+      "表紙・凡例",
+      "オブジェクト権限",
+      "システム権限",
+      "営業"
+    ]);
+    const cover = workbook.getWorksheet("表紙・凡例");
+    expect(cover.getCell("A1").value).toBe("権限セット設計書");
+    expect(cover.getCell("A1").font).toMatchObject({ bold: true, size: 16 });
+    expect(cover.getRow(2).values.slice(1)).toEqual(["作成日", "2024-04-01"]);
+    expect(cover.getCell("A4").value).toBe("オブジェクト権限の説明");
+    // 凡例の記号はアクセスレベルの色で塗る
+    expect(cover.getCell("A6").value).toBe("R");
+    expect(fillColor(cover.getCell("A6"))).toBe(
+      `FF${ACCESS_LEVEL_COLORS.read}`
+    );
+  });
+
+  test("lays out the header row and fills permission cells by access level", async () => {
+    const workbook = await readWorkbook();
+    const sheet = workbook.getWorksheet("オブジェクト権限");
+
+    expect(sheet.views[0]).toMatchObject({ state: "frozen", ySplit: 1 });
+    expect(sheet.getRow(1).values.slice(1)).toEqual([
+      "オブジェクト名",
+      "オブジェクトAPI名",
+      "営業",
+      "サポート"
+    ]);
+    expect(sheet.getCell("A1").font).toMatchObject({ bold: true });
+    expect(fillColor(sheet.getCell("A1"))).toBe("FFF0F0F0");
+    expect(fillColor(sheet.getCell("C2"))).toBe(
+      `FF${ACCESS_LEVEL_COLORS.elevated}`
+    );
+    expect(sheet.getCell("C2").alignment).toEqual({ horizontal: "center" });
+    expect(fillColor(sheet.getCell("D2"))).toBe(
+      `FF${ACCESS_LEVEL_COLORS.read}`
+    );
+    // キー列には色を付けない
+    expect(sheet.getCell("B2").fill).toBeUndefined();
+
+    const users = workbook.getWorksheet("システム権限");
+    expect(fillColor(users.getCell("A2"))).toBe("FFFDE2E2");
+    expect(users.getCell("A2").font).toMatchObject({ bold: true });
+  });
+
+  test("puts the subject label and document titles above the tables", async () => {
+    const workbook = await readWorkbook();
+    const sheet = workbook.getWorksheet("営業");
+
+    expect(sheet.getCell("A1").value).toBe("営業");
+    expect(sheet.getCell("A3").value).toBe("オブジェクト権限設計書");
+    expect(sheet.getRow(4).values.slice(1)).toEqual([
+      "オブジェクト名",
+      "オブジェクトAPI名",
+      "権限"
+    ]);
+    expect(sheet.getRow(5).values.slice(1)).toEqual([
+      "サンプル",
+      "Sample__c",
+      "CRU"
+    ]);
+  });
+
+  test("writes the cover in the language of lang", async () => {
+    const workbook = await readWorkbook({ lang: "en" });
+    const cover = workbook.worksheets[0];
+
+    expect(cover.name).toBe("Cover and legend");
+    expect(cover.getCell("A1").value).toBe("Permission Set Design");
+    expect(cover.getCell("A2").value).toBe("Created");
+  });
+});
+
+describe("design PDF", () => {
+  const GENERATED_AT = new Date("2024-04-01T00:00:00Z");
+  const objectMatrix = {
+    type: "object-permissions",
+    keyHeaders: ["オブジェクト名", "オブジェクトAPI名"],
+    columns: ["営業"],
+    rows: [["サンプル", "Sample__c", "CRU"]],
+    warnings: [{ subject: "Sample__c", messages: [] }]
+  };
+  const documents = [
+    {
+      scope: "Sales",
+      baseName: "object-permissions",
+      markdown: renderMarkdown(
+        { ...objectMatrix, columns: ["権限"] },
+        { subtitle: "## 権限セット: 営業" }
+      )
+    },
+    {
+      scope: "all",
+      baseName: "object-permissions",
+      markdown: renderMarkdown(objectMatrix)
+    },
+    // PDFにはオブジェクト・項目権限とタブ設定のみを含める
+    {
+      scope: "all",
+      baseName: "user-permissions",
+      markdown: renderMarkdown({
+        type: "user-permissions",
+        keyHeaders: ["区分", "権限名", "権限名(英語)", "権限API名"],
+        columns: ["営業"],
+        rows: [["", "APIの有効化", "API Enabled", "ApiEnabled", "ON"]],
+        warnings: [{ subject: "ApiEnabled", messages: [] }]
+      })
+    }
+  ];
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "design-pdf-"));
+    measureContext.fillText.mockClear();
+    measureContext.addPage.mockClear();
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  async function writePdf(options) {
+    const filePath = await writeDesignPdf(
+      path.join(tempDir, "permission-design.pdf"),
+      documents,
+      [{ scope: "Sales", label: "営業" }],
+      { projectName: "sample-project", generatedAt: GENERATED_AT, ...options }
+    );
+    return {
+      filePath,
+      texts: measureContext.fillText.mock.calls.map(([text]) => text)
+    };
+  }
+
+  test("draws the cover, contents, legend and a page per document", async () => {
+    const { filePath, texts } = await writePdf();
+
+    expect(await fs.readFile(filePath, "utf-8")).toBe("PNG 842x595");
+    expect(texts.slice(0, 3)).toEqual([
+      "権限セット設計書",
+      "sample-project",
+      "作成日: 2024-04-01"
+    ]);
+    // 目次・凡例・本文2ページ(一覧設計書が先頭)
+    expect(measureContext.addPage).toHaveBeenCalledTimes(4);
+    const toc = texts.indexOf("目次");
+    expect(texts.slice(toc + 1, toc + 5)).toEqual([
+      "権限セット一覧 - オブジェクト権限設計書",
+      "4",
+      "営業 - オブジェクト権限設計書",
+      "5"
+    ]);
+    expect(texts).toContain("凡例");
+    expect(texts).toContain("C: レコードの作成");
+    expect(texts).toContain("5 / 5");
+    expect(texts.some((text) => String(text).includes("システム権限"))).toBe(
+      false
+    );
+  });
+
+  test("writes the cover and headings in the language of lang", async () => {
+    const { texts } = await writePdf({ lang: "en" });
+
+    expect(texts[0]).toBe("Permission Set Design");
+    expect(texts).toContain("Created: 2024-04-01");
+    expect(texts).toContain("Contents");
+    expect(texts).toContain("Legend");
+    expect(texts).toContain("Permission set summary - オブジェクト権限設計書");
+  });
+});
+
+describe("describe cache", () => {
+  const NOW = new Date("2024-04-10T00:00:00Z");
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "describe-cache-"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test("treats caches older than the days or without a fetch date as stale", () => {
+    const fetchedAt = (date) => ({ fetchedAt: date });
+
+    expect(
+      isDescribeCacheStale(fetchedAt("2024-04-03T00:00:00Z"), 7, NOW)
+    ).toBe(false);
+    expect(
+      isDescribeCacheStale(fetchedAt("2024-04-02T23:59:59Z"), 7, NOW)
+    ).toBe(true);
+    expect(isDescribeCacheStale(null, 7, NOW)).toBe(true);
+    expect(isDescribeCacheStale({ orgId: "00D1" }, 7, NOW)).toBe(true);
+  });
+
+  test("selects missing, stale and other org objects", async () => {
+    const writeCache = (objectName, cacheInfo) =>
+      fs.writeFile(
+        getDescribeFilePath(objectName, tempDir),
+        cacheInfo
+          ? formatDescribeCache({ name: objectName }, cacheInfo)
+          : JSON.stringify({ name: objectName })
+      );
+    await writeCache("Account", {
+      orgId: "00D1",
+      fetchedAt: "2024-04-09T00:00:00Z"
+    });
+    await writeCache("Contact", {
+      orgId: "00D1",
+      fetchedAt: "2024-03-01T00:00:00Z"
+    });
+    await writeCache("Lead", {
+      orgId: "00D2",
+      fetchedAt: "2024-04-09T00:00:00Z"
+    });
+    // 取得元の情報を持たない以前の形式
+    await writeCache("Case", null);
+    const options = {
+      maxAgeDays: 7,
+      orgId: "00D1",
+      describeDir: tempDir,
+      now: NOW
+    };
+
+    expect(
+      (await selectStaleDescribeObjects(undefined, options)).sort()
+    ).toEqual(["Case", "Contact", "Lead"]);
+    expect(
+      await selectStaleDescribeObjects(["Account", "Sample__c"], options)
+    ).toEqual(["Sample__c"]);
+  });
+});
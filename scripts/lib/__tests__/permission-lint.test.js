@@ -0,0 +1,305 @@
+import { execFile } from "child_process";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  InvalidRuleError,
+  validateRules,
+  lintPermissions,
+  formatLintText,
+  formatLintJunit
+} from "../permission-lint.js";
+
+const TESTS_DIR = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = path.join(TESTS_DIR, "fixtures");
+const LINT_SCRIPT = path.join(TESTS_DIR, "../../jsforce/lint-permissions.js");
+
+const sales = {
+  type: "PermissionSet",
+  name: "Sales",
+  label: "営業",
+  root: {
+    userPermissions: [
+      { name: "ModifyAllData", enabled: true },
+      { name: "ViewSetup", enabled: false }
+    ],
+    objectPermissions: [
+      {
+        object: "Sample__c",
+        allowRead: true,
+        allowEdit: false,
+        allowDelete: true
+      },
+      {
+        object: "Account",
+        allowRead: true,
+        allowEdit: true,
+        allowDelete: true
+      }
+    ],
+    fieldPermissions: [
+      { field: "Sample__c.Secret__c", readable: true, editable: true },
+      { field: "Sample__c.Text__c", readable: true, editable: false }
+    ]
+  }
+};
+const admin = {
+  type: "Profile",
+  name: "Admin",
+  label: "システム管理者",
+  root: { userPermissions: [{ name: "ModifyAllData", enabled: true }] }
+};
+const TARGETS = [sales, admin];
+
+describe("lint rules", () => {
+  test("forbidden-user-permission reports granted permissions except the exceptions", () => {
+    const violations = lintPermissions(TARGETS, [
+      {
+        id: "no-modify-all",
+        type: "forbidden-user-permission",
+        permissions: ["ModifyAllData", "ViewSetup"],
+        except: ["システム管理者"]
+      },
+      {
+        id: "no-modify-all-profiles",
+        type: "forbidden-user-permission",
+        permissions: ["ModifyAllData"],
+        appliesTo: ["Profile"]
+      }
+    ]);
+
+    expect(violations).toEqual([
+      {
+        ruleId: "no-modify-all",
+        severity: "error",
+        description: "",
+        target: { type: "PermissionSet", name: "Sales", label: "営業" },
+        message: "ModifyAllData is granted"
+      },
+      {
+        ruleId: "no-modify-all-profiles",
+        severity: "error",
+        description: "",
+        target: { type: "Profile", name: "Admin", label: "システム管理者" },
+        message: "ModifyAllData is granted"
+      }
+    ]);
+  });
+
+  test("object-permission-dependency reports the missing object permissions", () => {
+    const violations = lintPermissions(TARGETS, [
+      {
+        id: "delete-needs-edit",
+        type: "object-permission-dependency",
+        objects: ["*"],
+        when: "D",
+        requires: "RU"
+      }
+    ]);
+
+    expect(violations.map((v) => v.message)).toEqual([
+      "Sample__c: D requires RU (missing U)"
+    ]);
+  });
+
+  test("field-max-access reports fields above the maximum access", () => {
+    const violations = lintPermissions(TARGETS, [
+      {
+        id: "secret-read-only",
+        type: "field-max-access",
+        fields: ["Sample__c.*"],
+        max: "R",
+        severity: "warning",
+        description: "機密項目は参照のみ",
+        message: "機密項目は編集不可"
+      }
+    ]);
+
+    expect(violations).toEqual([
+      {
+        ruleId: "secret-read-only",
+        severity: "warning",
+        description: "機密項目は参照のみ",
+        target: { type: "PermissionSet", name: "Sales", label: "営業" },
+        message: "機密項目は編集不可 (Sample__c.Secret__c is RU (max R))"
+      }
+    ]);
+  });
+
+  test("fields-granted reports package.xml fields that no target can read", () => {
+    const violations = lintPermissions(
+      TARGETS,
+      [{ id: "fields-granted", type: "fields-granted" }],
+      { customFields: ["Sample__c.Text__c", "Sample__c.Hidden__c"] }
+    );
+
+    expect(violations).toEqual([
+      {
+        ruleId: "fields-granted",
+        severity: "error",
+        description: "",
+        target: null,
+        message:
+          "Sample__c.Hidden__c is not granted by any permission set or profile"
+      }
+    ]);
+  });
+
+  test("validateRules rejects invalid rule definitions", () => {
+    const invalidRules = [
+      [{ type: "fields-granted" }, /"id" is required/],
+      [
+        [
+          { id: "a", type: "fields-granted" },
+          { id: "a", type: "fields-granted" }
+        ],
+        /duplicate id/
+      ],
+      [{ id: "a", type: "unknown" }, /unknown type "unknown"/],
+      [
+        { id: "a", type: "fields-granted", severity: "info" },
+        /unknown severity/
+      ],
+      [{ id: "a", type: "forbidden-user-permission" }, /"permissions"/],
+      [
+        {
+          id: "a",
+          type: "object-permission-dependency",
+          objects: ["*"],
+          when: "X",
+          requires: "R"
+        },
+        /object permission codes/
+      ],
+      [{ id: "a", type: "field-max-access", fields: ["*"], max: "U" }, /"max"/]
+    ];
+
+    for (const [rules, message] of invalidRules) {
+      expect(() => validateRules([rules].flat())).toThrow(InvalidRuleError);
+      expect(() => validateRules([rules].flat())).toThrow(message);
+    }
+  });
+});
+
+describe("lint reports", () => {
+  const rules = [
+    {
+      id: "no-modify-all",
+      type: "forbidden-user-permission",
+      permissions: ["ModifyAllData"],
+      except: ["Admin"]
+    },
+    {
+      id: "secret-read-only",
+      type: "field-max-access",
+      fields: ["Sample__c.Secret__c"],
+      max: "R",
+      severity: "warning",
+      message: 'Keep "secret" fields <= R'
+    }
+  ];
+  const violations = lintPermissions(TARGETS, rules);
+
+  test("formatLintText counts errors and warnings", () => {
+    expect(formatLintText(violations)).toBe(
+      [
+        "ERROR [no-modify-all] PermissionSet Sales: ModifyAllData is granted",
+        'WARNING [secret-read-only] PermissionSet Sales: Keep "secret" fields <= R (Sample__c.Secret__c is RU (max R))',
+        "2 problem(s) (1 error(s), 1 warning(s))"
+      ].join("\n")
+    );
+  });
+
+  test("formatLintJunit writes a suite per rule and a case per target", () => {
+    expect(formatLintJunit(violations, rules, TARGETS)).toBe(
+      `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="permission-lint">
+  <testsuite name="no-modify-all" tests="1" failures="1">
+    <testcase classname="no-modify-all" name="PermissionSet Sales">
+      <failure message="ModifyAllData is granted" type="forbidden-user-permission"/>
+    </testcase>
+  </testsuite>
+  <testsuite name="secret-read-only" tests="2" failures="0">
+    <testcase classname="secret-read-only" name="PermissionSet Sales">
+      <system-out>WARNING: Keep &quot;secret&quot; fields &lt;= R (Sample__c.Secret__c is RU (max R))</system-out>
+    </testcase>
+    <testcase classname="secret-read-only" name="Profile Admin"/>
+  </testsuite>
+</testsuites>
+`
+    );
+  });
+});
+
+describe("sf:lint:permissions", () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "permission-lint-"));
+    await fs.writeFile(
+      path.join(tempDir, "permission-design.config.json"),
+      JSON.stringify({
+        manifest: path.join(FIXTURES_DIR, "manifest", "sample-only.xml"),
+        sourceDirs: [path.join(FIXTURES_DIR, "force-app")],
+        describeDir: path.join(FIXTURES_DIR, "describe")
+      })
+    );
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  // ローカルのメタデータのみで実行する(組織には接続しない)
+  async function runLint(rules) {
+    const rulesFile = path.join(tempDir, "rules.json");
+    await fs.writeFile(rulesFile, JSON.stringify({ rules }));
+    return new Promise((resolve) => {
+      execFile(
+        process.execPath,
+        [LINT_SCRIPT, "--rules", rulesFile, "--format", "json"],
+        { cwd: tempDir },
+        (error, stdout, stderr) =>
+          resolve({ exitCode: error ? error.code : 0, stdout, stderr })
+      );
+    });
+  }
+
+  const apiRule = {
+    id: "no-api",
+    type: "forbidden-user-permission",
+    permissions: ["ApiEnabled"]
+  };
+
+  test("exits with 3 when a rule with severity error is violated", async () => {
+    const { exitCode, stdout } = await runLint([apiRule]);
+
+    expect(exitCode).toBe(3);
+    expect(JSON.parse(stdout).violations).toEqual([
+      expect.objectContaining({
+        ruleId: "no-api",
+        severity: "error",
+        message: "ApiEnabled is granted"
+      })
+    ]);
+  });
+
+  test("exits with 0 when only warnings are reported", async () => {
+    const { exitCode, stdout } = await runLint([
+      { ...apiRule, severity: "warning" }
+    ]);
+
+    expect(exitCode).toBe(0);
+    expect(JSON.parse(stdout).violations).toHaveLength(1);
+  });
+
+  test("exits with 2 for an invalid rule file", async () => {
+    const { exitCode, stderr } = await runLint([
+      { ...apiRule, severity: "fatal" }
+    ]);
+
+    expect(exitCode).toBe(2);
+    expect(stderr).toMatch(/unknown severity "fatal"/);
+  });
+});
@@ -0,0 +1,51 @@
+// 設計書の権限セル(CRUD, RU, Visible, ON など)をアクセスレベルに分類する
+
+export const ACCESS_LEVELS = {
+  NONE: "none",
+  READ: "read",
+  GRANTED: "granted",
+  ELEVATED: "elevated"
+};
+
+// アクセスレベルごとの表示色(RGB)
+export const ACCESS_LEVEL_COLORS = {
+  [ACCESS_LEVELS.NONE]: "EEEEEE",
+  [ACCESS_LEVELS.READ]: "FFF4C2",
+  [ACCESS_LEVELS.GRANTED]: "D9F2D9",
+  [ACCESS_LEVELS.ELEVATED]: "F8CBAD"
+};
+
+const OBJECT_PERMISSION_PATTERN = /^C?R?U?D?(Va)?(Ua)?(Fa)?$/;
+
+// 権限を表す値でなければnullを返す
+export function getAccessLevel(value) {
+  switch (value) {
+    case "-":
+    case "Hidden":
+      return ACCESS_LEVELS.NONE;
+    case "R":
+    case "Available":
+      return ACCESS_LEVELS.READ;
+    case "RU":
+    case "ON":
+    case "V":
+    case "VD":
+    case "Visible":
+      return ACCESS_LEVELS.GRANTED;
+    default:
+      break;
+  }
+
+  if (value && OBJECT_PERMISSION_PATTERN.test(value)) {
+    if (value.includes("Va") || value.includes("Ua")) {
+      return ACCESS_LEVELS.ELEVATED;
+    }
+    return /[CUD]/.test(value) ? ACCESS_LEVELS.GRANTED : ACCESS_LEVELS.READ;
+  }
+  return null;
+}
+
+// すべての値が権限を表す列(権限セット・プロファイルの列)かどうか
+export function isAccessColumn(values) {
+  return values.length > 0 && values.every((v) => getAccessLevel(v) !== null);
+}
@@ -0,0 +1,92 @@
+// OSごとのコマンドでクリップボードにコピーする(シェルを介さず標準入力で渡す)
+import fs from "fs";
+import path from "path";
+import { execFileSync } from "child_process";
+
+export class ClipboardError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ClipboardError";
+  }
+}
+
+function isWsl() {
+  try {
+    return /microsoft/i.test(fs.readFileSync("/proc/version", "utf-8"));
+  } catch {
+    return false;
+  }
+}
+
+function findCommand(command, env) {
+  const extensions =
+    process.platform === "win32" ? ["", ".exe", ".cmd", ".bat"] : [""];
+  for (const dir of (env.PATH || "").split(path.delimiter)) {
+    for (const extension of extensions) {
+      const filePath = path.join(dir, command + extension);
+      try {
+        fs.accessSync(filePath, fs.constants.X_OK);
+        return filePath;
+      } catch {
+        // 次の候補を探す
+      }
+    }
+  }
+  return null;
+}
+
+// clip.exe はUTF-16LE(BOM付き)で渡さないと日本語が文字化けする
+function toUtf16(text) {
+  return Buffer.concat([
+    Buffer.from([0xff, 0xfe]),
+    Buffer.from(text, "utf16le")
+  ]);
+}
+
+// 使用できるクリップボードのコマンド(macOS: pbcopy、Windows・WSL: clip.exe、Linux: wl-copy / xclip / xsel)
+export function detectClipboardCommand(
+  env = process.env,
+  platform = process.platform
+) {
+  const candidates = [];
+  if (platform === "darwin") {
+    candidates.push({ command: "pbcopy", args: [] });
+  } else if (platform === "win32" || isWsl()) {
+    candidates.push({ command: "clip.exe", args: [], encode: toUtf16 });
+  }
+  if (platform !== "darwin" && platform !== "win32") {
+    if (env.WAYLAND_DISPLAY) {
+      candidates.push({ command: "wl-copy", args: [] });
+    }
+    candidates.push(
+      { command: "xclip", args: ["-selection", "clipboard"] },
+      { command: "xsel", args: ["--clipboard", "--input"] }
+    );
+  }
+
+  for (const candidate of candidates) {
+    const commandPath = findCommand(candidate.command, env);
+    if (commandPath) return { ...candidate, path: commandPath };
+  }
+  return null;
+}
+
+export function copyToClipboard(text, env = process.env) {
+  const clipboard = detectClipboardCommand(env);
+  if (!clipboard) {
+    throw new ClipboardError(
+      "No clipboard command found. Install pbcopy, clip.exe, wl-copy (Wayland), xclip or xsel, or use --output / --stdout."
+    );
+  }
+  try {
+    execFileSync(clipboard.path, clipboard.args, {
+      input: clipboard.encode ? clipboard.encode(text) : text,
+      stdio: ["pipe", "ignore", "pipe"]
+    });
+  } catch (error) {
+    throw new ClipboardError(
+      `Failed to copy to clipboard with ${clipboard.command}: ${error.stderr?.toString().trim() || error.message}`
+    );
+  }
+  return clipboard.command;
+}
@@ -0,0 +1,150 @@
+// sf:describe:object で保存したdescribeデータ(.describe_data)を扱う共通処理
+import fs from "fs/promises";
+import path from "path";
+
+export const DEFAULT_DESCRIBE_DIR = ".describe_data";
+
+const DESCRIBE_FILE_SUFFIX = "_describe.json";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function getDescribeFilePath(
+  objectName,
+  describeDir = DEFAULT_DESCRIBE_DIR
+) {
+  return path.join(describeDir, `${objectName}${DESCRIBE_FILE_SUFFIX}`);
+}
+
+// 取得元の情報 { orgId, instanceUrl, apiVersion, fetchedAt } とdescribeデータをまとめて保存する
+export function formatDescribeCache(describe, cacheInfo) {
+  return JSON.stringify({ cacheInfo, describe }, null, 2);
+}
+
+// 取得元の情報を持たない以前の形式(describeデータのみ)も読み込めるようにする
+export function parseDescribeCache(content) {
+  const data = JSON.parse(content);
+  if (data.cacheInfo && data.describe) return data;
+  return { cacheInfo: null, describe: data };
+}
+
+// ファイルが存在しない場合はENOENTのエラーをそのまま投げる
+export async function readDescribeCache(
+  objectName,
+  describeDir = DEFAULT_DESCRIBE_DIR
+) {
+  const content = await fs.readFile(
+    getDescribeFilePath(objectName, describeDir),
+    "utf-8"
+  );
+  return parseDescribeCache(content);
+}
+
+export async function readObjectDescribe(
+  objectName,
+  describeDir = DEFAULT_DESCRIBE_DIR
+) {
+  return (await readDescribeCache(objectName, describeDir)).describe;
+}
+
+// 保存済みのdescribeデータを [{ objectName, cacheInfo, describe }] の形で返す
+export async function listDescribeCache(describeDir = DEFAULT_DESCRIBE_DIR) {
+  let fileNames;
+  try {
+    fileNames = await fs.readdir(describeDir);
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+  const entries = [];
+  for (const fileName of fileNames.filter((name) =>
+    name.endsWith(DESCRIBE_FILE_SUFFIX)
+  )) {
+    const objectName = fileName.slice(0, -DESCRIBE_FILE_SUFFIX.length);
+    entries.push({
+      objectName,
+      ...(await readDescribeCache(objectName, describeDir))
+    });
+  }
+  return entries;
+}
+
+// 取得日時が分からないものは古いものとして扱う
+export function isDescribeCacheStale(cacheInfo, maxAgeDays, now = new Date()) {
+  if (!cacheInfo?.fetchedAt) return true;
+  return now - new Date(cacheInfo.fetchedAt) > maxAgeDays * DAY_MS;
+}
+
+// 保存済みのdescribe情報のうち、未取得・古いもの・取得元の組織が異なるものを返す
+// (objectNamesを省略した場合は保存済みのすべてのオブジェクトが対象)
+export async function selectStaleDescribeObjects(
+  objectNames,
+  { maxAgeDays, orgId, describeDir = DEFAULT_DESCRIBE_DIR, now = new Date() }
+) {
+  const cache = new Map(
+    (await listDescribeCache(describeDir)).map((entry) => [
+      entry.objectName,
+      entry.cacheInfo
+    ])
+  );
+  return (objectNames || [...cache.keys()]).filter((objectName) => {
+    if (!cache.has(objectName)) return true;
+    const cacheInfo = cache.get(objectName);
+    return (
+      isDescribeCacheStale(cacheInfo, maxAgeDays, now) ||
+      cacheInfo.orgId !== orgId
+    );
+  });
+}
+
+// describeデータがなくても処理を続けたい箇所(ラベル解決など)で使用する
+export async function findObjectDescribe(
+  objectName,
+  describeDir = DEFAULT_DESCRIBE_DIR
+) {
+  try {
+    return await readObjectDescribe(objectName, describeDir);
+  } catch {
+    return null;
+  }
+}
+
+export async function getFieldLabel(objectDescribe, fieldName) {
+  if (!objectDescribe || !objectDescribe.fields) return fieldName;
+  // カスタム項目も標準項目も、完全一致で検索
+  const field = objectDescribe.fields.find((f) => f.name === fieldName);
+  if (!field) {
+    console.error(`Field not found: ${fieldName}`);
+    return fieldName;
+  }
+  console.error(`Found field ${fieldName} with label ${field.label}`);
+  return field.label;
+}
+
+// 監査項目など、権限設計の対象にしないシステム項目
+export const SYSTEM_FIELD_NAMES = [
+  "Id",
+  "IsDeleted",
+  "OwnerId",
+  "CreatedById",
+  "CreatedDate",
+  "LastModifiedById",
+  "LastModifiedDate",
+  "SystemModstamp",
+  "LastActivityDate",
+  "LastViewedDate",
+  "LastReferencedDate"
+];
+
+// 項目レベルセキュリティを設定できる項目のAPI名を「オブジェクト.項目」の形式で返す
+export function listPermissionableFields(
+  objectDescribe,
+  { customOnly = false, excludeSystem = false } = {}
+) {
+  return (objectDescribe?.fields || [])
+    .filter((field) => field.permissionable)
+    .filter((field) => !customOnly || field.custom || /__c$/.test(field.name))
+    .filter(
+      (field) => !excludeSystem || !SYSTEM_FIELD_NAMES.includes(field.name)
+    )
+    .map((field) => `${objectDescribe.name}.${field.name}`);
+}
@@ -0,0 +1,510 @@
+// 設計書の表題・凡例・列名などの文言(generate-design の --lang で切り替える)
+// 文言の {{label}} などは renderText で置き換える
+
+export const DEFAULT_LANG = "ja";
+
+const ACCESS_LEGEND_JA = ["ON: アクセス可", "-: アクセス不可"];
+const ACCESS_LEGEND_EN = ["ON: Access granted", "-: No access"];
+
+const DESIGN_LOCALES = {
+  ja: {
+    documents: {
+      "object-permissions": {
+        title: "オブジェクト権限設計書",
+        tableHeading: "オブジェクト権限一覧",
+        legendHeading: "オブジェクト権限の説明",
+        legend: [
+          "C: レコードの作成",
+          "R: レコードの参照",
+          "U: レコードの編集",
+          "D: レコードの削除",
+          "Va: すべて参照",
+          "Ua: すべて変更",
+          "Fa: すべての項目表示"
+        ],
+        valueHeader: "権限"
+      },
+      "field-permissions": {
+        title: "項目権限設計書",
+        tableHeading: "項目権限一覧",
+        legendHeading: "項目権限の説明",
+        legend: ["R: 参照可能", "RU: 参照・編集可能", "-: 権限なし"],
+        valueHeader: "権限"
+      },
+      "tab-settings": {
+        title: "タブ設定設計書",
+        tableHeading: "タブ設定一覧",
+        legendHeading: "タブ設定の説明",
+        legend: [
+          "Visible: タブを表示",
+          "Available: 利用可能(初期状態は非表示)",
+          "Hidden: タブを非表示",
+          "-: 設定なし"
+        ],
+        valueHeader: "表示設定"
+      },
+      "record-type-visibilities": {
+        title: "レコードタイプ設計書",
+        tableHeading: "レコードタイプ一覧",
+        legendHeading: "レコードタイプの表示設定の説明",
+        legend: ["V: 表示", "VD: 表示(デフォルト)", "-: 表示しない"],
+        valueHeader: "表示設定"
+      },
+      "user-permissions": {
+        title: "システム権限設計書",
+        tableHeading: "システム権限一覧",
+        legendHeading: "システム権限の説明",
+        legend: [
+          "ON: 権限あり",
+          "-: 権限なし",
+          "区分が「高リスク」の権限は、付与時にセキュリティレビューが必要"
+        ],
+        valueHeader: "権限"
+      },
+      "apex-class-accesses": {
+        title: "Apexクラスアクセス設計書",
+        itemLabel: "Apexクラス",
+        legend: ACCESS_LEGEND_JA
+      },
+      "visualforce-page-accesses": {
+        title: "Visualforceページアクセス設計書",
+        itemLabel: "Visualforceページ",
+        legend: ACCESS_LEGEND_JA
+      },
+      "custom-permissions": {
+        title: "カスタム権限設計書",
+        itemLabel: "カスタム権限",
+        legend: ACCESS_LEGEND_JA
+      },
+      "flow-accesses": {
+        title: "フローアクセス設計書",
+        itemLabel: "フロー",
+        legend: ACCESS_LEGEND_JA
+      },
+      "custom-metadata-type-accesses": {
+        title: "カスタムメタデータ型アクセス設計書",
+        itemLabel: "カスタムメタデータ型",
+        legend: ACCESS_LEGEND_JA
+      },
+      "custom-setting-accesses": {
+        title: "カスタム設定アクセス設計書",
+        itemLabel: "カスタム設定",
+        legend: ACCESS_LEGEND_JA
+      },
+      "application-visibilities": {
+        title: "アプリケーション表示設計書",
+        itemLabel: "アプリケーション",
+        legend: ["V: 表示", "VD: 表示(デフォルト)", "-: 表示しない"]
+      }
+    },
+    // アクセス設定の設計書(itemLabel を持つもの)で共通の文言
+    access: {
+      tableHeading: "{{itemLabel}}一覧",
+      legendHeading: "{{itemLabel}}アクセスの説明",
+      valueHeader: "権限"
+    },
+    columns: {
+      objectLabel: "オブジェクト名",
+      objectName: "オブジェクトAPI名",
+      fieldLabel: "項目名",
+      fieldName: "項目API名",
+      tabLabel: "タブ名",
+      tabName: "タブAPI名",
+      recordTypeLabel: "レコードタイプ名",
+      recordTypeName: "レコードタイプAPI名",
+      category: "区分",
+      permissionLabel: "権限名",
+      permissionAltLabel: "権限名(英語)",
+      permissionName: "権限API名",
+      memberLabel: "{{itemLabel}}名",
+      memberName: "API名"
+    },
+    // システム権限の「権限名」「権限名(英語)」列に表示する辞書の言語
+    permissionLabelLang: "ja",
+    permissionAltLabelLang: "en",
+    warning: "警告",
+    highRisk: "高リスク",
+    effectivePermissions: "有効な権限",
+    muting: "ミュート: {{label}}",
+    // 一覧設計書で権限セットグループの有効な権限の付与元を示す列
+    groupComponent: "{{group}} / {{label}}",
+    mutingLegend: "U: 編集のみミュート(ミュート権限セット列)",
+    fieldGroupHeading: "項目権限一覧: {{objectLabel}} ({{objectName}})",
+    // 設計書の見出し(権限セット・プロファイルは subject.type で選ぶ)
+    subtitles: {
+      permissionSet: "権限セット: {{label}}",
+      profile: "プロファイル: {{label}}",
+      permissionSetGroup: "権限セットグループ: {{label}}",
+      persona: "ペルソナ: {{label}}"
+    },
+    personaNote: `有効な権限は、プロファイル・権限セット・権限セットグループのうち最も強い権限を優先し、
+Ua(すべて変更)はC以外のR/U/D/Vaを、Fa(すべての項目表示)は項目の参照を含めて算出しています。`,
+    // 設計書の警告列(describeデータとの照合結果)の文言
+    validation: {
+      listSeparator: "・",
+      requiredFlags: "{{flag}}には{{required}}が必要です",
+      unavailableFlag: "このオブジェクトでは{{flag}}の権限を使用できません",
+      exceedsMaster:
+        "主従関係の親オブジェクト({{master}})にない権限({{flags}})が設定されています",
+      notPermissionable:
+        "項目レベルセキュリティを設定できない項目(必須項目など)に権限が設定されています",
+      readOnlyField:
+        "編集できない項目(数式・積み上げ集計など)に編集権限が設定されています",
+      missingObjectRead: "オブジェクトの参照権限(R)がありません",
+      missingObjectEdit: "オブジェクトの編集権限(U)がありません"
+    },
+    // 差分レポート(sf:diff:permissions)とドリフトレポート(--check-drift)の文言
+    diff: {
+      title: "権限差分レポート",
+      target: "対象: {{label}}",
+      before: "変更前",
+      after: "変更後",
+      added: "追加",
+      removed: "削除",
+      noChanges: "変更なし",
+      headings: {
+        objects: "オブジェクト権限の変更",
+        fields: "項目権限の変更",
+        tabs: "タブ設定の変更",
+        userPermissions: "システム権限の変更"
+      },
+      criticalHeading: "【要確認】すべて参照・すべて変更の付与",
+      noCritical: "なし",
+      objectGranted: "{{label}} ({{name}}): {{code}} ({{flag}}) を付与",
+      permissionGranted: "{{label}} ({{name}}) を付与"
+    },
+    drift: {
+      title: "権限ドリフトレポート",
+      org: "組織",
+      local: "ローカル",
+      orgSource: "Salesforce組織 (Metadata API)",
+      result: "結果",
+      notInOrg: "組織に存在しません",
+      notInLocal: "ローカルに存在しません",
+      noDifferences: "差分なし",
+      differences: "{{count}}件の権限セット・プロファイルで差分あり"
+    },
+    // PDF(--pdf)・Excelブック(--xlsx)の文言
+    book: {
+      title: "権限セット設計書",
+      summaryLabel: "権限セット一覧",
+      index: "目次",
+      legend: "凡例",
+      coverSheet: "表紙・凡例",
+      generatedAtLabel: "作成日",
+      generatedAt: "作成日: {{date}}"
+    },
+    // HTMLサイト(--html)の文言
+    site: {
+      title: "権限セット設計書",
+      summaryLabel: "権限セット一覧",
+      index: "目次",
+      generatedAt: "作成日: {{date}}",
+      otherDocuments: "他の設計書",
+      accessLevel: "アクセスレベル",
+      allLevels: "すべて",
+      subjectFilter: "オブジェクト・項目・権限名",
+      indexFilter: "ラベル・API名・説明",
+      indexHeaders: ["種類", "ラベル", "API名", "説明", "ライセンス"],
+      subjectTypes: {
+        PermissionSet: "権限セット",
+        Profile: "プロファイル",
+        PermissionSetGroup: "権限セットグループ",
+        Persona: "ペルソナ"
+      },
+      accessLevels: {
+        none: "権限なし",
+        read: "参照のみ",
+        granted: "付与",
+        elevated: "すべて参照・変更"
+      }
+    }
+  },
+  en: {
+    documents: {
+      "object-permissions": {
+        title: "Object Permission Design",
+        tableHeading: "Object permissions",
+        legendHeading: "Object permission legend",
+        legend: [
+          "C: Create records",
+          "R: Read records",
+          "U: Edit records",
+          "D: Delete records",
+          "Va: View all records",
+          "Ua: Modify all records",
+          "Fa: View all fields"
+        ],
+        valueHeader: "Permission"
+      },
+      "field-permissions": {
+        title: "Field Permission Design",
+        tableHeading: "Field permissions",
+        legendHeading: "Field permission legend",
+        legend: ["R: Read", "RU: Read and edit", "-: No access"],
+        valueHeader: "Permission"
+      },
+      "tab-settings": {
+        title: "Tab Setting Design",
+        tableHeading: "Tab settings",
+        legendHeading: "Tab setting legend",
+        legend: [
+          "Visible: Tab is visible",
+          "Available: Available (hidden by default)",
+          "Hidden: Tab is hidden",
+          "-: Not set"
+        ],
+        valueHeader: "Visibility"
+      },
+      "record-type-visibilities": {
+        title: "Record Type Design",
+        tableHeading: "Record types",
+        legendHeading: "Record type visibility legend",
+        legend: ["V: Visible", "VD: Visible (default)", "-: Not visible"],
+        valueHeader: "Visibility"
+      },
+      "user-permissions": {
+        title: "System Permission Design",
+        tableHeading: "System permissions",
+        legendHeading: "System permission legend",
+        legend: [
+          "ON: Enabled",
+          "-: Disabled",
+          'Permissions in the "High risk" category require a security review before they are granted'
+        ],
+        valueHeader: "Permission"
+      },
+      "apex-class-accesses": {
+        title: "Apex Class Access Design",
+        itemLabel: "Apex class",
+        legend: ACCESS_LEGEND_EN
+      },
+      "visualforce-page-accesses": {
+        title: "Visualforce Page Access Design",
+        itemLabel: "Visualforce page",
+        legend: ACCESS_LEGEND_EN
+      },
+      "custom-permissions": {
+        title: "Custom Permission Design",
+        itemLabel: "Custom permission",
+        legend: ACCESS_LEGEND_EN
+      },
+      "flow-accesses": {
+        title: "Flow Access Design",
+        itemLabel: "Flow",
+        legend: ACCESS_LEGEND_EN
+      },
+      "custom-metadata-type-accesses": {
+        title: "Custom Metadata Type Access Design",
+        itemLabel: "Custom metadata type",
+        legend: ACCESS_LEGEND_EN
+      },
+      "custom-setting-accesses": {
+        title: "Custom Setting Access Design",
+        itemLabel: "Custom setting",
+        legend: ACCESS_LEGEND_EN
+      },
+      "application-visibilities": {
+        title: "Application Visibility Design",
+        itemLabel: "Application",
+        legend: ["V: Visible", "VD: Visible (default)", "-: Not visible"]
+      }
+    },
+    access: {
+      tableHeading: "{{itemLabel}} list",
+      legendHeading: "{{itemLabel}} access legend",
+      valueHeader: "Permission"
+    },
+    columns: {
+      objectLabel: "Object name",
+      objectName: "Object API name",
+      fieldLabel: "Field name",
+      fieldName: "Field API name",
+      tabLabel: "Tab name",
+      tabName: "Tab API name",
+      recordTypeLabel: "Record type name",
+      recordTypeName: "Record type API name",
+      category: "Category",
+      permissionLabel: "Permission name",
+      permissionAltLabel: "Permission name (Japanese)",
+      permissionName: "Permission API name",
+      memberLabel: "{{itemLabel}} name",
+      memberName: "API name"
+    },
+    permissionLabelLang: "en",
+    permissionAltLabelLang: "ja",
+    warning: "Warnings",
+    highRisk: "High risk",
+    effectivePermissions: "Effective permissions",
+    muting: "Muted: {{label}}",
+    groupComponent: "{{group}} / {{label}}",
+    mutingLegend: "U: Edit access muted (muting permission set column)",
+    fieldGroupHeading: "Field permissions: {{objectLabel}} ({{objectName}})",
+    subtitles: {
+      permissionSet: "Permission set: {{label}}",
+      profile: "Profile: {{label}}",
+      permissionSetGroup: "Permission set group: {{label}}",
+      persona: "Persona: {{label}}"
+    },
+    personaNote: `Effective permissions take the strongest access among the profile, permission sets and permission set groups.
+Ua (Modify all) includes R/U/D/Va except C, and Fa (View all fields) includes read access to fields.`,
+    validation: {
+      listSeparator: ", ",
+      requiredFlags: "{{flag}} requires {{required}}",
+      unavailableFlag: "{{flag}} is not available for this object",
+      exceedsMaster:
+        "Grants permissions ({{flags}}) that the master object ({{master}}) does not have",
+      notPermissionable:
+        "Access is set on a field without field-level security (such as a required field)",
+      readOnlyField:
+        "Edit access is set on a read-only field (formula, roll-up summary, etc.)",
+      missingObjectRead: "No read access (R) on the object",
+      missingObjectEdit: "No edit access (U) on the object"
+    },
+    diff: {
+      title: "Permission Diff Report",
+      target: "Target: {{label}}",
+      before: "Before",
+      after: "After",
+      added: "Added",
+      removed: "Removed",
+      noChanges: "No changes",
+      headings: {
+        objects: "Object permission changes",
+        fields: "Field permission changes",
+        tabs: "Tab setting changes",
+        userPermissions: "System permission changes"
+      },
+      criticalHeading: "[Review] View All / Modify All granted",
+      noCritical: "None",
+      objectGranted: "{{label}} ({{name}}): {{code}} ({{flag}}) granted",
+      permissionGranted: "{{label}} ({{name}}) granted"
+    },
+    drift: {
+      title: "Permission Drift Report",
+      org: "Org",
+      local: "Local",
+      orgSource: "Salesforce org (Metadata API)",
+      result: "Result",
+      notInOrg: "Not found in the org",
+      notInLocal: "Not found in the local source",
+      noDifferences: "No differences",
+      differences: "Differences in {{count}} permission sets and profiles"
+    },
+    book: {
+      title: "Permission Set Design",
+      summaryLabel: "Permission set summary",
+      index: "Contents",
+      legend: "Legend",
+      coverSheet: "Cover and legend",
+      generatedAtLabel: "Created",
+      generatedAt: "Created: {{date}}"
+    },
+    site: {
+      title: "Permission Set Design",
+      summaryLabel: "Permission set summary",
+      index: "Contents",
+      generatedAt: "Created: {{date}}",
+      otherDocuments: "Other designs",
+      accessLevel: "Access level",
+      allLevels: "All",
+      subjectFilter: "Object, field or permission",
+      indexFilter: "Label, API name or description",
+      indexHeaders: ["Type", "Label", "API name", "Description", "License"],
+      subjectTypes: {
+        PermissionSet: "Permission set",
+        Profile: "Profile",
+        PermissionSetGroup: "Permission set group",
+        Persona: "Persona"
+      },
+      accessLevels: {
+        none: "No access",
+        read: "Read only",
+        granted: "Granted",
+        elevated: "View / Modify all"
+      }
+    }
+  }
+};
+
+export const DESIGN_LANGS = Object.keys(DESIGN_LOCALES);
+
+// {{name}} を values の値に置き換える(値がない場合は空文字)
+export function renderText(text, values = {}) {
+  return text.replace(/\{\{\s*([\w-]+)\s*\}\}/g, (match, name) =>
+    String(values[name] ?? "")
+  );
+}
+
+export function getDesignLocale(lang = DEFAULT_LANG) {
+  const locale = DESIGN_LOCALES[lang];
+  if (!locale) {
+    throw new Error(
+      `Unknown language: ${lang} (use ${DESIGN_LANGS.join(", ")})`
+    );
+  }
+  return locale;
+}
+
+// 設計書の種類ごとの文言: { title, tableHeading, legendHeading, legend, valueHeader, itemLabel }
+// アクセス設定の設計書は共通の文言に itemLabel を埋め込む
+export function getDocumentTexts(type, lang = DEFAULT_LANG) {
+  const locale = getDesignLocale(lang);
+  const document = locale.documents[type];
+  if (!document.itemLabel) return document;
+  const values = { itemLabel: document.itemLabel };
+  return {
+    tableHeading: renderText(locale.access.tableHeading, values),
+    legendHeading: renderText(locale.access.legendHeading, values),
+    valueHeader: locale.access.valueHeader,
+    ...document
+  };
+}
+
+// 列ID(objectName など)の列名。memberLabel はアクセス設定の種類ごとに異なる
+export function getColumnHeader(columnId, lang = DEFAULT_LANG, values = {}) {
+  return renderText(getDesignLocale(lang).columns[columnId], values);
+}
+
+function collectTexts(getText) {
+  return [
+    ...new Set(DESIGN_LANGS.map((lang) => getText(getDesignLocale(lang))))
+  ];
+}
+
+// 生成時の言語に関わらず設計書を読み込めるよう、すべての言語の文言を返す
+export const WARNING_HEADERS = collectTexts((locale) => locale.warning);
+export const HIGH_RISK_LABELS = collectTexts((locale) => locale.highRisk);
+
+export function getColumnHeaders(columnId) {
+  return collectTexts((locale) => locale.columns[columnId]);
+}
+
+export function getValueHeaders(type) {
+  return collectTexts(
+    (locale) => locale.documents[type].valueHeader ?? locale.access.valueHeader
+  );
+}
+
+// 「## プロファイル: 〇〇」などの見出しの「プロファイル: 」部分
+export const SUBJECT_HEADING_PREFIXES = DESIGN_LANGS.flatMap((lang) =>
+  Object.values(getDesignLocale(lang).subtitles).map(
+    (subtitle) => subtitle.split("{{label}}")[0]
+  )
+);
+
+// API名の列(キー列)。html-site で行を識別するのに使う
+const API_NAME_COLUMNS = [
+  "objectName",
+  "fieldName",
+  "tabName",
+  "recordTypeName",
+  "permissionName",
+  "memberName"
+];
+
+export function isApiNameHeader(header) {
+  return API_NAME_COLUMNS.some((columnId) =>
+    getColumnHeaders(columnId).includes(header)
+  );
+}
@@ -0,0 +1,79 @@
+// 設計書のテンプレート(<テンプレートフォルダ>/<設計書の種類>.md)
+// 先頭の「---」で囲んだ部分で列の並び・表題などを指定し、本文の {{title}} などを置き換えて設計書にする
+import fs from "fs/promises";
+import path from "path";
+
+export const DEFAULT_TEMPLATE_DIR = ".design/templates";
+
+// テンプレートがない場合の設計書の構成
+export const DEFAULT_TEMPLATE_BODY = `# {{title}}
+
+{{subtitle}}
+
+{{legend}}
+
+{{tables}}
+
+{{warnings}}`;
+
+const TEMPLATE_KEYS = ["columns", "title", "tableHeading"];
+
+// テンプレートの内容が不正な場合のエラー
+export class InvalidTemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidTemplateError";
+  }
+}
+
+// { columns: [列ID], title, tableHeading, body }
+// columns は「objectLabel, objectName, permissions, 備考」のようにカンマ区切りで指定する
+export function parseDesignTemplate(content, fileName = "template") {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/);
+  const template = { body: match ? content.slice(match[0].length) : content };
+  if (!match) return template;
+
+  for (const line of match[1].split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith("#")) continue;
+    const separator = line.indexOf(":");
+    const key = separator === -1 ? "" : line.slice(0, separator).trim();
+    if (!TEMPLATE_KEYS.includes(key)) {
+      throw new InvalidTemplateError(
+        `Invalid front matter in ${fileName}: "${line.trim()}" (use ${TEMPLATE_KEYS.join(", ")})`
+      );
+    }
+    const value = line.slice(separator + 1).trim();
+    template[key] =
+      key === "columns"
+        ? value
+            .split(",")
+            .map((column) => column.trim())
+            .filter(Boolean)
+        : value;
+  }
+  return template;
+}
+
+// フォルダ内の <設計書の種類>.md を読み込む: { "<種類>": テンプレート }(フォルダがない場合は空)
+export async function readDesignTemplates(templateDir) {
+  let fileNames;
+  try {
+    fileNames = await fs.readdir(templateDir);
+  } catch (error) {
+    if (error.code === "ENOENT") return {};
+    throw error;
+  }
+
+  const templates = {};
+  for (const fileName of fileNames.filter((name) => name.endsWith(".md"))) {
+    const content = await fs.readFile(
+      path.join(templateDir, fileName),
+      "utf-8"
+    );
+    templates[path.basename(fileName, ".md")] = parseDesignTemplate(
+      content,
+      fileName
+    );
+  }
+  return templates;
+}
@@ -0,0 +1,127 @@
+// describeデータと照らし合わせて、設定できない・矛盾している権限を検出する共通処理
+import { OBJECT_PERMISSION_FLAGS } from "./permission-metadata.js";
+import { IMPLIED_OBJECT_FLAGS } from "./permission-merge.js";
+import { DEFAULT_LANG, getDesignLocale, renderText } from "./design-locale.js";
+
+const FLAG_CODES = Object.fromEntries(
+  Object.entries(OBJECT_PERMISSION_FLAGS).map(([code, flag]) => [flag, code])
+);
+
+// describeのオブジェクトの属性と、それがfalseの場合に設定できない権限
+const OBJECT_DESCRIBE_FLAGS = {
+  createable: "allowCreate",
+  updateable: "allowEdit",
+  deletable: "allowDelete"
+};
+
+// 主従関係の子オブジェクトで、親オブジェクトより強く設定できない権限
+const MASTER_DETAIL_FLAGS = [
+  "allowRead",
+  "allowEdit",
+  "allowDelete",
+  "viewAllRecords",
+  "modifyAllRecords"
+];
+
+function findObjectPermission(root, objectName) {
+  return root.objectPermissions?.find((p) => p.object === objectName);
+}
+
+function getMasterObjects(objectDescribe) {
+  return (objectDescribe?.fields || [])
+    .filter(
+      (field) =>
+        field.type === "reference" &&
+        field.relationshipOrder !== undefined &&
+        field.relationshipOrder !== null
+    )
+    .flatMap((field) => field.referenceTo || []);
+}
+
+// customObjects: 親オブジェクトの権限を比較する対象(package.xmlのCustomObject)
+// lang: 警告の文言の言語
+export function validateObjectPermission(
+  root,
+  objectName,
+  objectDescribe,
+  customObjects = [],
+  lang = DEFAULT_LANG
+) {
+  const permission = findObjectPermission(root, objectName);
+  if (!permission) return [];
+  const texts = getDesignLocale(lang).validation;
+  const warnings = [];
+
+  // すべて変更にはすべて参照・参照・編集・削除が必要、のような依存関係
+  for (const [flag, requiredFlags] of Object.entries(IMPLIED_OBJECT_FLAGS)) {
+    if (!permission[flag]) continue;
+    const missing = requiredFlags.filter((required) => !permission[required]);
+    if (missing.length > 0) {
+      warnings.push(
+        renderText(texts.requiredFlags, {
+          flag: FLAG_CODES[flag],
+          required: missing.map((m) => FLAG_CODES[m]).join(texts.listSeparator)
+        })
+      );
+    }
+  }
+
+  for (const [describeFlag, flag] of Object.entries(OBJECT_DESCRIBE_FLAGS)) {
+    if (objectDescribe?.[describeFlag] === false && permission[flag]) {
+      warnings.push(
+        renderText(texts.unavailableFlag, { flag: FLAG_CODES[flag] })
+      );
+    }
+  }
+
+  for (const master of getMasterObjects(objectDescribe)) {
+    if (!customObjects.includes(master)) continue;
+    const masterPermission = findObjectPermission(root, master) || {};
+    const exceeding = MASTER_DETAIL_FLAGS.filter(
+      (flag) => permission[flag] && !masterPermission[flag]
+    );
+    if (exceeding.length > 0) {
+      warnings.push(
+        renderText(texts.exceedsMaster, {
+          master,
+          flags: exceeding.map((f) => FLAG_CODES[f]).join("")
+        })
+      );
+    }
+  }
+  return warnings;
+}
+
+export function validateFieldPermission(
+  root,
+  fieldFullName,
+  objectDescribe,
+  lang = DEFAULT_LANG
+) {
+  const permission = root.fieldPermissions?.find(
+    (p) => p.field === fieldFullName
+  );
+  if (!permission || !(permission.readable || permission.editable)) return [];
+  const [objectName, fieldName] = fieldFullName.split(".");
+  const texts = getDesignLocale(lang).validation;
+  const warnings = [];
+
+  const field = objectDescribe?.fields?.find((f) => f.name === fieldName);
+  if (field?.permissionable === false) {
+    warnings.push(texts.notPermissionable);
+  } else if (
+    permission.editable &&
+    field &&
+    (field.calculated || field.updateable === false)
+  ) {
+    warnings.push(texts.readOnlyField);
+  }
+
+  const objectPermission = findObjectPermission(root, objectName);
+  if (!objectPermission?.allowRead) {
+    warnings.push(texts.missingObjectRead);
+  } else if (permission.editable && !objectPermission.allowEdit) {
+    warnings.push(texts.missingObjectEdit);
+  }
+  return warnings;
+}
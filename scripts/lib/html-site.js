@@ -0,0 +1,376 @@
+// 設計書を、サーバーなしでファイルから開ける静的なHTMLサイトとして書き出す
+import fs from "fs/promises";
+import path from "path";
+import {
+  parseMarkdownTables,
+  getMarkdownTitle,
+  getMarkdownSubjectLabel
+} from "./markdown-table.js";
+import {
+  ACCESS_LEVELS,
+  ACCESS_LEVEL_COLORS,
+  getAccessLevel,
+  isAccessColumn
+} from "./access-level.js";
+import {
+  DEFAULT_LANG,
+  WARNING_HEADERS,
+  HIGH_RISK_LABELS,
+  getDesignLocale,
+  isApiNameHeader,
+  renderText
+} from "./design-locale.js";
+
+const STYLE = `
+body { font-family: "Noto Sans JP", "Hiragino Sans", "Yu Gothic", sans-serif; margin: 0; color: #222; }
+header { background: #032d60; color: #fff; padding: 8px 16px; display: flex; gap: 16px; align-items: baseline; }
+header a { color: #fff; }
+main { padding: 16px; }
+nav.toc a { margin-right: 12px; }
+.filters { position: sticky; top: 0; z-index: 3; background: #fff; padding: 8px 0; display: flex; gap: 12px; border-bottom: 1px solid #ddd; }
+.table-wrapper { overflow: auto; max-height: 80vh; border: 1px solid #ccc; margin-bottom: 24px; }
+table { border-collapse: separate; border-spacing: 0; font-size: 13px; }
+th, td { border-right: 1px solid #ddd; border-bottom: 1px solid #ddd; padding: 4px 8px; white-space: nowrap; }
+thead th { position: sticky; top: 0; z-index: 2; background: #f0f0f0; cursor: pointer; user-select: none; }
+thead th[data-order="asc"]::after { content: " ▲"; }
+thead th[data-order="desc"]::after { content: " ▼"; }
+tbody td:first-child, thead th:first-child { position: sticky; left: 0; z-index: 1; background: #fff; }
+thead th:first-child { z-index: 3; background: #f0f0f0; }
+td.access { text-align: center; }
+td.warning { color: #c00000; white-space: normal; min-width: 240px; }
+td.high-risk { background: #fde2e2; color: #c00000; font-weight: bold; }
+td.links a { margin-right: 8px; }
+tr:target td { outline: 2px solid #0176d3; }
+${Object.entries(ACCESS_LEVEL_COLORS)
+  .map(([level, color]) => `td.level-${level} { background: #${color}; }`)
+  .join("\n")}
+`;
+
+// 表の並べ替え・オブジェクト名とアクセスレベルでの絞り込み
+const SCRIPT = `
+document.querySelectorAll("thead th").forEach((th) => {
+  th.addEventListener("click", () => {
+    const table = th.closest("table");
+    const index = [...th.parentNode.children].indexOf(th);
+    const order = th.dataset.order === "asc" ? "desc" : "asc";
+    table.querySelectorAll("thead th").forEach((h) => delete h.dataset.order);
+    th.dataset.order = order;
+    const rows = [...table.tBodies[0].rows];
+    rows.sort((a, b) => {
+      const result = a.cells[index].textContent.localeCompare(
+        b.cells[index].textContent, document.documentElement.lang, { numeric: true });
+      return order === "asc" ? result : -result;
+    });
+    rows.forEach((row) => table.tBodies[0].appendChild(row));
+  });
+});
+const keywordInput = document.getElementById("filter-keyword");
+const levelSelect = document.getElementById("filter-level");
+function applyFilters() {
+  const keyword = keywordInput ? keywordInput.value.trim().toLowerCase() : "";
+  const level = levelSelect ? levelSelect.value : "";
+  document.querySelectorAll("tbody tr").forEach((row) => {
+    const keyText = [...row.querySelectorAll("td.key")]
+      .map((cell) => cell.textContent).join(" ").toLowerCase();
+    const matchesKeyword = !keyword || keyText.includes(keyword);
+    const matchesLevel = !level ||
+      row.querySelector("td.level-" + level) !== null;
+    row.hidden = !(matchesKeyword && matchesLevel);
+  });
+}
+keywordInput?.addEventListener("input", applyFilters);
+levelSelect?.addEventListener("change", applyFilters);
+`;
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function pagePath(scope) {
+  return `${scope}.html`;
+}
+
+// siteDirからの相対パスを、pageのフォルダからの相対リンクにする
+function relativeLink(fromPage, toPage, hash = "") {
+  const link = path.posix.relative(path.posix.dirname(fromPage), toPage);
+  return hash ? `${link}#${encodeURIComponent(hash)}` : link;
+}
+
+function stripTableSuffix(heading) {
+  return heading.replace(/\(table data\)$/, "");
+}
+
+// 表の列を、キー列(オブジェクト名・API名など)と権限の列に分ける
+function analyzeTable(table) {
+  const accessColumns = table.headers.map(
+    (header, index) =>
+      !WARNING_HEADERS.includes(header) &&
+      isAccessColumn(table.rows.map((row) => row[index] ?? ""))
+  );
+  const apiColumns = table.headers
+    .map((header, index) => (isApiNameHeader(header) ? index : -1))
+    .filter((index) => index >= 0);
+  const keyColumns = apiColumns.length > 0 ? apiColumns : [0];
+  return {
+    accessColumns,
+    rowKey: (row) => keyColumns.map((index) => row[index]).join(".")
+  };
+}
+
+function rowAnchor(baseName, key) {
+  return `${baseName}-${key}`;
+}
+
+// 「同じオブジェクト・項目を他の設計書で確認する」リンクのための索引
+// { "<baseName>\t<key>": [{ page, label, granted }] }
+function buildRowIndex(pages) {
+  const index = new Map();
+  for (const page of pages) {
+    for (const document of page.documents) {
+      for (const table of parseMarkdownTables(document.markdown)) {
+        const { accessColumns, rowKey } = analyzeTable(table);
+        for (const row of table.rows) {
+          const indexKey = `${document.baseName}\t${rowKey(row)}`;
+          const granted = row.some(
+            (value, i) =>
+              accessColumns[i] && getAccessLevel(value) !== ACCESS_LEVELS.NONE
+          );
+          if (!index.has(indexKey)) index.set(indexKey, []);
+          const entries = index.get(indexKey);
+          if (!entries.some((entry) => entry.page === page.path)) {
+            entries.push({ page: page.path, label: page.label, granted });
+          }
+        }
+      }
+    }
+  }
+  return index;
+}
+
+function renderTable(table, document, page, rowIndex, texts) {
+  const { accessColumns, rowKey } = analyzeTable(table);
+  const headerCells = table.headers
+    .map((header) => `<th>${escapeHtml(header)}</th>`)
+    .join("");
+  const body = table.rows
+    .map((row) => {
+      const key = rowKey(row);
+      const cells = table.headers
+        .map((header, i) => {
+          const value = row[i] ?? "";
+          const classes = [];
+          if (accessColumns[i]) {
+            classes.push("access", `level-${getAccessLevel(value)}`);
+          } else if (WARNING_HEADERS.includes(header)) {
+            classes.push("warning");
+          } else {
+            classes.push("key");
+            if (HIGH_RISK_LABELS.includes(value)) classes.push("high-risk");
+          }
+          return `<td class="${classes.join(" ")}">${escapeHtml(value)}</td>`;
+        })
+        .join("");
+      // 他の設計書で権限が付与されている同じ行へのリンク
+      const links = (rowIndex.get(`${document.baseName}\t${key}`) || [])
+        .filter((entry) => entry.page !== page.path && entry.granted)
+        .map(
+          (entry) =>
+            `<a href="${escapeHtml(relativeLink(page.path, entry.page, rowAnchor(document.baseName, key)))}">${escapeHtml(entry.label)}</a>`
+        )
+        .join("");
+      return `<tr id="${escapeHtml(rowAnchor(document.baseName, key))}">${cells}<td class="links">${links}</td></tr>`;
+    })
+    .join("\n");
+  return `<div class="table-wrapper"><table>
+<thead><tr>${headerCells}<th>${escapeHtml(texts.otherDocuments)}</th></tr></thead>
+<tbody>
+${body}
+</tbody>
+</table></div>`;
+}
+
+// 設計書Markdownの見出し・箇条書き・段落・表をHTMLにする
+function renderDocument(document, page, rowIndex, texts) {
+  const tables = parseMarkdownTables(document.markdown);
+  const lines = document.markdown.split(/\r?\n/);
+  const html = [];
+  let list = [];
+  let tableIndex = 0;
+  const flushList = () => {
+    if (list.length === 0) return;
+    html.push(
+      `<ul>${list.map((item) => `<li>${escapeHtml(item)}</li>`).join("")}</ul>`
+    );
+    list = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (line.startsWith("|")) {
+      flushList();
+      // 表の行はまとめて読み飛ばし、parseMarkdownTablesの結果を描画する
+      while (i + 1 < lines.length && lines[i + 1].trim().startsWith("|")) i++;
+      const table = tables[tableIndex++];
+      if (table) {
+        html.push(renderTable(table, document, page, rowIndex, texts));
+      }
+      continue;
+    }
+    if (line.startsWith("- ")) {
+      list.push(line.slice(2));
+      continue;
+    }
+    flushList();
+    const heading = line.match(/^(#+)\s*(.+)$/);
+    if (heading) {
+      // 設計書のタイトル(#)はh2、以降は1段ずつ下げる
+      const level = Math.min(heading[1].length + 1, 6);
+      html.push(
+        `<h${level}>${escapeHtml(stripTableSuffix(heading[2]))}</h${level}>`
+      );
+    } else if (line) {
+      html.push(`<p>${escapeHtml(line)}</p>`);
+    }
+  }
+  flushList();
+  return `<section id="${escapeHtml(document.baseName)}">\n${html.join("\n")}\n</section>`;
+}
+
+function renderFilters(keywordLabel, texts, { levels = true } = {}) {
+  const options = Object.values(ACCESS_LEVELS)
+    .map(
+      (level) =>
+        `<option value="${level}">${escapeHtml(texts.accessLevels[level])}</option>`
+    )
+    .join("");
+  const levelFilter = levels
+    ? `\n<label>${escapeHtml(texts.accessLevel)} <select id="filter-level"><option value="">${escapeHtml(texts.allLevels)}</option>${options}</select></label>`
+    : "";
+  return `<div class="filters">
+<label>${escapeHtml(keywordLabel)} <input id="filter-keyword" type="search"></label>${levelFilter}
+</div>`;
+}
+
+function renderPage(pagePathName, title, content, site) {
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(site.lang)}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)} - ${escapeHtml(site.title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<header><strong>${escapeHtml(site.title)}</strong><a href="${escapeHtml(relativeLink(pagePathName, "index.html"))}">${escapeHtml(site.texts.index)}</a></header>
+<main>
+<h1>${escapeHtml(title)}</h1>
+${content}
+</main>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+function renderSubjectPage(page, rowIndex, site) {
+  const toc = page.documents
+    .map(
+      (document) =>
+        `<a href="#${escapeHtml(document.baseName)}">${escapeHtml(getMarkdownTitle(document.markdown))}</a>`
+    )
+    .join("");
+  const content = [
+    `<nav class="toc">${toc}</nav>`,
+    renderFilters(site.texts.subjectFilter, site.texts),
+    ...page.documents.map((document) =>
+      renderDocument(document, page, rowIndex, site.texts)
+    )
+  ].join("\n");
+  return renderPage(page.path, page.label, content, site);
+}
+
+function renderIndexPage(pages, subjects, site, generatedAt) {
+  const { texts } = site;
+  const subjectsByScope = new Map(
+    subjects.map((subject) => [subject.scope, subject])
+  );
+  const rows = pages
+    .filter((page) => page.scope !== "all")
+    .map((page) => {
+      const subject = subjectsByScope.get(page.scope) || {};
+      return `<tr>
+<td class="key">${escapeHtml(texts.subjectTypes[subject.type] || subject.type || "")}</td>
+<td class="key"><a href="${escapeHtml(page.path)}">${escapeHtml(page.label)}</a></td>
+<td class="key">${escapeHtml(subject.name || page.scope)}</td>
+<td class="key">${escapeHtml(subject.description || "")}</td>
+<td class="key">${escapeHtml(subject.license || "")}</td>
+</tr>`;
+    })
+    .join("\n");
+  const summary = pages.find((page) => page.scope === "all");
+  const headerCells = texts.indexHeaders
+    .map((header) => `<th>${escapeHtml(header)}</th>`)
+    .join("");
+  const content = `<p>${escapeHtml(renderText(texts.generatedAt, { date: generatedAt.toISOString().slice(0, 10) }))}</p>
+${summary ? `<p><a href="${escapeHtml(summary.path)}">${escapeHtml(summary.label)}</a></p>` : ""}
+${renderFilters(texts.indexFilter, texts, { levels: false })}
+<div class="table-wrapper"><table>
+<thead><tr>${headerCells}</tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table></div>`;
+  return renderPage("index.html", texts.index, content, site);
+}
+
+// documents: writeDesignDocumentで集めた [{ scope, baseName, markdown }]
+// subjects: [{ scope, type, name, label, description, license }]
+// options: { title, generatedAt, lang }
+// 戻り値: 作成したファイルのパス
+export async function writeDesignSite(
+  siteDir,
+  documents,
+  subjects = [],
+  options = {}
+) {
+  const lang = options.lang || DEFAULT_LANG;
+  const texts = getDesignLocale(lang).site;
+  const site = { lang, texts, title: options.title || texts.title };
+  const generatedAt = options.generatedAt || new Date();
+  const subjectsByScope = new Map(
+    subjects.map((subject) => [subject.scope, subject])
+  );
+
+  const scopes = [...new Set(documents.map((document) => document.scope))];
+  const pages = scopes.map((scope) => {
+    const scopeDocuments = documents.filter((d) => d.scope === scope);
+    const label =
+      scope === "all"
+        ? texts.summaryLabel
+        : subjectsByScope.get(scope)?.label ||
+          getMarkdownSubjectLabel(scopeDocuments[0].markdown) ||
+          scope;
+    return { scope, path: pagePath(scope), label, documents: scopeDocuments };
+  });
+  const rowIndex = buildRowIndex(pages);
+
+  const files = [];
+  const writePage = async (pageName, html) => {
+    const filePath = path.join(siteDir, pageName);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, html);
+    files.push(filePath);
+  };
+
+  await writePage(
+    "index.html",
+    renderIndexPage(pages, subjects, site, generatedAt)
+  );
+  for (const page of pages) {
+    await writePage(page.path, renderSubjectPage(page, rowIndex, site));
+  }
+  return files;
+}
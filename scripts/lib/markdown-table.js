@@ -0,0 +1,89 @@
+// 設計書Markdownの表を扱う共通処理
+// 表は見出し行と区切り行の並びで見つけるため、列名や設計書の言語(--lang)には依存しない
+import { SUBJECT_HEADING_PREFIXES } from "./design-locale.js";
+
+function splitRow(line) {
+  return line
+    .trim()
+    .replace(/^\|/, "")
+    .replace(/\|$/, "")
+    .split("|")
+    .map((cell) => cell.trim());
+}
+
+function isSeparatorRow(line) {
+  return /^\|(\s*:?-+:?\s*\|)+\s*$/.test(line.trim());
+}
+
+// Markdownに含まれるすべての表を、直前の見出しとともに抽出する
+export function parseMarkdownTables(markdownContent) {
+  const lines = markdownContent.split(/\r?\n/);
+  const tables = [];
+  let heading = "";
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (line.startsWith("#")) {
+      heading = line.replace(/^#+\s*/, "");
+      continue;
+    }
+    if (!line.startsWith("|") || !isSeparatorRow(lines[i + 1] || "")) {
+      continue;
+    }
+
+    const headers = splitRow(line);
+    const rows = [];
+    i += 2;
+    while (i < lines.length && lines[i].trim().startsWith("|")) {
+      rows.push(splitRow(lines[i]));
+      i++;
+    }
+    i--;
+    tables.push({ heading, headers, rows });
+  }
+
+  return tables;
+}
+
+// 「### 〇〇の説明」(英語の設計書は「### 〇〇 legend」)の箇条書き(凡例)を抽出する
+export function parseMarkdownLegends(markdownContent) {
+  const legends = [];
+  let current = null;
+
+  for (const line of markdownContent.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (trimmed.startsWith("#")) {
+      current = null;
+      if (/(の説明|legend)$/i.test(trimmed)) {
+        current = { heading: trimmed.replace(/^#+\s*/, ""), items: [] };
+        legends.push(current);
+      }
+    } else if (current && trimmed.startsWith("- ")) {
+      current.items.push(trimmed.slice(2));
+    }
+  }
+
+  return legends;
+}
+
+// 「# 〇〇設計書」の見出しを取得する
+export function getMarkdownTitle(markdownContent) {
+  const titleLine = markdownContent
+    .split(/\r?\n/)
+    .find((line) => /^#\s/.test(line));
+  return titleLine ? titleLine.replace(/^#\s*/, "").trim() : "";
+}
+
+// 「## 権限セット: 〇〇」「## プロファイル: 〇〇」(権限セットグループ・ペルソナはそれぞれの見出し)からラベルを取得する
+export function getMarkdownSubjectLabel(markdownContent) {
+  for (const line of markdownContent.split(/\r?\n/)) {
+    const heading = line.match(/^##\s*([^#].*)$/)?.[1];
+    const prefix =
+      heading &&
+      SUBJECT_HEADING_PREFIXES.find((candidate) =>
+        heading.startsWith(candidate)
+      );
+    if (prefix) return heading.slice(prefix.length).trim();
+  }
+  return "";
+}
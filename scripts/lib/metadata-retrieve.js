@@ -0,0 +1,215 @@
+// 権限セット・プロファイル・権限セットグループを Metadata API でまとめて組織から取得し、ソースのフォルダに展開する共通処理
+// 取得の方法(transport)は差し替えられる: 組織(jsforce)のほか、テストでは取得済みのzipファイルを使う
+import fs from "fs/promises";
+import path from "path";
+import JSZip from "jszip";
+import { DEFAULT_SOURCE_DIR, resolveSourceFile } from "./package-manifest.js";
+
+// 取得したzipの中のフォルダ・拡張子と、ソース形式のファイルの拡張子
+export const RETRIEVE_TYPES = {
+  PermissionSet: { dirName: "permissionsets", suffix: "permissionset" },
+  Profile: { dirName: "profiles", suffix: "profile" },
+  PermissionSetGroup: {
+    dirName: "permissionsetgroups",
+    suffix: "permissionsetgroup"
+  },
+  MutingPermissionSet: {
+    dirName: "mutingpermissionsets",
+    suffix: "mutingpermissionset"
+  }
+};
+
+// 取得の完了を待つ時間の既定値(jsforceの既定の10秒では大きな組織で足りない)
+const DEFAULT_POLL_TIMEOUT = 10 * 60 * 1000;
+
+// 組織からの取得に失敗した場合のエラー(呼び出し元で終了コードに変換する)
+export class RetrieveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RetrieveError";
+  }
+}
+
+// ソース形式のファイルのパス(<sourceDir>/permissionsets/<名前>.permissionset-meta.xml など)
+export function getSourceFileName(type, name) {
+  return `${name}.${RETRIEVE_TYPES[type].suffix}-meta.xml`;
+}
+
+// jsforceのConnectionで retrieve を実行する transport
+// 戻り値の retrieve: ({ apiVersion, types }) => { zipFile(base64), messages: [{ fileName, problem }] }
+export function createMetadataTransport(
+  conn,
+  { pollTimeout = DEFAULT_POLL_TIMEOUT, onProgress } = {}
+) {
+  return {
+    async retrieve({ apiVersion, types }) {
+      conn.metadata.pollTimeout = pollTimeout;
+      const locator = conn.metadata.retrieve({
+        apiVersion: apiVersion || conn.version,
+        singlePackage: true,
+        unpackaged: { types, version: apiVersion || conn.version }
+      });
+      if (onProgress) locator.on("progress", onProgress);
+      const result = await locator.complete();
+      if (!result.success && !result.zipFile) {
+        throw new Error(
+          result.errorMessage || `Retrieve ${result.status || "failed"}`
+        );
+      }
+      return {
+        zipFile: result.zipFile,
+        messages: [result.messages ?? []].flat()
+      };
+    }
+  };
+}
+
+// 最初の取得の際に組織に接続する transport(ローカルにすべてある場合は接続しない)
+// authOptions を省略した場合は環境変数(SF_TARGET_ORG など)の認証情報を使う
+export function createOrgTransport(authOptions) {
+  let transport;
+  return {
+    async retrieve(request) {
+      transport ??= connectOrg(authOptions);
+      return (await transport).retrieve(request);
+    }
+  };
+}
+
+// jsforceは組織に接続するときに読み込む
+async function connectOrg(authOptions) {
+  const { connectSalesforce, resolveAuthOptions } =
+    await import("./salesforce-connection.js");
+  const { conn } = await connectSalesforce(authOptions ?? resolveAuthOptions());
+  return createMetadataTransport(conn, {
+    onProgress: (result) =>
+      console.error(`Retrieve ${result.status || "in progress"}...`)
+  });
+}
+
+// 取得済みのzipファイル(テスト・オフライン用)を返す transport
+export function createZipTransport(zipPath) {
+  return {
+    async retrieve() {
+      return { zipFile: await fs.readFile(zipPath), messages: [] };
+    }
+  };
+}
+
+// zipの permissionsets/Sales.permissionset などを { "PermissionSet:Sales": ファイル } にする
+// ファイル名の特殊文字(プロファイル名の「:」など)はURLエンコードされているため、デコードした名前をキーにする
+function indexZipFiles(zip) {
+  const files = new Map();
+  zip.forEach((relativePath, file) => {
+    if (file.dir) return;
+    const [dirName, fileName] = relativePath.split("/").slice(-2);
+    for (const [type, { dirName: typeDir, suffix }] of Object.entries(
+      RETRIEVE_TYPES
+    )) {
+      if (dirName !== typeDir || !fileName?.endsWith(`.${suffix}`)) continue;
+      const encodedName = fileName.slice(0, -(suffix.length + 1));
+      files.set(`${type}:${decodeURIComponent(encodedName)}`, file);
+    }
+  });
+  return files;
+}
+
+function findProblem(messages, type, name) {
+  const { dirName, suffix } = RETRIEVE_TYPES[type];
+  return messages.find(
+    (message) =>
+      message.fileName?.endsWith(`${dirName}/${name}.${suffix}`) ||
+      message.problem?.includes(`named '${name}'`)
+  )?.problem;
+}
+
+// members: { PermissionSet: [名前], Profile: [...], PermissionSetGroup: [...] } を1回の retrieve で取得し、
+// ソースのフォルダ(複数の場合は先頭)に書き出す
+// relatedMembers: プロファイルのオブジェクト・項目権限を含めるために一緒に取得するメタデータ(ファイルは書き出さない)
+// 戻り値: { retrieved: [{ type, name, file }], failed: [{ type, name, error }] }
+export async function retrieveMetadata(
+  members,
+  {
+    transport = createOrgTransport(),
+    sourceDir = DEFAULT_SOURCE_DIR,
+    apiVersion,
+    relatedMembers = {}
+  } = {}
+) {
+  const targets = Object.entries(members).flatMap(([type, names]) =>
+    [...new Set(names)].map((name) => ({ type, name }))
+  );
+  if (targets.length === 0) return { retrieved: [], failed: [] };
+
+  const types = [...Object.entries(members), ...Object.entries(relatedMembers)]
+    .filter(([, names]) => names.length > 0)
+    .map(([name, names]) => ({ name, members: [...new Set(names)] }));
+  console.error(
+    `Retrieving ${targets.length} component(s) from Salesforce: ${types
+      .filter((type) => members[type.name])
+      .map((type) => `${type.name} (${type.members.length})`)
+      .join(", ")}`
+  );
+
+  let result;
+  let zip;
+  try {
+    result = await transport.retrieve({ apiVersion, types });
+    zip = await JSZip.loadAsync(result.zipFile, {
+      base64: typeof result.zipFile === "string"
+    });
+  } catch (error) {
+    throw new RetrieveError(
+      `Failed to retrieve ${targets.map(({ type, name }) => `${type} ${name}`).join(", ")}: ${error.message}`
+    );
+  }
+
+  const files = indexZipFiles(zip);
+  const targetDir = [sourceDir].flat()[0];
+  const retrieved = [];
+  const failed = [];
+  for (const { type, name } of targets) {
+    const file = files.get(`${type}:${name}`);
+    if (!file) {
+      const error =
+        findProblem(result.messages || [], type, name) ||
+        "Not found in the retrieved package";
+      console.warn(`WARNING: Failed to retrieve ${type} ${name}: ${error}`);
+      failed.push({ type, name, error });
+      continue;
+    }
+    // 読み込み・retrieveMissingMetadata と同じく、デコードした名前のファイルにする
+    const filePath = path.join(
+      targetDir,
+      RETRIEVE_TYPES[type].dirName,
+      getSourceFileName(type, name)
+    );
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, await file.async("nodebuffer"));
+    console.error(`Retrieved ${type} ${name}: ${filePath}`);
+    retrieved.push({ type, name, file: filePath });
+  }
+  return { retrieved, failed };
+}
+
+// ソースのフォルダ(複数可)にないものだけを取得する(すべてある場合は組織に接続しない)
+export async function retrieveMissingMetadata(
+  members,
+  { sourceDir = DEFAULT_SOURCE_DIR, ...options } = {}
+) {
+  const missing = {};
+  for (const [type, names] of Object.entries(members)) {
+    missing[type] = [];
+    for (const name of new Set(names)) {
+      const filePath = await resolveSourceFile(
+        sourceDir,
+        RETRIEVE_TYPES[type].dirName,
+        getSourceFileName(type, name)
+      );
+      if (!(await fs.stat(filePath).catch(() => null))) {
+        missing[type].push(name);
+      }
+    }
+  }
+  return retrieveMetadata(missing, { sourceDir, ...options });
+}
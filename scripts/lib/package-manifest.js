@@ -0,0 +1,250 @@
+// manifest/package.xml を読み込む共通処理
+import fs from "fs/promises";
+import path from "path";
+import { XMLParser } from "fast-xml-parser";
+import { DEFAULT_DESCRIBE_DIR, listDescribeCache } from "./describe-data.js";
+
+export const DEFAULT_MANIFEST_PATH = "manifest/package.xml";
+export const DEFAULT_SOURCE_DIR = "force-app/main/default";
+
+// ワイルドカード(*)を展開する際に参照する、ローカルのソースのフォルダと拡張子
+const SOURCE_LAYOUT = {
+  PermissionSet: { dir: "permissionsets", suffix: ".permissionset-meta.xml" },
+  Profile: { dir: "profiles", suffix: ".profile-meta.xml" },
+  PermissionSetGroup: {
+    dir: "permissionsetgroups",
+    suffix: ".permissionsetgroup-meta.xml"
+  },
+  CustomTab: { dir: "tabs", suffix: ".tab-meta.xml" },
+  ApexClass: { dir: "classes", suffix: ".cls" },
+  ApexPage: { dir: "pages", suffix: ".page" },
+  CustomPermission: {
+    dir: "customPermissions",
+    suffix: ".customPermission-meta.xml"
+  },
+  Flow: { dir: "flows", suffix: ".flow-meta.xml" },
+  CustomApplication: { dir: "applications", suffix: ".app-meta.xml" }
+};
+
+// ns__Obj__c のような名前空間付きのAPI名を分解する
+export function parseApiName(apiName) {
+  const parts = apiName.split("__");
+  if (parts.length >= 3) {
+    return {
+      namespace: parts[0],
+      baseName: parts.slice(1, -1).join("__"),
+      suffix: parts[parts.length - 1]
+    };
+  }
+  if (parts.length === 2) {
+    return { namespace: null, baseName: parts[0], suffix: parts[1] };
+  }
+  return { namespace: null, baseName: apiName, suffix: null };
+}
+
+export function isCustomObjectName(objectName) {
+  return parseApiName(objectName).suffix !== null;
+}
+
+// package.xml・ソースのフォルダはどちらも1つ、または配列で指定できる
+function toArray(paths) {
+  return Array.isArray(paths) ? paths : [paths];
+}
+
+// 複数のソースのフォルダ(sfdx-project.json の packageDirectories)から最初に見つかったファイルのパスを返す
+// どのフォルダにもない場合は、先頭(デフォルトのパッケージ)のフォルダのパス
+export async function resolveSourceFile(
+  sourceDir = DEFAULT_SOURCE_DIR,
+  ...segments
+) {
+  const candidates = toArray(sourceDir).map((dir) =>
+    path.join(dir, ...segments)
+  );
+  for (const candidate of candidates) {
+    if (await fs.stat(candidate).catch(() => null)) return candidate;
+  }
+  return candidates[0];
+}
+
+export async function readPackageXml(manifestPath = DEFAULT_MANIFEST_PATH) {
+  const xmlContent = await fs.readFile(manifestPath, "utf-8");
+  const parser = new XMLParser({
+    ignoreAttributes: true,
+    isArray: (name) => name === "members" || name === "types"
+  });
+  return parser.parse(xmlContent);
+}
+
+// package.xmlの<version>を「63.0」の形式で返す(ファイル・バージョンがない場合はundefined)
+export async function getManifestApiVersion(
+  manifestPath = DEFAULT_MANIFEST_PATH
+) {
+  let result;
+  try {
+    result = await readPackageXml(manifestPath);
+  } catch (error) {
+    if (error.code === "ENOENT") return undefined;
+    throw error;
+  }
+  const version = result.Package?.version;
+  return version === undefined ? undefined : Number(version).toFixed(1);
+}
+
+// 複数のpackage.xmlのmembersを重複なくまとめる(ワイルドカードは展開しない)
+export async function getManifestMembers(
+  typeName,
+  manifestPaths = DEFAULT_MANIFEST_PATH
+) {
+  const members = new Set();
+  for (const manifestPath of toArray(manifestPaths)) {
+    const result = await readPackageXml(manifestPath);
+    const metadataType = (result.Package.types || []).find(
+      (type) => type.name === typeName
+    );
+    (metadataType?.members || []).forEach((member) =>
+      members.add(String(member))
+    );
+  }
+  return [...members];
+}
+
+async function readDirectory(dirPath) {
+  try {
+    return await fs.readdir(dirPath, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+}
+
+async function readDescribeFiles(describeDir) {
+  return (await listDescribeCache(describeDir)).map(({ describe }) => describe);
+}
+
+async function listObjectChildren(sourceDir, childDir, suffix) {
+  const members = [];
+  const objectsDir = path.join(sourceDir, "objects");
+  for (const objectEntry of await readDirectory(objectsDir)) {
+    if (!objectEntry.isDirectory()) continue;
+    const entries = await readDirectory(
+      path.join(objectsDir, objectEntry.name, childDir)
+    );
+    for (const entry of entries) {
+      if (entry.name.endsWith(suffix)) {
+        members.push(
+          `${objectEntry.name}.${entry.name.slice(0, -suffix.length)}`
+        );
+      }
+    }
+  }
+  return members;
+}
+
+// ワイルドカードの展開候補を .describe_data とローカルのソースから集める
+async function listLocalMembers(typeName, { sourceDir, describeDir }) {
+  const members = new Set();
+  if (typeName === "CustomObject") {
+    for (const entry of await readDirectory(path.join(sourceDir, "objects"))) {
+      if (entry.isDirectory()) members.add(entry.name);
+    }
+    for (const describe of await readDescribeFiles(describeDir)) {
+      members.add(describe.name);
+    }
+    return [...members].filter(isCustomObjectName);
+  }
+  if (typeName === "CustomField") {
+    (await listObjectChildren(sourceDir, "fields", ".field-meta.xml")).forEach(
+      (member) => members.add(member)
+    );
+    for (const describe of await readDescribeFiles(describeDir)) {
+      (describe.fields || [])
+        .filter((field) => field.custom)
+        .forEach((field) => members.add(`${describe.name}.${field.name}`));
+    }
+    return [...members];
+  }
+  if (typeName === "RecordType") {
+    (
+      await listObjectChildren(sourceDir, "recordTypes", ".recordType-meta.xml")
+    ).forEach((member) => members.add(member));
+    for (const describe of await readDescribeFiles(describeDir)) {
+      (describe.recordTypeInfos || [])
+        .filter((info) => !info.master)
+        .forEach((info) =>
+          members.add(`${describe.name}.${info.developerName}`)
+        );
+    }
+    return [...members];
+  }
+
+  const layout = SOURCE_LAYOUT[typeName];
+  if (!layout) return [];
+  for (const entry of await readDirectory(path.join(sourceDir, layout.dir))) {
+    if (entry.isFile() && entry.name.endsWith(layout.suffix)) {
+      members.add(entry.name.slice(0, -layout.suffix.length));
+    }
+  }
+  return [...members];
+}
+
+// 「Sample__c.*」「*.Name」のように * を任意の文字列として扱う
+export function matchesWildcard(pattern, value) {
+  return new RegExp(
+    `^${pattern
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*")}$`
+  ).test(value);
+}
+
+// membersの「*」や「Sample__c.*」を、.describe_dataとローカルのソース(sourceDirは複数可)に存在するものに展開する
+export async function getMetadataMembersFromPackageXml(
+  typeName,
+  manifestPaths = DEFAULT_MANIFEST_PATH,
+  { sourceDir = DEFAULT_SOURCE_DIR, describeDir = DEFAULT_DESCRIBE_DIR } = {}
+) {
+  const members = await getManifestMembers(typeName, manifestPaths);
+  if (!members.some((member) => member.includes("*"))) return members;
+
+  const localMembers = new Set();
+  for (const dir of toArray(sourceDir)) {
+    (await listLocalMembers(typeName, { sourceDir: dir, describeDir })).forEach(
+      (member) => localMembers.add(member)
+    );
+  }
+  const expanded = new Set();
+  for (const member of members) {
+    if (!member.includes("*")) {
+      expanded.add(member);
+      continue;
+    }
+    [...localMembers]
+      .filter((localMember) => matchesWildcard(member, localMember))
+      .sort()
+      .forEach((localMember) => expanded.add(localMember));
+  }
+  return [...expanded];
+}
+
+export async function getPermissionSetsFromPackageXml(
+  manifestPaths = DEFAULT_MANIFEST_PATH,
+  options = {}
+) {
+  return {
+    permissionSets: await getMetadataMembersFromPackageXml(
+      "PermissionSet",
+      manifestPaths,
+      options
+    ),
+    profiles: await getMetadataMembersFromPackageXml(
+      "Profile",
+      manifestPaths,
+      options
+    ),
+    permissionSetGroups: await getMetadataMembersFromPackageXml(
+      "PermissionSetGroup",
+      manifestPaths,
+      options
+    )
+  };
+}
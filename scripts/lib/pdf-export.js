@@ -0,0 +1,317 @@
+// 設計書の表をPDF(表紙・目次・凡例・各権限セットの表)として書き出す
+import fs from "fs/promises";
+import path from "path";
+import { createCanvas } from "canvas";
+import {
+  parseMarkdownTables,
+  parseMarkdownLegends,
+  getMarkdownTitle,
+  getMarkdownSubjectLabel
+} from "./markdown-table.js";
+import {
+  getTableFont,
+  resolveImageOptions,
+  measureColumnWidths,
+  layoutTableRow,
+  getAccessColumns,
+  drawTableRow
+} from "./table-layout.js";
+import { registerTableFont } from "./table-image.js";
+import { DEFAULT_LANG, getDesignLocale, renderText } from "./design-locale.js";
+
+// A4横(pt)
+const PAGE_WIDTH = 842;
+const PAGE_HEIGHT = 595;
+const MARGIN = 36;
+const HEADER_HEIGHT = 24;
+const FOOTER_HEIGHT = 20;
+const LINE_HEIGHT = 18;
+const HEADING_HEIGHT = 28;
+
+const CONTENT_TOP = MARGIN + HEADER_HEIGHT;
+const CONTENT_BOTTOM = PAGE_HEIGHT - MARGIN - FOOTER_HEIGHT;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+// PDFに含める設計書
+const PDF_DOCUMENTS = [
+  "object-permissions",
+  "field-permissions",
+  "tab-settings"
+];
+
+// 表の描画と改ページを行い、ページごとの描画内容(ops)を組み立てる
+class PageLayout {
+  constructor() {
+    this.pages = [];
+    this.newPage();
+  }
+
+  newPage() {
+    this.ops = [];
+    this.pages.push(this.ops);
+    this.y = CONTENT_TOP;
+  }
+
+  ensureSpace(height) {
+    if (this.y + height > CONTENT_BOTTOM && this.y > CONTENT_TOP) {
+      this.newPage();
+    }
+  }
+
+  heading(text, font = getTableFont(16, { bold: true })) {
+    this.ensureSpace(HEADING_HEIGHT);
+    this.ops.push({ type: "text", text, font, x: MARGIN, y: this.y + 18 });
+    this.y += HEADING_HEIGHT;
+  }
+
+  line(text, font = getTableFont(12), indent = 0) {
+    this.ensureSpace(LINE_HEIGHT);
+    this.ops.push({
+      type: "text",
+      text,
+      font,
+      x: MARGIN + indent,
+      y: this.y + 13
+    });
+    this.y += LINE_HEIGHT;
+  }
+
+  // ページ幅に収まるよう縮小し、ページをまたぐ場合は見出し行を繰り返す
+  table(table) {
+    const columnWidths = measureColumnWidths([table.headers, ...table.rows]);
+    const accessColumns = getAccessColumns(table.headers, table.rows);
+    const tableWidth = columnWidths.reduce((sum, width) => sum + width, 0);
+    const scale = Math.min(1, CONTENT_WIDTH / tableWidth);
+    const headerRow = layoutTableRow(table.headers, columnWidths, {
+      header: true
+    });
+
+    const addRow = (row) => {
+      this.ops.push({
+        type: "row",
+        row,
+        columnWidths,
+        accessColumns,
+        scale,
+        x: MARGIN,
+        y: this.y
+      });
+      this.y += row.height * scale;
+    };
+
+    this.ensureSpace(headerRow.height * scale * 2);
+    addRow(headerRow);
+    for (const cells of table.rows) {
+      const row = layoutTableRow(cells, columnWidths);
+      if (this.y + row.height * scale > CONTENT_BOTTOM) {
+        this.newPage();
+        addRow(headerRow);
+      }
+      addRow(row);
+    }
+    this.y += LINE_HEIGHT;
+  }
+}
+
+function groupByScope(documents) {
+  const scopes = [...new Set(documents.map((document) => document.scope))];
+  // 一覧設計書を先頭にする
+  scopes.sort((a, b) => (a === "all" ? -1 : b === "all" ? 1 : 0));
+  return scopes.map((scope) => ({
+    scope,
+    documents: documents.filter((document) => document.scope === scope)
+  }));
+}
+
+function layoutLegends(documents, texts) {
+  const layout = new PageLayout();
+  layout.heading(texts.legend);
+  const seen = new Set();
+  for (const document of documents) {
+    for (const legend of parseMarkdownLegends(document.markdown)) {
+      if (seen.has(legend.heading)) continue;
+      seen.add(legend.heading);
+      layout.line(legend.heading, getTableFont(12, { bold: true }));
+      legend.items.forEach((item) => layout.line(item, getTableFont(12), 16));
+      layout.y += LINE_HEIGHT / 2;
+    }
+  }
+  return layout.pages;
+}
+
+// 戻り値: { pages, entries: [{ title, pageIndex }] }(pageIndexは本文内のページ番号)
+function layoutContents(documents, subjects, texts) {
+  const labels = new Map(
+    subjects.map((subject) => [subject.scope, subject.label])
+  );
+  const layout = new PageLayout();
+  const entries = [];
+  let first = true;
+
+  for (const group of groupByScope(documents)) {
+    const label =
+      group.scope === "all"
+        ? texts.summaryLabel
+        : labels.get(group.scope) ||
+          getMarkdownSubjectLabel(group.documents[0].markdown) ||
+          group.scope;
+    for (const document of group.documents) {
+      const tables = parseMarkdownTables(document.markdown);
+      if (tables.length === 0) continue;
+
+      // 設計書ごとに改ページする
+      if (!first) layout.newPage();
+      first = false;
+      const title = `${label} - ${getMarkdownTitle(document.markdown)}`;
+      entries.push({ title, pageIndex: layout.pages.length - 1 });
+      layout.heading(title);
+      for (const table of tables) {
+        if (tables.length > 1) {
+          layout.line(
+            table.heading.replace(/\(table data\)$/, ""),
+            getTableFont(12, { bold: true })
+          );
+        }
+        layout.table(table);
+      }
+    }
+  }
+  return { pages: layout.pages, entries };
+}
+
+const TOC_LINES_PER_PAGE = Math.floor(
+  (CONTENT_BOTTOM - CONTENT_TOP - HEADING_HEIGHT) / LINE_HEIGHT
+);
+
+function layoutToc(entries, firstContentPage, texts) {
+  const layout = new PageLayout();
+  layout.heading(texts.index);
+  entries.forEach((entry, index) => {
+    if (index > 0 && index % TOC_LINES_PER_PAGE === 0) layout.newPage();
+    const pageNumber = String(firstContentPage + entry.pageIndex);
+    layout.ops.push(
+      {
+        type: "text",
+        text: entry.title,
+        font: getTableFont(12),
+        x: MARGIN,
+        y: layout.y + 13
+      },
+      {
+        type: "text",
+        text: pageNumber,
+        font: getTableFont(12),
+        x: PAGE_WIDTH - MARGIN,
+        y: layout.y + 13,
+        align: "right"
+      }
+    );
+    layout.y += LINE_HEIGHT;
+  });
+  return layout.pages;
+}
+
+function formatGeneratedAt({ generatedAt, texts }) {
+  return renderText(texts.generatedAt, {
+    date: generatedAt.toISOString().slice(0, 10)
+  });
+}
+
+function drawCover(ctx, options) {
+  const { title, projectName } = options;
+  ctx.fillStyle = "#000000";
+  ctx.textAlign = "center";
+  ctx.font = getTableFont(32, { bold: true });
+  ctx.fillText(title, PAGE_WIDTH / 2, PAGE_HEIGHT / 2 - 40);
+  ctx.font = getTableFont(18);
+  ctx.fillText(projectName, PAGE_WIDTH / 2, PAGE_HEIGHT / 2 + 10);
+  ctx.fillText(
+    formatGeneratedAt(options),
+    PAGE_WIDTH / 2,
+    PAGE_HEIGHT / 2 + 40
+  );
+  ctx.textAlign = "left";
+}
+
+// 各ページの上部にプロジェクト名と作成日、下部にページ番号を表示する
+function drawHeaderFooter(ctx, pageNumber, totalPages, options) {
+  ctx.fillStyle = "#666666";
+  ctx.font = getTableFont(10);
+  ctx.textAlign = "left";
+  ctx.fillText(options.projectName, MARGIN, MARGIN);
+  ctx.textAlign = "right";
+  ctx.fillText(formatGeneratedAt(options), PAGE_WIDTH - MARGIN, MARGIN);
+  ctx.textAlign = "center";
+  ctx.fillText(
+    `${pageNumber} / ${totalPages}`,
+    PAGE_WIDTH / 2,
+    PAGE_HEIGHT - MARGIN
+  );
+  ctx.textAlign = "left";
+}
+
+function drawOps(ctx, ops) {
+  for (const op of ops) {
+    if (op.type === "text") {
+      ctx.fillStyle = "#000000";
+      ctx.font = op.font;
+      ctx.textAlign = op.align || "left";
+      ctx.fillText(op.text, op.x, op.y);
+      ctx.textAlign = "left";
+    } else {
+      ctx.save();
+      ctx.translate(op.x, op.y);
+      ctx.scale(op.scale, op.scale);
+      drawTableRow(ctx, op.row, op.columnWidths, 0, 0, op.accessColumns);
+      ctx.restore();
+    }
+  }
+}
+
+// documents: writeDesignDocumentで集めた [{ scope, baseName, markdown }]
+// subjects: [{ scope, label }](目次・見出しに使用する)
+// options: { title, projectName, generatedAt, lang, fontFile }
+export async function writeDesignPdf(
+  filePath,
+  documents,
+  subjects = [],
+  options = {}
+) {
+  const texts = getDesignLocale(options.lang || DEFAULT_LANG).book;
+  const pdfOptions = {
+    texts,
+    title: options.title || texts.title,
+    projectName: options.projectName || "",
+    generatedAt: options.generatedAt || new Date()
+  };
+  const targetDocuments = documents.filter((document) =>
+    PDF_DOCUMENTS.includes(document.baseName)
+  );
+
+  registerTableFont(resolveImageOptions(options).fontFile);
+  const canvas = createCanvas(PAGE_WIDTH, PAGE_HEIGHT, "pdf");
+  const ctx = canvas.getContext("2d");
+
+  // 目次のページ番号を求めるため、先に本文・凡例のページ割りを決める
+  const legendPages = layoutLegends(targetDocuments, texts);
+  const contents = layoutContents(targetDocuments, subjects, texts);
+  const tocPageCount = Math.max(
+    1,
+    Math.ceil(contents.entries.length / TOC_LINES_PER_PAGE)
+  );
+  const firstContentPage = 1 + tocPageCount + legendPages.length + 1;
+  const tocPages = layoutToc(contents.entries, firstContentPage, texts);
+  const pages = [...tocPages, ...legendPages, ...contents.pages];
+  const totalPages = pages.length + 1;
+
+  drawCover(ctx, pdfOptions);
+  pages.forEach((ops, index) => {
+    ctx.addPage();
+    drawHeaderFooter(ctx, index + 2, totalPages, pdfOptions);
+    drawOps(ctx, ops);
+  });
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, canvas.toBuffer("application/pdf"));
+  return filePath;
+}
@@ -0,0 +1,1064 @@
+// 権限セット・プロファイルの設計書を作成する処理(generate-design のほか、他のツールからも利用できる)
+// 読み込み(load*)・表の作成(build*)・出力(render*)に分かれ、いずれもファイルを書き出さずにデータを返す
+import {
+  DEFAULT_MANIFEST_PATH,
+  DEFAULT_SOURCE_DIR,
+  getMetadataMembersFromPackageXml,
+  getPermissionSetsFromPackageXml,
+  matchesWildcard,
+  parseApiName
+} from "./package-manifest.js";
+import {
+  getPermissionSetMetadata,
+  getProfileMetadata,
+  getPermissionSetGroupMetadata,
+  getMutingPermissionSetMetadata
+} from "./permission-source.js";
+import {
+  validateObjectPermission,
+  validateFieldPermission
+} from "./design-validation.js";
+import {
+  DEFAULT_DESCRIBE_DIR,
+  readObjectDescribe,
+  findObjectDescribe,
+  getFieldLabel,
+  listPermissionableFields
+} from "./describe-data.js";
+import { getUserPermissionLabels } from "./user-permission-labels.js";
+import {
+  mergePermissionRoots,
+  applyImpliedPermissions
+} from "./permission-merge.js";
+import {
+  getMetadataRoot,
+  formatObjectPermission,
+  formatFieldPermission,
+  formatTabVisibility
+} from "./permission-metadata.js";
+import {
+  DEFAULT_LANG,
+  renderText,
+  getDesignLocale,
+  getDocumentTexts,
+  getColumnHeader
+} from "./design-locale.js";
+import {
+  DEFAULT_TEMPLATE_DIR,
+  DEFAULT_TEMPLATE_BODY,
+  InvalidTemplateError,
+  readDesignTemplates
+} from "./design-template.js";
+
+// --fields-from-describe でdescribeデータがないオブジェクトを指定した場合のエラー
+export class DescribeDataNotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "DescribeDataNotFoundError";
+  }
+}
+
+// ペルソナ定義の内容が不正な場合のエラー
+export class InvalidPersonaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidPersonaError";
+  }
+}
+
+function toArray(manifestPaths) {
+  return Array.isArray(manifestPaths) ? manifestPaths : [manifestPaths];
+}
+
+// 設計書の対象項目を求める
+// 既定はpackage.xmlのCustomField、fromDescribe の場合はdescribeデータの権限設定可能な項目
+async function resolveDesignFields(
+  customObjects,
+  fieldOptions,
+  manifestPaths,
+  manifestOptions
+) {
+  const patterns = fieldOptions.patterns || [];
+  let fields;
+  if (fieldOptions.fromDescribe) {
+    // パターンで指定されたオブジェクトも対象にする
+    const objectNames = new Set(customObjects);
+    patterns
+      .map((pattern) => pattern.split(".")[0])
+      .filter((objName) => !objName.includes("*"))
+      .forEach((objName) => objectNames.add(objName));
+    fields = [];
+    for (const objName of objectNames) {
+      const objectDescribe = await requireObjectDescribe(
+        objName,
+        manifestOptions.describeDir
+      );
+      fields.push(...listPermissionableFields(objectDescribe, fieldOptions));
+    }
+  } else {
+    fields = await getMetadataMembersFromPackageXml(
+      "CustomField",
+      manifestPaths,
+      manifestOptions
+    );
+  }
+
+  return fields.filter(
+    (field) =>
+      patterns.length === 0 ||
+      patterns.some((pattern) => matchesWildcard(pattern, field))
+  );
+}
+
+// describeデータから項目を取得する場合は、describeデータがないと続行できない
+async function requireObjectDescribe(objectName, describeDir) {
+  try {
+    return await readObjectDescribe(objectName, describeDir);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new DescribeDataNotFoundError(
+        `Describe data not found for ${objectName}. Please run "npm run sf:describe:object" to generate the describe data.`
+      );
+    }
+    throw error;
+  }
+}
+
+// describeデータがない場合はAPI名を表示名にして処理を続ける(onMissingDescribeで呼び出し元に通知する)
+async function getObjectDescribe(
+  objectName,
+  { describeDir = DEFAULT_DESCRIBE_DIR, onMissingDescribe } = {}
+) {
+  try {
+    return await readObjectDescribe(objectName, describeDir);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      onMissingDescribe?.(objectName);
+      return null;
+    }
+    console.error(`Error reading describe data for ${objectName}:`, error);
+    return null;
+  }
+}
+
+// Apexクラスやフローなど「名前 + 有効/無効」形式のアクセス設定の定義
+// 表題・凡例などの文言は design-locale.js の設計書の種類(baseName)ごとの定義を使う
+export const ACCESS_SECTIONS = [
+  {
+    tag: "classAccesses",
+    memberKey: "apexClass",
+    packageType: "ApexClass",
+    baseName: "apex-class-accesses",
+    description: "apex class accesses"
+  },
+  {
+    tag: "pageAccesses",
+    memberKey: "apexPage",
+    packageType: "ApexPage",
+    baseName: "visualforce-page-accesses",
+    description: "visualforce page accesses"
+  },
+  {
+    tag: "customPermissions",
+    memberKey: "name",
+    packageType: "CustomPermission",
+    baseName: "custom-permissions",
+    description: "custom permissions"
+  },
+  {
+    tag: "flowAccesses",
+    memberKey: "flow",
+    packageType: "Flow",
+    baseName: "flow-accesses",
+    description: "flow accesses"
+  },
+  {
+    tag: "customMetadataTypeAccesses",
+    memberKey: "name",
+    baseName: "custom-metadata-type-accesses",
+    description: "custom metadata type accesses"
+  },
+  {
+    tag: "customSettingAccesses",
+    memberKey: "name",
+    baseName: "custom-setting-accesses",
+    description: "custom setting accesses"
+  },
+  {
+    tag: "applicationVisibilities",
+    memberKey: "application",
+    packageType: "CustomApplication",
+    baseName: "application-visibilities",
+    description: "application visibilities"
+  }
+];
+
+// 設計書の種類(ファイル名)ごとのログ用の説明と、表のキー列(列ID)
+// keyColumns はテンプレートの columns で並べ替えに使う(列名は design-locale.js)
+export const DESIGN_DOCUMENTS = {
+  "object-permissions": {
+    description: "object permissions",
+    keyColumns: ["objectLabel", "objectName"]
+  },
+  "field-permissions": {
+    description: "field permissions",
+    keyColumns: ["objectLabel", "objectName", "fieldLabel", "fieldName"]
+  },
+  "tab-settings": {
+    description: "tab settings",
+    keyColumns: ["tabLabel", "tabName"]
+  },
+  "record-type-visibilities": {
+    description: "record type visibilities",
+    keyColumns: [
+      "objectLabel",
+      "objectName",
+      "recordTypeLabel",
+      "recordTypeName"
+    ]
+  },
+  "user-permissions": {
+    description: "user permissions",
+    keyColumns: [
+      "category",
+      "permissionLabel",
+      "permissionAltLabel",
+      "permissionName"
+    ]
+  },
+  ...Object.fromEntries(
+    ACCESS_SECTIONS.map((section) => [
+      section.baseName,
+      {
+        description: section.description,
+        keyColumns: ["memberLabel", "memberName"]
+      }
+    ])
+  )
+};
+
+export const DESIGN_TYPES = Object.keys(DESIGN_DOCUMENTS);
+
+// テンプレートフォルダの <設計書の種類>.md を読み込む(テンプレートがない種類は既定の構成)
+export async function loadTemplates(templateDir = DEFAULT_TEMPLATE_DIR) {
+  const templates = await readDesignTemplates(templateDir);
+  const unknownFiles = Object.keys(templates)
+    .filter((type) => !DESIGN_TYPES.includes(type))
+    .map((type) => `${type}.md`);
+  if (unknownFiles.length > 0) {
+    throw new InvalidTemplateError(
+      `Unknown design template in ${templateDir}: ${unknownFiles.join(", ")} (use the design document name, e.g. object-permissions.md)`
+    );
+  }
+  return templates;
+}
+
+// package.xmlから各アクセス設定の一覧に載せるメンバーを取得する
+async function getAccessMembersFromPackageXml(
+  manifestPaths,
+  manifestOptions,
+  customObjects
+) {
+  const accessMembers = {};
+  for (const section of ACCESS_SECTIONS) {
+    if (section.packageType) {
+      accessMembers[section.tag] = await getMetadataMembersFromPackageXml(
+        section.packageType,
+        manifestPaths,
+        manifestOptions
+      );
+    }
+  }
+
+  // カスタムメタデータ型・カスタム設定はCustomObjectとして記載される
+  accessMembers.customMetadataTypeAccesses = customObjects.filter((objName) =>
+    objName.endsWith("__mdt")
+  );
+  accessMembers.customSettingAccesses = [];
+  for (const objName of customObjects) {
+    const objectDescribe = await findObjectDescribe(
+      objName,
+      manifestOptions.describeDir
+    );
+    if (objectDescribe?.customSetting) {
+      accessMembers.customSettingAccesses.push(objName);
+    }
+  }
+  return accessMembers;
+}
+
+// プロファイルのオブジェクト・項目・タブ・アクセス設定の権限は、対象のメタデータと一緒に取得した場合のみ含まれる
+// retrieveMetadata の relatedMembers: package.xmlのオブジェクト・タブ・Apexクラスなどのメンバー
+export function getRelatedRetrieveMembers(manifest) {
+  return {
+    CustomObject: manifest.customObjects,
+    CustomTab: manifest.customTabs,
+    ...Object.fromEntries(
+      ACCESS_SECTIONS.filter((section) => section.packageType).map(
+        (section) => [section.packageType, manifest.accessMembers[section.tag]]
+      )
+    )
+  };
+}
+
+// package.xml(複数可)から設計書の対象となるメタデータの一覧を読み込む
+// fieldOptions: { fromDescribe, customOnly, excludeSystem, patterns }
+export async function loadManifest(
+  manifestPaths = DEFAULT_MANIFEST_PATH,
+  {
+    sourceDir = DEFAULT_SOURCE_DIR,
+    describeDir = DEFAULT_DESCRIBE_DIR,
+    fieldOptions = {}
+  } = {}
+) {
+  const paths = toArray(manifestPaths);
+  const manifestOptions = { sourceDir, describeDir };
+  const members = await getPermissionSetsFromPackageXml(paths, manifestOptions);
+  const customObjects = await getMetadataMembersFromPackageXml(
+    "CustomObject",
+    paths,
+    manifestOptions
+  );
+  return {
+    manifestPaths: paths,
+    ...members,
+    customObjects,
+    customFields: await resolveDesignFields(
+      customObjects,
+      fieldOptions,
+      paths,
+      manifestOptions
+    ),
+    customTabs: await getMetadataMembersFromPackageXml(
+      "CustomTab",
+      paths,
+      manifestOptions
+    ),
+    recordTypes: await getMetadataMembersFromPackageXml(
+      "RecordType",
+      paths,
+      manifestOptions
+    ),
+    accessMembers: await getAccessMembersFromPackageXml(
+      paths,
+      manifestOptions,
+      customObjects
+    )
+  };
+}
+
+// 設計書の列になる権限セット・プロファイルなど: { type, name, label, description, license, root }
+function toSubject(type, name, root) {
+  return {
+    type,
+    name,
+    label: root.label || name,
+    description: root.description || "",
+    license: root.license || root.userLicense || "",
+    root
+  };
+}
+
+// sourceDir: ソースのフォルダ(複数可)、retrieve: ローカルにない場合に組織から取得する(既定は取得しない)
+// retrieveOptions: 組織から取得する際の transport・apiVersion(metadata-retrieve.js)
+export async function loadPermissionSet(
+  name,
+  { sourceDir = DEFAULT_SOURCE_DIR, retrieve = false, ...retrieveOptions } = {}
+) {
+  const metadata = await getPermissionSetMetadata(name, {
+    sourceDir,
+    retrieve,
+    ...retrieveOptions
+  });
+  return toSubject("PermissionSet", name, getMetadataRoot(metadata));
+}
+
+export async function loadProfile(
+  name,
+  { sourceDir = DEFAULT_SOURCE_DIR, retrieve = false, ...retrieveOptions } = {}
+) {
+  let metadata;
+  try {
+    metadata = await getProfileMetadata(name, {
+      sourceDir,
+      retrieve,
+      ...retrieveOptions
+    });
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new Error(
+        `Profile file not found: ${name}. Please ensure you have retrieved the latest metadata from your Salesforce organization.`
+      );
+    }
+    throw error;
+  }
+  return toSubject("Profile", name, getMetadataRoot(metadata));
+}
+
+// 権限セットグループの構成権限セットを読み込み、ミュート分を差し引いた有効な権限を求める
+// lang: ミュート権限セットの列名(「ミュート: 〜」)の言語
+export async function loadPermissionSetGroup(
+  name,
+  {
+    sourceDir = DEFAULT_SOURCE_DIR,
+    retrieve = false,
+    lang = DEFAULT_LANG,
+    ...retrieveOptions
+  } = {}
+) {
+  let metadata;
+  try {
+    metadata = await getPermissionSetGroupMetadata(name, {
+      sourceDir,
+      retrieve,
+      ...retrieveOptions
+    });
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new Error(
+        `Permission set group file not found: ${name}. Please ensure you have retrieved the latest metadata from your Salesforce organization.`
+      );
+    }
+    throw error;
+  }
+  const group = metadata.PermissionSetGroup;
+  const label = group.label || name;
+
+  const components = [];
+  for (const ps of group.permissionSets || []) {
+    components.push(
+      await loadPermissionSet(ps, { sourceDir, retrieve, ...retrieveOptions })
+    );
+  }
+
+  // ミュート権限セットはグループに1つまで(ないまま有効な権限を求めると権限を多く見積もるため、エラーにする)
+  let muting = null;
+  const [mutingName] = group.mutingPermissionSets || [];
+  if (mutingName) {
+    let mutingMetadata;
+    try {
+      mutingMetadata = await getMutingPermissionSetMetadata(mutingName, {
+        sourceDir,
+        retrieve,
+        ...retrieveOptions
+      });
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error(
+          `Muting permission set file not found: ${mutingName} (permission set group ${name}). Please ensure you have retrieved the latest metadata from your Salesforce organization.`
+        );
+      }
+      throw error;
+    }
+    muting = {
+      name: mutingName,
+      label: renderText(getDesignLocale(lang).muting, {
+        label: mutingMetadata.MutingPermissionSet.label || mutingName
+      }),
+      root: mutingMetadata.MutingPermissionSet
+    };
+  }
+
+  return {
+    type: "PermissionSetGroup",
+    name,
+    label,
+    description: group.description || "",
+    license: "",
+    components,
+    muting,
+    root: mergePermissionRoots(
+      components.map((component) => component.root),
+      { label, mutingRoot: muting?.root }
+    )
+  };
+}
+
+// プロファイル・権限セット・権限セットグループを合算し、ペルソナの有効なアクセス権を求める
+// definition: { label, description, profile, permissionSets, permissionSetGroups }
+export async function loadPersona(
+  name,
+  definition,
+  {
+    sourceDir = DEFAULT_SOURCE_DIR,
+    retrieve = false,
+    customFields = [],
+    ...retrieveOptions
+  } = {}
+) {
+  if (!definition.profile) {
+    throw new InvalidPersonaError(`Persona ${name} has no profile`);
+  }
+  const columns = [
+    await loadProfile(definition.profile, {
+      sourceDir,
+      retrieve,
+      ...retrieveOptions
+    })
+  ];
+  for (const ps of definition.permissionSets || []) {
+    columns.push(
+      await loadPermissionSet(ps, { sourceDir, retrieve, ...retrieveOptions })
+    );
+  }
+  for (const groupName of definition.permissionSetGroups || []) {
+    columns.push(
+      await loadPermissionSetGroup(groupName, {
+        sourceDir,
+        retrieve,
+        ...retrieveOptions
+      })
+    );
+  }
+
+  const label = definition.label || name;
+  return {
+    type: "Persona",
+    name,
+    label,
+    description: definition.description || "",
+    license: "",
+    columns,
+    root: applyImpliedPermissions(
+      mergePermissionRoots(
+        columns.map((column) => column.root),
+        { label }
+      ),
+      customFields
+    )
+  };
+}
+
+// 列ごとの検証結果を行単位にまとめる(複数列の場合は列名を付ける)
+function collectRowWarnings(subject, columns, validate) {
+  const messages = columns
+    .filter((column) => column.validate !== false)
+    .flatMap((column) =>
+      validate(column.root).map((message) => ({
+        label: columns.length > 1 ? column.label : null,
+        message
+      }))
+    );
+  return { subject, messages };
+}
+
+// describeデータがない場合の表示名(ns__Obj__c は「Obj (ns)」とする)
+function formatApiNameLabel(apiName) {
+  const { namespace, baseName } = parseApiName(apiName);
+  return namespace ? `${baseName} (${namespace})` : baseName;
+}
+
+// 表(matrix): { type, keyColumns: [列ID], keyHeaders: [列名], columns: [列名], rows: [[セル]], warnings: [{ subject, messages }] }
+function toMatrix(type, columns, rows, warnings = [], lang = DEFAULT_LANG) {
+  const { keyColumns } = DESIGN_DOCUMENTS[type];
+  const { itemLabel } = getDocumentTexts(type, lang);
+  return {
+    type,
+    keyColumns,
+    keyHeaders: keyColumns.map((columnId) =>
+      getColumnHeader(columnId, lang, { itemLabel })
+    ),
+    columns: columns.map((column) => column.label),
+    rows,
+    warnings
+  };
+}
+
+// columns: [{ label, root, validate }]。validate: false の列は検証しない(ミュート権限セットなど)
+// options: { describeDir, onMissingDescribe, lang }
+export async function buildObjectMatrix(manifest, columns, options = {}) {
+  const { customObjects } = manifest;
+  const rows = [];
+  const warnings = [];
+  for (const objName of customObjects) {
+    const objectDescribe = await getObjectDescribe(objName, options);
+    const displayName = objectDescribe
+      ? objectDescribe.label
+      : formatApiNameLabel(objName);
+    rows.push([
+      displayName,
+      objName,
+      ...columns.map((column) =>
+        formatObjectPermission(
+          column.root.objectPermissions?.find((p) => p.object === objName)
+        )
+      )
+    ]);
+    warnings.push(
+      collectRowWarnings(objName, columns, (root) =>
+        validateObjectPermission(
+          root,
+          objName,
+          objectDescribe,
+          customObjects,
+          options.lang
+        )
+      )
+    );
+  }
+  return toMatrix("object-permissions", columns, rows, warnings, options.lang);
+}
+
+export async function buildFieldMatrix(manifest, columns, options = {}) {
+  const rows = [];
+  const warnings = [];
+  for (const fieldFullName of manifest.customFields) {
+    const [objName, fieldName] = fieldFullName.split(".");
+    const objectDescribe = await getObjectDescribe(objName, options);
+    const displayName = objectDescribe
+      ? objectDescribe.label
+      : formatApiNameLabel(objName);
+    const fieldLabel = await getFieldLabel(objectDescribe, fieldName);
+    rows.push([
+      displayName,
+      objName,
+      fieldLabel,
+      fieldName,
+      ...columns.map((column) =>
+        formatFieldPermission(
+          column.root.fieldPermissions?.find((p) => p.field === fieldFullName)
+        )
+      )
+    ]);
+    warnings.push(
+      collectRowWarnings(fieldFullName, columns, (root) =>
+        validateFieldPermission(
+          root,
+          fieldFullName,
+          objectDescribe,
+          options.lang
+        )
+      )
+    );
+  }
+  return toMatrix("field-permissions", columns, rows, warnings, options.lang);
+}
+
+function getTabVisibility(root, tabName) {
+  return formatTabVisibility(root.tabSettings?.find((t) => t.tab === tabName));
+}
+
+// package.xmlのCustomTabとメタデータに含まれるタブを重複なく列挙する
+function collectTabNames(roots, customTabs) {
+  const tabNames = new Set(customTabs);
+  for (const root of roots) {
+    root.tabSettings?.forEach((t) => tabNames.add(t.tab));
+  }
+  return [...tabNames];
+}
+
+async function getTabLabel(tabName, describeDir) {
+  // 標準オブジェクトのタブは "standard-Account" の形式
+  const objName = tabName.replace(/^standard-/, "");
+  const objectDescribe = await findObjectDescribe(objName, describeDir);
+  return objectDescribe ? objectDescribe.label : tabName;
+}
+
+export async function buildTabMatrix(
+  manifest,
+  columns,
+  { describeDir = DEFAULT_DESCRIBE_DIR, lang } = {}
+) {
+  const roots = columns.map((column) => column.root);
+  const rows = [];
+  for (const tabName of collectTabNames(roots, manifest.customTabs || [])) {
+    rows.push([
+      await getTabLabel(tabName, describeDir),
+      tabName,
+      ...roots.map((root) => getTabVisibility(root, tabName))
+    ]);
+  }
+  return toMatrix("tab-settings", columns, rows, [], lang);
+}
+
+function getRecordTypeVisibility(root, recordTypeName) {
+  const visibility = root.recordTypeVisibilities?.find(
+    (r) => r.recordType === recordTypeName
+  );
+  if (!visibility || !visibility.visible) return "-";
+  return visibility.default ? "VD" : "V";
+}
+
+// package.xmlのRecordType、describeのrecordTypeInfos、メタデータに含まれるレコードタイプを列挙する
+async function collectRecordTypeNames(
+  roots,
+  customObjects,
+  recordTypes,
+  describeDir
+) {
+  const recordTypeNames = new Set(recordTypes);
+  for (const objName of customObjects) {
+    const objectDescribe = await findObjectDescribe(objName, describeDir);
+    objectDescribe?.recordTypeInfos
+      ?.filter((info) => !info.master)
+      .forEach((info) =>
+        recordTypeNames.add(`${objName}.${info.developerName}`)
+      );
+  }
+  for (const root of roots) {
+    root.recordTypeVisibilities?.forEach((r) =>
+      recordTypeNames.add(r.recordType)
+    );
+  }
+  return [...recordTypeNames];
+}
+
+async function getRecordTypeLabels(recordTypeName, describeDir) {
+  const [objName, developerName] = recordTypeName.split(".");
+  const objectDescribe = await findObjectDescribe(objName, describeDir);
+  const recordTypeInfo = objectDescribe?.recordTypeInfos?.find(
+    (info) => info.developerName === developerName
+  );
+  return {
+    objName,
+    objectLabel: objectDescribe ? objectDescribe.label : objName,
+    developerName,
+    recordTypeLabel: recordTypeInfo ? recordTypeInfo.name : developerName
+  };
+}
+
+export async function buildRecordTypeMatrix(
+  manifest,
+  columns,
+  { describeDir = DEFAULT_DESCRIBE_DIR, lang } = {}
+) {
+  const roots = columns.map((column) => column.root);
+  const recordTypeNames = await collectRecordTypeNames(
+    roots,
+    manifest.customObjects || [],
+    manifest.recordTypes || [],
+    describeDir
+  );
+  const rows = [];
+  for (const recordTypeName of recordTypeNames) {
+    const { objName, objectLabel, developerName, recordTypeLabel } =
+      await getRecordTypeLabels(recordTypeName, describeDir);
+    rows.push([
+      objectLabel,
+      objName,
+      recordTypeLabel,
+      developerName,
+      ...roots.map((root) => getRecordTypeVisibility(root, recordTypeName))
+    ]);
+  }
+  return toMatrix("record-type-visibilities", columns, rows, [], lang);
+}
+
+function getUserPermission(root, permissionName) {
+  const userPermission = root.userPermissions?.find(
+    (p) => p.name === permissionName
+  );
+  return userPermission && userPermission.enabled ? "ON" : "-";
+}
+
+// 高リスク権限は常に一覧の先頭に並べ、それ以外はメタデータに含まれる権限のみ列挙する
+async function collectUserPermissionRows(roots) {
+  const labels = await getUserPermissionLabels();
+  const permissionNames = new Set(
+    Object.keys(labels).filter((name) => labels[name].highRisk)
+  );
+  for (const root of roots) {
+    root.userPermissions?.forEach((p) => permissionNames.add(p.name));
+  }
+
+  return [...permissionNames]
+    .map((name) => ({
+      name,
+      ja: labels[name]?.ja || name,
+      en: labels[name]?.en || name,
+      highRisk: Boolean(labels[name]?.highRisk)
+    }))
+    .sort((a, b) => Number(b.highRisk) - Number(a.highRisk));
+}
+
+// システム権限はpackage.xmlに依存しないが、他の表と引数を揃える
+// 権限名は設計書の言語のラベル、もう一方の言語のラベルを次の列に載せる
+export async function buildUserPermissionMatrix(
+  manifest,
+  columns,
+  { lang = DEFAULT_LANG } = {}
+) {
+  const locale = getDesignLocale(lang);
+  const roots = columns.map((column) => column.root);
+  const rows = (await collectUserPermissionRows(roots)).map((permission) => [
+    permission.highRisk ? locale.highRisk : "-",
+    permission[locale.permissionLabelLang],
+    permission[locale.permissionAltLabelLang],
+    permission.name,
+    ...roots.map((root) => getUserPermission(root, permission.name))
+  ]);
+  return toMatrix("user-permissions", columns, rows, [], lang);
+}
+
+function getAccess(root, section, memberName) {
+  const access = root[section.tag]?.find(
+    (a) => a[section.memberKey] === memberName
+  );
+  if (section.tag === "applicationVisibilities") {
+    if (!access || !access.visible) return "-";
+    return access.default ? "VD" : "V";
+  }
+  return access && access.enabled ? "ON" : "-";
+}
+
+// 一覧に載せるのはpackage.xmlに記載されたメンバーのみ
+function getAccessMemberNames(manifest, section) {
+  return manifest.accessMembers?.[section.tag] || [];
+}
+
+// カスタムメタデータ型・カスタム設定はdescribeデータのラベルを使用する
+async function getAccessMemberLabel(section, memberName, describeDir) {
+  if (
+    section.tag !== "customMetadataTypeAccesses" &&
+    section.tag !== "customSettingAccesses"
+  ) {
+    return memberName;
+  }
+  const objectDescribe = await findObjectDescribe(memberName, describeDir);
+  return objectDescribe ? objectDescribe.label : memberName;
+}
+
+// section: ACCESS_SECTIONS の要素、またはそのbaseName
+export async function buildAccessMatrix(
+  section,
+  manifest,
+  columns,
+  { describeDir = DEFAULT_DESCRIBE_DIR, lang } = {}
+) {
+  const accessSection =
+    typeof section === "string"
+      ? ACCESS_SECTIONS.find((s) => s.baseName === section)
+      : section;
+  const roots = columns.map((column) => column.root);
+  const rows = [];
+  for (const memberName of getAccessMemberNames(manifest, accessSection)) {
+    rows.push([
+      await getAccessMemberLabel(accessSection, memberName, describeDir),
+      memberName,
+      ...roots.map((root) => getAccess(root, accessSection, memberName))
+    ]);
+  }
+  return toMatrix(accessSection.baseName, columns, rows, [], lang);
+}
+
+// 設計書の種類ごとに表を作成する(types で種類を絞り込む。順序は DESIGN_TYPES の順)
+// Apexクラスなどのアクセス設定は、package.xmlにメンバーがない種類を作成しない
+export async function buildDesignMatrices(
+  manifest,
+  columns,
+  { types = DESIGN_TYPES, ...options } = {}
+) {
+  const builders = {
+    "object-permissions": buildObjectMatrix,
+    "field-permissions": buildFieldMatrix,
+    "tab-settings": buildTabMatrix,
+    "record-type-visibilities": buildRecordTypeMatrix,
+    "user-permissions": buildUserPermissionMatrix
+  };
+  const matrices = [];
+  for (const type of DESIGN_TYPES.filter((t) => types.includes(t))) {
+    const section = ACCESS_SECTIONS.find((s) => s.baseName === type);
+    if (section && getAccessMemberNames(manifest, section).length === 0) {
+      continue;
+    }
+    matrices.push(
+      builders[type]
+        ? await builders[type](manifest, columns, options)
+        : await buildAccessMatrix(type, manifest, columns, options)
+    );
+  }
+  return matrices;
+}
+
+// 権限セット・プロファイル単体の設計書は、権限の列名を「権限」「表示設定」とする
+export async function buildSubjectMatrices(manifest, subject, options = {}) {
+  const matrices = await buildDesignMatrices(manifest, [subject], options);
+  return matrices.map((matrix) => ({
+    ...matrix,
+    columns: [getDocumentTexts(matrix.type, options.lang).valueHeader]
+  }));
+}
+
+// 手作業で組み立てた表など keyColumns がない場合は、列名を列IDとして扱う
+function getKeyColumns(matrix) {
+  return matrix.keyColumns ?? matrix.keyHeaders;
+}
+
+// 項目権限の表をオブジェクトごとに分ける: [{ key: オブジェクトAPI名, heading, matrix }]
+export function groupMatrixByObject(matrix, { lang = DEFAULT_LANG } = {}) {
+  const keyColumns = getKeyColumns(matrix);
+  const nameIndex = Math.max(keyColumns.indexOf("objectName"), 1);
+  const labelIndex = Math.max(keyColumns.indexOf("objectLabel"), 0);
+  const objectNames = [...new Set(matrix.rows.map((row) => row[nameIndex]))];
+  return objectNames.map((objName) => {
+    const indexes = matrix.rows
+      .map((row, index) => (row[nameIndex] === objName ? index : -1))
+      .filter((index) => index !== -1);
+    const heading = renderText(getDesignLocale(lang).fieldGroupHeading, {
+      objectLabel: matrix.rows[indexes[0]][labelIndex],
+      objectName: objName
+    });
+    return {
+      key: objName,
+      heading: `### ${heading}(table data)`,
+      matrix: {
+        ...matrix,
+        rows: indexes.map((index) => matrix.rows[index]),
+        warnings: indexes.map((index) => matrix.warnings[index])
+      }
+    };
+  });
+}
+
+function formatWarning({ label, message }) {
+  return label ? `${label}: ${message}` : message;
+}
+
+// テンプレートの columns の順に列を並べる: { headers, rows }
+// 列IDのほか、permissions は権限の列すべて、warnings は警告列(警告がある場合のみ)
+// それ以外の名前は、その名前を列名にした空の列(備考欄など)として追加する
+function arrangeTable(matrix, { lang = DEFAULT_LANG, columns } = {}) {
+  const keyColumns = getKeyColumns(matrix);
+  const hasWarnings = matrix.warnings.some((w) => w.messages.length > 0);
+  const fields = [];
+  for (const columnId of columns ?? [
+    ...keyColumns,
+    "permissions",
+    "warnings"
+  ]) {
+    const keyIndex = keyColumns.indexOf(columnId);
+    if (keyIndex !== -1) {
+      fields.push({
+        header: matrix.keyHeaders[keyIndex],
+        getCell: (row) => row[keyIndex]
+      });
+    } else if (columnId === "permissions") {
+      matrix.columns.forEach((header, index) =>
+        fields.push({
+          header,
+          getCell: (row) => row[keyColumns.length + index]
+        })
+      );
+    } else if (columnId === "warnings") {
+      if (!hasWarnings) continue;
+      fields.push({
+        header: getDesignLocale(lang).warning,
+        getCell: (row, index) =>
+          matrix.warnings[index].messages.map(formatWarning).join("; ")
+      });
+    } else {
+      fields.push({ header: columnId, getCell: () => "" });
+    }
+  }
+  return {
+    headers: fields.map((field) => field.header),
+    rows: matrix.rows.map((row, index) =>
+      fields.map((field) => field.getCell(row, index))
+    )
+  };
+}
+
+function buildTableMarkdown(tableHeading, { headers, rows }) {
+  const lines = [
+    tableHeading,
+    `| ${headers.join(" | ")} |`,
+    `|${headers.map(() => ":--").join("|")}|`,
+    ...rows.map((cells) => `| ${cells.join(" | ")} |`)
+  ];
+  return lines.join("\n");
+}
+
+// 警告がある場合のみ、設計書の末尾に警告の一覧を追加する
+function buildWarningsMarkdown(warnings, lang) {
+  const warningItems = warnings.flatMap((w) =>
+    w.messages.map(({ label, message }) =>
+      label
+        ? `- ${w.subject} (${label}): ${message}`
+        : `- ${w.subject}: ${message}`
+    )
+  );
+  if (warningItems.length === 0) return "";
+  return `### ${getDesignLocale(lang).warning}
+${warningItems.join("\n")}`;
+}
+
+// 設計書の種類ごとの文言にテンプレートの指定(表題・表の見出し)を反映する
+function resolveDocument(matrix, { lang = DEFAULT_LANG, templates = {} }) {
+  const template = templates[matrix.type] ?? {};
+  const texts = getDocumentTexts(matrix.type, lang);
+  return {
+    template,
+    title: template.title ?? texts.title,
+    tableHeading: `### ${template.tableHeading ?? texts.tableHeading}(table data)`,
+    legend: texts.legend,
+    legendHeading: texts.legendHeading
+  };
+}
+
+// 表を設計書のMarkdownにする
+// subtitle: 凡例の前に入れる見出し(「## プロファイル: 〜」など)、legendItems: 凡例に追加する項目
+// groupByObject: 項目権限の表をオブジェクトごとに分ける(describeから項目を取得した場合など項目数が多いとき)
+// lang: 文言の言語、templates: loadTemplates で読み込んだテンプレート
+export function renderMarkdown(
+  matrix,
+  {
+    subtitle,
+    legendItems = [],
+    groupByObject = false,
+    lang = DEFAULT_LANG,
+    templates
+  } = {}
+) {
+  const document = resolveDocument(matrix, { lang, templates });
+  const tableOptions = { lang, columns: document.template.columns };
+  const tables =
+    groupByObject && matrix.type === "field-permissions"
+      ? groupMatrixByObject(matrix, { lang }).map((section) =>
+          buildTableMarkdown(
+            section.heading,
+            arrangeTable(section.matrix, tableOptions)
+          )
+        )
+      : [
+          buildTableMarkdown(
+            document.tableHeading,
+            arrangeTable(matrix, tableOptions)
+          )
+        ];
+  const legend = [
+    `### ${document.legendHeading}`,
+    ...[...document.legend, ...legendItems].map((item) => `- ${item}`)
+  ].join("\n");
+  // 空の差し込み箇所で空行が続かないよう、3行以上の改行は1つの空行にまとめる
+  return renderText(document.template.body ?? DEFAULT_TEMPLATE_BODY, {
+    type: matrix.type,
+    title: document.title,
+    subtitle,
+    legend,
+    tables: tables.join("\n\n"),
+    warnings: buildWarningsMarkdown(matrix.warnings, lang)
+  })
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// 表をPNG(Buffer)・SVG(文字列)の画像にする。大きな表は複数の画像に分割する
+// options: { format: "png" | "svg", lang, templates, fontFile, scale, maxRows, maxColumns }
+// 列の並びはMarkdownと同じくテンプレートの columns に従う
+export async function renderImage(
+  matrix,
+  { format = "png", lang = DEFAULT_LANG, templates, ...options } = {}
+) {
+  const document = resolveDocument(matrix, { lang, templates });
+  const markdown = buildTableMarkdown(
+    document.tableHeading,
+    arrangeTable(matrix, { lang, columns: document.template.columns })
+  );
+  // canvasはネイティブモジュールのため、PNGを作成するときのみ読み込む
+  if (format === "svg") {
+    const { generateSvgImages } = await import("./table-svg.js");
+    return generateSvgImages(markdown, options);
+  }
+  const { generateImages } = await import("./table-image.js");
+  return generateImages(markdown, options);
+}
@@ -0,0 +1,282 @@
+// 2つの権限セット・プロファイル(メタデータのルート要素)の差分を求める共通処理
+import {
+  DEFAULT_DESCRIBE_DIR,
+  findObjectDescribe,
+  getFieldLabel
+} from "./describe-data.js";
+import { getUserPermissionLabels } from "./user-permission-labels.js";
+import {
+  formatObjectPermission,
+  formatFieldPermission,
+  formatTabVisibility,
+  OBJECT_PERMISSION_FLAGS
+} from "./permission-metadata.js";
+import {
+  DEFAULT_LANG,
+  getDesignLocale,
+  getColumnHeader,
+  renderText
+} from "./design-locale.js";
+
+// 「すべて参照」「すべて変更」に相当する権限は付与時に強調表示する
+const CRITICAL_OBJECT_FLAGS = ["viewAllRecords", "modifyAllRecords"];
+const CRITICAL_USER_PERMISSIONS = ["ViewAllData", "ModifyAllData"];
+
+function unionKeys(baseEntries, headEntries, keyName) {
+  return [
+    ...new Set([
+      ...(baseEntries || []).map((e) => e[keyName]),
+      ...(headEntries || []).map((e) => e[keyName])
+    ])
+  ].sort();
+}
+
+function toFlagCodes(flags) {
+  return Object.entries(OBJECT_PERMISSION_FLAGS)
+    .filter(([, flag]) => flags.includes(flag))
+    .map(([code]) => code)
+    .join("");
+}
+
+async function diffObjectPermissions(base, head, critical, options) {
+  const rows = [];
+  for (const objName of unionKeys(
+    base.objectPermissions,
+    head.objectPermissions,
+    "object"
+  )) {
+    const before = base.objectPermissions?.find((p) => p.object === objName);
+    const after = head.objectPermissions?.find((p) => p.object === objName);
+    const flags = Object.values(OBJECT_PERMISSION_FLAGS);
+    const gained = flags.filter((f) => !before?.[f] && after?.[f]);
+    const lost = flags.filter((f) => before?.[f] && !after?.[f]);
+    if (gained.length === 0 && lost.length === 0) continue;
+
+    const objectDescribe = await findObjectDescribe(
+      objName,
+      options.describeDir
+    );
+    const label = objectDescribe ? objectDescribe.label : objName;
+    gained
+      .filter((flag) => CRITICAL_OBJECT_FLAGS.includes(flag))
+      .forEach((flag) =>
+        critical.push(
+          renderText(options.locale.diff.objectGranted, {
+            label,
+            name: objName,
+            code: toFlagCodes([flag]),
+            flag
+          })
+        )
+      );
+    rows.push([
+      label,
+      objName,
+      formatObjectPermission(before),
+      formatObjectPermission(after),
+      toFlagCodes(gained) || "-",
+      toFlagCodes(lost) || "-"
+    ]);
+  }
+  return rows;
+}
+
+async function diffFieldPermissions(base, head, options) {
+  const rows = [];
+  for (const fieldFullName of unionKeys(
+    base.fieldPermissions,
+    head.fieldPermissions,
+    "field"
+  )) {
+    const before = formatFieldPermission(
+      base.fieldPermissions?.find((p) => p.field === fieldFullName)
+    );
+    const after = formatFieldPermission(
+      head.fieldPermissions?.find((p) => p.field === fieldFullName)
+    );
+    if (before === after) continue;
+
+    const [objName, fieldName] = fieldFullName.split(".");
+    const objectDescribe = await findObjectDescribe(
+      objName,
+      options.describeDir
+    );
+    rows.push([
+      objectDescribe ? objectDescribe.label : objName,
+      objName,
+      await getFieldLabel(objectDescribe, fieldName),
+      fieldName,
+      before,
+      after
+    ]);
+  }
+  return rows;
+}
+
+async function diffTabSettings(base, head, options) {
+  const rows = [];
+  for (const tabName of unionKeys(base.tabSettings, head.tabSettings, "tab")) {
+    const before = formatTabVisibility(
+      base.tabSettings?.find((t) => t.tab === tabName)
+    );
+    const after = formatTabVisibility(
+      head.tabSettings?.find((t) => t.tab === tabName)
+    );
+    if (before === after) continue;
+
+    // 標準オブジェクトのタブは "standard-Account" の形式
+    const objectDescribe = await findObjectDescribe(
+      tabName.replace(/^standard-/, ""),
+      options.describeDir
+    );
+    rows.push([
+      objectDescribe ? objectDescribe.label : tabName,
+      tabName,
+      before,
+      after
+    ]);
+  }
+  return rows;
+}
+
+async function diffUserPermissions(base, head, critical, { locale }) {
+  const labels = await getUserPermissionLabels();
+  const rows = [];
+  for (const name of unionKeys(
+    base.userPermissions,
+    head.userPermissions,
+    "name"
+  )) {
+    const before = Boolean(
+      base.userPermissions?.find((p) => p.name === name)?.enabled
+    );
+    const after = Boolean(
+      head.userPermissions?.find((p) => p.name === name)?.enabled
+    );
+    if (before === after) continue;
+
+    const label = labels[name]?.[locale.permissionLabelLang] || name;
+    if (after && CRITICAL_USER_PERMISSIONS.includes(name)) {
+      critical.push(renderText(locale.diff.permissionGranted, { label, name }));
+    }
+    rows.push([
+      labels[name]?.highRisk ? locale.highRisk : "-",
+      label,
+      name,
+      before ? "ON" : "-",
+      after ? "ON" : "-"
+    ]);
+  }
+  return rows;
+}
+
+function buildTableMarkdown(heading, headers, rows, locale) {
+  if (rows.length === 0) return `### ${heading}\n${locale.diff.noChanges}`;
+  return [
+    `### ${heading}(table data)`,
+    `| ${headers.join(" | ")} |`,
+    `|${headers.map(() => ":--").join("|")}|`,
+    ...rows.map((row) => `| ${row.join(" | ")} |`)
+  ].join("\n");
+}
+
+// 差分を { objects, fields, tabs, userPermissions, critical } の行データで返す
+// describeDir: ラベルを取得するdescribeデータのフォルダ
+// lang: 高リスクの区分・システム権限名・付与の警告の言語
+export async function comparePermissions(
+  base,
+  head,
+  { describeDir = DEFAULT_DESCRIBE_DIR, lang = DEFAULT_LANG } = {}
+) {
+  const options = { describeDir, locale: getDesignLocale(lang) };
+  const critical = [];
+  return {
+    objects: await diffObjectPermissions(base, head, critical, options),
+    fields: await diffFieldPermissions(base, head, options),
+    tabs: await diffTabSettings(base, head, options),
+    userPermissions: await diffUserPermissions(base, head, critical, options),
+    critical
+  };
+}
+
+export function hasPermissionDifferences(diff) {
+  return (
+    diff.objects.length > 0 ||
+    diff.fields.length > 0 ||
+    diff.tabs.length > 0 ||
+    diff.userPermissions.length > 0
+  );
+}
+
+// 比較対象の呼び方(変更前/変更後、組織/ローカルなど)を列見出しに使用する
+export function buildDiffSections(diff, options = {}) {
+  const lang = options.lang || DEFAULT_LANG;
+  const locale = getDesignLocale(lang);
+  const { before = locale.diff.before, after = locale.diff.after } = options;
+  const column = (columnId) => getColumnHeader(columnId, lang);
+  return [
+    {
+      baseName: "object-permissions-diff",
+      markdown: buildTableMarkdown(
+        locale.diff.headings.objects,
+        [
+          column("objectLabel"),
+          column("objectName"),
+          before,
+          after,
+          locale.diff.added,
+          locale.diff.removed
+        ],
+        diff.objects,
+        locale
+      )
+    },
+    {
+      baseName: "field-permissions-diff",
+      markdown: buildTableMarkdown(
+        locale.diff.headings.fields,
+        [
+          column("objectLabel"),
+          column("objectName"),
+          column("fieldLabel"),
+          column("fieldName"),
+          before,
+          after
+        ],
+        diff.fields,
+        locale
+      )
+    },
+    {
+      baseName: "tab-settings-diff",
+      markdown: buildTableMarkdown(
+        locale.diff.headings.tabs,
+        [column("tabLabel"), column("tabName"), before, after],
+        diff.tabs,
+        locale
+      )
+    },
+    {
+      baseName: "user-permissions-diff",
+      markdown: buildTableMarkdown(
+        locale.diff.headings.userPermissions,
+        [
+          column("category"),
+          column("permissionLabel"),
+          column("permissionName"),
+          before,
+          after
+        ],
+        diff.userPermissions,
+        locale
+      )
+    }
+  ];
+}
+
+export function buildCriticalMarkdown(critical, lang = DEFAULT_LANG) {
+  const locale = getDesignLocale(lang);
+  const heading = `### ${locale.diff.criticalHeading}`;
+  if (critical.length === 0) return `${heading}\n${locale.diff.noCritical}`;
+  return `${heading}\n${critical.map((item) => `- ${item}`).join("\n")}`;
+}
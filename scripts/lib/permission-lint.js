@@ -0,0 +1,304 @@
+// 権限セット・プロファイルをルールファイルの定義に沿って検査する共通処理
+import {
+  OBJECT_PERMISSION_FLAGS,
+  formatFieldPermission,
+  parseObjectPermission,
+  parseFieldPermission
+} from "./permission-metadata.js";
+
+export const SEVERITIES = ["error", "warning"];
+
+const TARGET_TYPES = ["PermissionSet", "Profile"];
+
+// 項目権限の強さ(field-max-access で比較する)
+const FIELD_ACCESS_RANK = { "-": 0, R: 1, RU: 2 };
+
+export class InvalidRuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidRuleError";
+  }
+}
+
+function matchesPattern(pattern, value) {
+  if (pattern === "*") return true;
+  if (pattern.endsWith(".*")) return value.startsWith(pattern.slice(0, -1));
+  return pattern === value;
+}
+
+function isExcepted(rule, target) {
+  return (rule.except || []).some(
+    (name) => name === target.name || name === target.label
+  );
+}
+
+function appliesTo(rule, target) {
+  const types = rule.appliesTo || TARGET_TYPES;
+  return types.includes(target.type) && !isExcepted(rule, target);
+}
+
+function toFlagNames(flags) {
+  return Object.entries(flags)
+    .filter(([, value]) => value)
+    .map(([flag]) => flag);
+}
+
+function toFlagCodes(flagNames) {
+  return Object.entries(OBJECT_PERMISSION_FLAGS)
+    .filter(([, flag]) => flagNames.includes(flag))
+    .map(([code]) => code)
+    .join("");
+}
+
+// ルールの種類ごとに { target, message } の一覧を返す
+const RULE_CHECKS = {
+  // 指定したシステム権限を例外以外に付与しない
+  "forbidden-user-permission"(rule, targets) {
+    const violations = [];
+    for (const target of targets.filter((t) => appliesTo(rule, t))) {
+      for (const permission of rule.permissions) {
+        const granted = target.root.userPermissions?.some(
+          (p) => p.name === permission && p.enabled
+        );
+        if (granted) {
+          violations.push({
+            target,
+            message: `${permission} is granted`
+          });
+        }
+      }
+    }
+    return violations;
+  },
+
+  // when の権限を付与する場合は requires の権限も付与する(例: D には R と U が必要)
+  "object-permission-dependency"(rule, targets) {
+    const when = toFlagNames(parseObjectPermission(rule.when));
+    const requires = toFlagNames(parseObjectPermission(rule.requires));
+    const violations = [];
+    for (const target of targets.filter((t) => appliesTo(rule, t))) {
+      for (const objectPermission of target.root.objectPermissions || []) {
+        if (
+          !rule.objects.some((o) => matchesPattern(o, objectPermission.object))
+        ) {
+          continue;
+        }
+        if (!when.every((flag) => objectPermission[flag])) continue;
+        const missing = requires.filter((flag) => !objectPermission[flag]);
+        if (missing.length > 0) {
+          violations.push({
+            target,
+            message: `${objectPermission.object}: ${rule.when} requires ${rule.requires} (missing ${toFlagCodes(missing)})`
+          });
+        }
+      }
+    }
+    return violations;
+  },
+
+  // 指定した項目の権限が max を超えない(例: 機密項目は RU にしない)
+  "field-max-access"(rule, targets) {
+    const violations = [];
+    for (const target of targets.filter((t) => appliesTo(rule, t))) {
+      for (const fieldPermission of target.root.fieldPermissions || []) {
+        if (
+          !rule.fields.some((f) => matchesPattern(f, fieldPermission.field))
+        ) {
+          continue;
+        }
+        const access = formatFieldPermission(fieldPermission);
+        if (FIELD_ACCESS_RANK[access] > FIELD_ACCESS_RANK[rule.max]) {
+          violations.push({
+            target,
+            message: `${fieldPermission.field} is ${access} (max ${rule.max})`
+          });
+        }
+      }
+    }
+    return violations;
+  },
+
+  // package.xmlのカスタム項目は、いずれかの権限セット・プロファイルで参照可能にする
+  "fields-granted"(rule, targets, { customFields }) {
+    const checked = targets.filter((t) => appliesTo(rule, t));
+    return customFields
+      .filter((field) =>
+        (rule.fields || ["*"]).some((f) => matchesPattern(f, field))
+      )
+      .filter(
+        (field) =>
+          !checked.some((target) =>
+            target.root.fieldPermissions?.some(
+              (p) => p.field === field && p.readable
+            )
+          )
+      )
+      .map((field) => ({
+        target: null,
+        message: `${field} is not granted by any permission set or profile`
+      }));
+  }
+};
+
+export const RULE_TYPES = Object.keys(RULE_CHECKS);
+
+function requireArray(rule, key) {
+  if (!Array.isArray(rule[key]) || rule[key].length === 0) {
+    throw new InvalidRuleError(
+      `Rule ${rule.id}: "${key}" must be a non-empty array`
+    );
+  }
+}
+
+// ルールファイルの定義を検証する
+export function validateRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new InvalidRuleError(`"rules" must be an array`);
+  }
+  const ids = new Set();
+  rules.forEach((rule, index) => {
+    if (!rule.id) {
+      throw new InvalidRuleError(`Rule #${index + 1}: "id" is required`);
+    }
+    if (ids.has(rule.id)) {
+      throw new InvalidRuleError(`Rule ${rule.id}: duplicate id`);
+    }
+    ids.add(rule.id);
+    if (!RULE_CHECKS[rule.type]) {
+      throw new InvalidRuleError(
+        `Rule ${rule.id}: unknown type "${rule.type}" (expected one of ${RULE_TYPES.join(", ")})`
+      );
+    }
+    if (rule.severity && !SEVERITIES.includes(rule.severity)) {
+      throw new InvalidRuleError(
+        `Rule ${rule.id}: unknown severity "${rule.severity}"`
+      );
+    }
+    if (
+      rule.appliesTo &&
+      !rule.appliesTo.every((type) => TARGET_TYPES.includes(type))
+    ) {
+      throw new InvalidRuleError(
+        `Rule ${rule.id}: "appliesTo" must contain ${TARGET_TYPES.join(" / ")}`
+      );
+    }
+
+    if (rule.type === "forbidden-user-permission") {
+      requireArray(rule, "permissions");
+    } else if (rule.type === "object-permission-dependency") {
+      requireArray(rule, "objects");
+      if (
+        !parseObjectPermission(rule.when) ||
+        !parseObjectPermission(rule.requires)
+      ) {
+        throw new InvalidRuleError(
+          `Rule ${rule.id}: "when" and "requires" must be object permission codes (e.g. "D", "RU")`
+        );
+      }
+    } else if (rule.type === "field-max-access") {
+      requireArray(rule, "fields");
+      if (!parseFieldPermission(rule.max)) {
+        throw new InvalidRuleError(
+          `Rule ${rule.id}: "max" must be "-", "R" or "RU"`
+        );
+      }
+    }
+  });
+}
+
+// targets: [{ type: "PermissionSet" | "Profile", name, label, root }]
+// 戻り値: [{ ruleId, severity, description, target: { type, name, label } | null, message }]
+export function lintPermissions(targets, rules, { customFields = [] } = {}) {
+  validateRules(rules);
+  const results = [];
+  for (const rule of rules) {
+    const violations = RULE_CHECKS[rule.type](rule, targets, { customFields });
+    for (const violation of violations) {
+      results.push({
+        ruleId: rule.id,
+        severity: rule.severity || "error",
+        description: rule.description || "",
+        target: violation.target && {
+          type: violation.target.type,
+          name: violation.target.name,
+          label: violation.target.label
+        },
+        message: rule.message
+          ? `${rule.message} (${violation.message})`
+          : violation.message
+      });
+    }
+  }
+  return results;
+}
+
+function describeTarget(target) {
+  return target ? `${target.type} ${target.name}` : "package.xml";
+}
+
+export function formatLintText(violations) {
+  const lines = violations.map(
+    (v) =>
+      `${v.severity.toUpperCase()} [${v.ruleId}] ${describeTarget(v.target)}: ${v.message}`
+  );
+  const errors = violations.filter((v) => v.severity === "error").length;
+  lines.push(
+    `${violations.length} problem(s) (${errors} error(s), ${violations.length - errors} warning(s))`
+  );
+  return lines.join("\n");
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// CIで表示できるよう、ルールごとに testsuite、検査対象ごとに testcase を出力する
+export function formatLintJunit(violations, rules, targets) {
+  const suites = rules.map((rule) => {
+    const ruleViolations = violations.filter((v) => v.ruleId === rule.id);
+    const caseNames =
+      rule.type === "fields-granted"
+        ? ["package.xml"]
+        : targets.filter((t) => appliesTo(rule, t)).map(describeTarget);
+    const testcases = caseNames.map((caseName) => {
+      const caseViolations = ruleViolations.filter(
+        (v) => describeTarget(v.target) === caseName
+      );
+      const errors = caseViolations.filter((v) => v.severity === "error");
+      const warnings = caseViolations.filter((v) => v.severity === "warning");
+      const body = [
+        ...errors.map(
+          (v) =>
+            `      <failure message="${escapeXml(v.message)}" type="${escapeXml(rule.type)}"/>`
+        ),
+        ...(warnings.length > 0
+          ? [
+              `      <system-out>${escapeXml(warnings.map((v) => `WARNING: ${v.message}`).join("\n"))}</system-out>`
+            ]
+          : [])
+      ];
+      const open = `    <testcase classname="${escapeXml(rule.id)}" name="${escapeXml(caseName)}"`;
+      return body.length > 0
+        ? `${open}>\n${body.join("\n")}\n    </testcase>`
+        : `${open}/>`;
+    });
+    const failures = ruleViolations.filter((v) => v.severity === "error");
+    const failedCases = new Set(failures.map((v) => describeTarget(v.target)));
+    return [
+      `  <testsuite name="${escapeXml(rule.id)}" tests="${caseNames.length}" failures="${failedCases.size}">`,
+      ...testcases,
+      "  </testsuite>"
+    ].join("\n");
+  });
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<testsuites name="permission-lint">`,
+    ...suites,
+    "</testsuites>",
+    ""
+  ].join("\n");
+}
@@ -0,0 +1,185 @@
+// 複数の権限セット・プロファイルの権限を合算する共通処理
+import { OBJECT_PERMISSION_FLAGS } from "./permission-metadata.js";
+
+const FIELD_PERMISSION_FLAGS = ["readable", "editable"];
+
+// レコードタイプ・Apexクラスなどの「名前 + 有効/表示」形式の設定: [タグ, キー, 権限]
+const NAMED_ACCESS_SECTIONS = [
+  ["recordTypeVisibilities", "recordType", ["visible", "default"]],
+  ["classAccesses", "apexClass", ["enabled"]],
+  ["pageAccesses", "apexPage", ["enabled"]],
+  ["customPermissions", "name", ["enabled"]],
+  ["flowAccesses", "flow", ["enabled"]],
+  ["customMetadataTypeAccesses", "name", ["enabled"]],
+  ["customSettingAccesses", "name", ["enabled"]],
+  ["applicationVisibilities", "application", ["visible", "default"]]
+];
+
+// 参照をミュートした場合は編集もできなくなる(項目権限)
+const FIELD_IMPLIED_FLAGS = { editable: ["readable"] };
+
+// flag をミュートしたときに一緒に外れる権限(flag を前提とする権限を連鎖的にたどる)
+function collectDependentFlags(flag, impliedFlags) {
+  const dependents = new Set([flag]);
+  let added = true;
+  while (added) {
+    added = false;
+    for (const [dependent, required] of Object.entries(impliedFlags)) {
+      if (
+        !dependents.has(dependent) &&
+        required.some((requiredFlag) => dependents.has(requiredFlag))
+      ) {
+        dependents.add(dependent);
+        added = true;
+      }
+    }
+  }
+  return [...dependents];
+}
+
+// タブは最も表示範囲の広い設定を優先する
+const TAB_VISIBILITY_RANK = {
+  Hidden: 0,
+  None: 0,
+  DefaultOff: 1,
+  Available: 1,
+  DefaultOn: 2,
+  Visible: 2
+};
+
+function mergeEntries(
+  roots,
+  tag,
+  keyName,
+  flags,
+  mutingRoot,
+  impliedFlags = {}
+) {
+  const merged = new Map();
+  for (const root of roots) {
+    for (const entry of root[tag] || []) {
+      const current =
+        merged.get(entry[keyName]) ||
+        Object.fromEntries([
+          [keyName, entry[keyName]],
+          ...flags.map((flag) => [flag, false])
+        ]);
+      flags.forEach((flag) => {
+        current[flag] = current[flag] || Boolean(entry[flag]);
+      });
+      merged.set(entry[keyName], current);
+    }
+  }
+
+  // ミュート権限セットで有効になっている権限は付与から除外する
+  for (const muted of mutingRoot?.[tag] || []) {
+    const current = merged.get(muted[keyName]);
+    if (!current) continue;
+    flags
+      .filter((flag) => muted[flag])
+      .flatMap((flag) => collectDependentFlags(flag, impliedFlags))
+      .forEach((flag) => {
+        current[flag] = false;
+      });
+  }
+  return [...merged.values()];
+}
+
+function mergeTabSettings(roots) {
+  const merged = new Map();
+  for (const root of roots) {
+    for (const tabSetting of root.tabSettings || []) {
+      const current = merged.get(tabSetting.tab);
+      if (
+        !current ||
+        (TAB_VISIBILITY_RANK[tabSetting.visibility] ?? 0) >
+          (TAB_VISIBILITY_RANK[current.visibility] ?? 0)
+      ) {
+        merged.set(tabSetting.tab, { ...tabSetting });
+      }
+    }
+  }
+  return [...merged.values()];
+}
+
+// 各権限を和集合で合算し、ミュート権限セットの分を差し引いた権限を返す
+// 戻り値は権限セットのメタデータのルート要素と同じ形で、既存の表生成処理にそのまま渡せる
+export function mergePermissionRoots(roots, { label, mutingRoot } = {}) {
+  return {
+    label,
+    objectPermissions: mergeEntries(
+      roots,
+      "objectPermissions",
+      "object",
+      Object.values(OBJECT_PERMISSION_FLAGS),
+      mutingRoot,
+      IMPLIED_OBJECT_FLAGS
+    ),
+    fieldPermissions: mergeEntries(
+      roots,
+      "fieldPermissions",
+      "field",
+      FIELD_PERMISSION_FLAGS,
+      mutingRoot,
+      FIELD_IMPLIED_FLAGS
+    ),
+    userPermissions: mergeEntries(
+      roots,
+      "userPermissions",
+      "name",
+      ["enabled"],
+      mutingRoot
+    ),
+    tabSettings: mergeTabSettings(roots),
+    ...Object.fromEntries(
+      NAMED_ACCESS_SECTIONS.map(([tag, keyName, flags]) => [
+        tag,
+        mergeEntries(roots, tag, keyName, flags, mutingRoot)
+      ])
+    )
+  };
+}
+
+// Salesforceの権限の包含関係(すべて変更→すべて参照・参照・編集・削除 など)
+export const IMPLIED_OBJECT_FLAGS = {
+  modifyAllRecords: ["viewAllRecords", "allowRead", "allowEdit", "allowDelete"],
+  viewAllRecords: ["allowRead"],
+  allowDelete: ["allowRead", "allowEdit"],
+  allowEdit: ["allowRead"],
+  allowCreate: ["allowRead"],
+  viewAllFields: ["allowRead"]
+};
+
+// 包含される権限を補った権限を返す(すべての項目表示の場合は customFields の該当項目を参照可能にする)
+export function applyImpliedPermissions(root, customFields = []) {
+  const objectPermissions = (root.objectPermissions || []).map((entry) => {
+    const implied = { ...entry };
+    // modifyAllRecords → viewAllRecords → allowRead のように連鎖するため定義順に適用する
+    for (const [flag, impliedFlags] of Object.entries(IMPLIED_OBJECT_FLAGS)) {
+      if (!implied[flag]) continue;
+      impliedFlags.forEach((impliedFlag) => {
+        implied[impliedFlag] = true;
+      });
+    }
+    return implied;
+  });
+
+  const fieldPermissions = (root.fieldPermissions || []).map((entry) => ({
+    ...entry,
+    readable: Boolean(entry.readable || entry.editable)
+  }));
+  for (const objectPermission of objectPermissions) {
+    if (!objectPermission.viewAllFields) continue;
+    for (const field of customFields) {
+      if (!field.startsWith(`${objectPermission.object}.`)) continue;
+      const fieldPermission = fieldPermissions.find((p) => p.field === field);
+      if (fieldPermission) {
+        fieldPermission.readable = true;
+      } else {
+        fieldPermissions.push({ field, readable: true, editable: false });
+      }
+    }
+  }
+
+  return { ...root, objectPermissions, fieldPermissions };
+}
@@ -0,0 +1,161 @@
+// 権限セット・プロファイルのメタデータXMLを扱う共通処理
+import { XMLParser, XMLBuilder } from "fast-xml-parser";
+
+// 要素が1件でも配列として扱う権限セット・プロファイルのタグ
+export const PERMISSION_ARRAY_TAGS = [
+  "fieldPermissions",
+  "objectPermissions",
+  "recordTypeVisibilities",
+  "tabSettings",
+  "userPermissions",
+  "classAccesses",
+  "pageAccesses",
+  "customPermissions",
+  "flowAccesses",
+  "customMetadataTypeAccesses",
+  "customSettingAccesses",
+  "applicationVisibilities",
+  "permissionSets",
+  "mutingPermissionSets"
+];
+
+// 設計書の生成用: true/falseなどの値を型変換して読み込む
+export function parsePermissionMetadataXml(xmlContent) {
+  const parser = new XMLParser({
+    ignoreAttributes: true,
+    isArray: (name) => PERMISSION_ARRAY_TAGS.includes(name)
+  });
+  return parser.parse(xmlContent);
+}
+
+// XMLの書き換え用: 属性と値を文字列のまま保持して読み込む
+export function parsePermissionMetadataDocument(xmlContent) {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    parseTagValue: false,
+    isArray: (name, jpath) =>
+      PERMISSION_ARRAY_TAGS.includes(name) && jpath.split(".").length === 2
+  });
+  return parser.parse(xmlContent);
+}
+
+// Salesforceの取得結果と同じく、要素名のアルファベット順・4スペースインデントで出力する
+export function buildPermissionMetadataXml(document) {
+  const sortKeys = (value) => {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (value === null || typeof value !== "object") return value;
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort((a, b) => {
+          // 宣言(?xml)と属性(@_)は元の順序のまま要素より前に置く
+          const isElement = (key) =>
+            !key.startsWith("?") && !key.startsWith("@_");
+          if (!isElement(a) || !isElement(b)) {
+            return Number(isElement(a)) - Number(isElement(b));
+          }
+          return a < b ? -1 : a > b ? 1 : 0;
+        })
+        .map((key) => [key, sortKeys(value[key])])
+    );
+  };
+  const builder = new XMLBuilder({
+    ignoreAttributes: false,
+    format: true,
+    indentBy: "    "
+  });
+  return builder.build(sortKeys(document));
+}
+
+// 権限セット・プロファイル・ミュート権限セットのいずれでもルート要素を返す
+export function getMetadataRoot(metadata) {
+  return (
+    metadata.PermissionSet ||
+    metadata.Profile ||
+    metadata.MutingPermissionSet ||
+    metadata.PermissionSetGroup
+  );
+}
+
+// オブジェクト権限を C/R/U/D/Va/Ua/Fa の表記に変換する
+export function formatObjectPermission(objPermission) {
+  if (!objPermission) return "-";
+  let permissions = "";
+  if (objPermission.allowCreate) permissions += "C";
+  if (objPermission.allowRead) permissions += "R";
+  if (objPermission.allowEdit) permissions += "U";
+  if (objPermission.allowDelete) permissions += "D";
+  if (objPermission.viewAllRecords) permissions += "Va";
+  if (objPermission.modifyAllRecords) permissions += "Ua";
+  if (objPermission.viewAllFields) permissions += "Fa";
+  return permissions === "" ? "-" : permissions;
+}
+
+// 項目権限を R/RU の表記に変換する
+export function formatFieldPermission(fieldPerm) {
+  if (fieldPerm) {
+    if (fieldPerm.readable && fieldPerm.editable) {
+      return "RU";
+    } else if (fieldPerm.readable) {
+      return "R";
+    } else if (fieldPerm.editable) {
+      // ミュート権限セットでは編集のみをミュートできる
+      return "U";
+    }
+  }
+  return "-";
+}
+
+// 権限セット(Visible/Available/None)とプロファイル(DefaultOn/DefaultOff/Hidden)の表記を揃える
+const TAB_VISIBILITY_LABELS = {
+  Visible: "Visible",
+  DefaultOn: "Visible",
+  Available: "Available",
+  DefaultOff: "Available",
+  None: "Hidden",
+  Hidden: "Hidden"
+};
+
+export function formatTabVisibility(tabSetting) {
+  if (!tabSetting) return "-";
+  return TAB_VISIBILITY_LABELS[tabSetting.visibility] || tabSetting.visibility;
+}
+
+// C/R/U/D/Va/Ua/Fa の表記とobjectPermissionsの各フラグの対応
+export const OBJECT_PERMISSION_FLAGS = {
+  C: "allowCreate",
+  R: "allowRead",
+  U: "allowEdit",
+  D: "allowDelete",
+  Va: "viewAllRecords",
+  Ua: "modifyAllRecords",
+  Fa: "viewAllFields"
+};
+
+// "CRUD" などの表記をobjectPermissionsのフラグに変換する(不正な表記はnull)
+export function parseObjectPermission(value) {
+  const flags = Object.fromEntries(
+    Object.values(OBJECT_PERMISSION_FLAGS).map((flag) => [flag, false])
+  );
+  if (value === "-" || value === "") return flags;
+  const tokens = value.match(/Va|Ua|Fa|C|R|U|D/g) || [];
+  if (tokens.join("") !== value) return null;
+  for (const token of tokens) {
+    flags[OBJECT_PERMISSION_FLAGS[token]] = true;
+  }
+  return flags;
+}
+
+// "RU" / "R" / "-" の表記をfieldPermissionsのフラグに変換する(不正な表記はnull)
+export function parseFieldPermission(value) {
+  switch (value) {
+    case "RU":
+      return { readable: true, editable: true };
+    case "R":
+      return { readable: true, editable: false };
+    case "-":
+    case "":
+      return { readable: false, editable: false };
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,77 @@
+// ローカルの権限セット・プロファイルのメタデータを読み込む共通処理
+import fs from "fs/promises";
+import { parsePermissionMetadataXml } from "./permission-metadata.js";
+import { DEFAULT_SOURCE_DIR, resolveSourceFile } from "./package-manifest.js";
+import {
+  RETRIEVE_TYPES,
+  RetrieveError,
+  getSourceFileName,
+  retrieveMetadata
+} from "./metadata-retrieve.js";
+
+export { RetrieveError };
+
+// ソースのフォルダから読み込み、ない場合は retrieve の指定があれば組織から取得して読み直す
+// retrieveOptions: retrieveMetadata の transport・apiVersion
+async function readSourceMetadata(
+  type,
+  name,
+  { sourceDir = DEFAULT_SOURCE_DIR, retrieve = false, ...retrieveOptions }
+) {
+  const resolvePath = () =>
+    resolveSourceFile(
+      sourceDir,
+      RETRIEVE_TYPES[type].dirName,
+      getSourceFileName(type, name)
+    );
+  try {
+    return parsePermissionMetadataXml(
+      await fs.readFile(await resolvePath(), "utf-8")
+    );
+  } catch (error) {
+    if (error.code !== "ENOENT" || !retrieve) throw error;
+  }
+
+  console.error(`${type} metadata not found. Retrieving from Salesforce...`);
+  const { failed } = await retrieveMetadata(
+    { [type]: [name] },
+    { sourceDir, ...retrieveOptions }
+  );
+  if (failed.length > 0) {
+    throw new RetrieveError(
+      `Failed to retrieve ${type} ${name}: ${failed[0].error}`
+    );
+  }
+  return parsePermissionMetadataXml(
+    await fs.readFile(await resolvePath(), "utf-8")
+  );
+}
+
+// sourceDir: ソースのフォルダ(複数可。先頭から順に探し、取得したファイルは先頭のフォルダに置く)
+// retrieve: ローカルにない場合に組織から取得する
+export async function getPermissionSetMetadata(
+  permissionSetName,
+  { retrieve = true, ...options } = {}
+) {
+  return readSourceMetadata("PermissionSet", permissionSetName, {
+    retrieve,
+    ...options
+  });
+}
+
+export async function getProfileMetadata(profileName, options = {}) {
+  try {
+    return await readSourceMetadata("Profile", profileName, options);
+  } catch (error) {
+    console.error(`Error reading profile metadata for ${profileName}:`, error);
+    throw error;
+  }
+}
+
+export async function getPermissionSetGroupMetadata(groupName, options = {}) {
+  return readSourceMetadata("PermissionSetGroup", groupName, options);
+}
+
+export async function getMutingPermissionSetMetadata(mutingName, options = {}) {
+  return readSourceMetadata("MutingPermissionSet", mutingName, options);
+}
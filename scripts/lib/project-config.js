@@ -0,0 +1,187 @@
+// permission-design.config.json(プロジェクトの設定ファイル)を読み込む共通処理
+// パスは設定ファイルのフォルダからの相対パスで、未指定の項目は sfdx-project.json・package.xml と既定値を使う
+import fs from "fs/promises";
+import path from "path";
+import {
+  DEFAULT_MANIFEST_PATH,
+  DEFAULT_SOURCE_DIR,
+  getManifestApiVersion
+} from "./package-manifest.js";
+import { DEFAULT_DESCRIBE_DIR } from "./describe-data.js";
+import { DEFAULT_LANG, DESIGN_LANGS } from "./design-locale.js";
+import { DEFAULT_TEMPLATE_DIR } from "./design-template.js";
+import { DESIGN_TYPES } from "./permission-design.js";
+import { IMAGE_FORMATS } from "./table-layout.js";
+
+export const CONFIG_FILE_NAME = "permission-design.config.json";
+const SFDX_PROJECT_FILE = "sfdx-project.json";
+
+export const DEFAULT_OUT_DIR = ".design";
+
+// 設定ファイルの項目と値の形式
+export const CONFIG_SCHEMA = {
+  $schema: { type: "string" },
+  manifest: { type: ["string", "array"], items: { type: "string" } },
+  sourceDirs: { type: "array", items: { type: "string" }, minItems: 1 },
+  describeDir: { type: "string" },
+  outDir: { type: "string" },
+  apiVersion: { type: "string", pattern: /^\d+\.0$/, example: "63.0" },
+  documents: { type: "array", items: { enum: DESIGN_TYPES }, minItems: 1 },
+  imageFormats: { type: "array", items: { enum: IMAGE_FORMATS } },
+  lang: { type: "string", enum: DESIGN_LANGS },
+  templateDir: { type: "string" }
+};
+
+// 設定ファイルの内容が不正な場合のエラー
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConfigError";
+  }
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+function checkValue(name, value, rule) {
+  const types = rule.type ? [rule.type].flat() : [];
+  if (types.length > 0 && !types.includes(typeOf(value))) {
+    return [
+      `"${name}" must be ${types.join(" or ")} (got ${JSON.stringify(value)})`
+    ];
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return [
+      `"${name}" must be one of ${rule.enum.join(", ")} (got ${JSON.stringify(value)})`
+    ];
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return [
+      `"${name}" must be like "${rule.example}" (got ${JSON.stringify(value)})`
+    ];
+  }
+  if (typeOf(value) !== "array") return [];
+  if (rule.minItems && value.length < rule.minItems) {
+    return [`"${name}" must not be empty`];
+  }
+  return value.flatMap((item, index) =>
+    checkValue(`${name}[${index}]`, item, rule.items)
+  );
+}
+
+// 問題をすべて集めて1つのエラーにする(大文字・小文字だけが違う項目名は候補を示す)
+export function validateConfig(config, fileName = CONFIG_FILE_NAME) {
+  if (typeOf(config) !== "object") {
+    throw new ConfigError(`${fileName} must be a JSON object`);
+  }
+  const problems = [];
+  for (const [name, value] of Object.entries(config)) {
+    const rule = CONFIG_SCHEMA[name];
+    if (rule) {
+      problems.push(...checkValue(name, value, rule));
+      continue;
+    }
+    const suggestion = Object.keys(CONFIG_SCHEMA).find(
+      (key) => key.toLowerCase() === name.toLowerCase()
+    );
+    problems.push(
+      suggestion
+        ? `unknown property "${name}" (did you mean "${suggestion}"?)`
+        : `unknown property "${name}" (use ${Object.keys(CONFIG_SCHEMA)
+            .filter((key) => key !== "$schema")
+            .join(", ")})`
+    );
+  }
+  if (problems.length > 0) {
+    throw new ConfigError(
+      `Invalid ${fileName}:\n${problems.map((problem) => `  - ${problem}`).join("\n")}`
+    );
+  }
+  return config;
+}
+
+async function readJsonFile(filePath) {
+  const content = await fs.readFile(filePath, "utf-8");
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new ConfigError(`Invalid JSON in ${filePath}: ${error.message}`);
+  }
+}
+
+async function isDirectory(dirPath) {
+  const stat = await fs.stat(dirPath).catch(() => null);
+  return Boolean(stat?.isDirectory());
+}
+
+// sfdx-project.json のすべての packageDirectories をメタデータのフォルダにする(デフォルトのパッケージが先頭)
+// <path>/main/default がある場合はそのフォルダ、ない場合は <path> を使う
+async function readPackageDirectories(projectDir) {
+  let project;
+  try {
+    project = await readJsonFile(path.join(projectDir, SFDX_PROJECT_FILE));
+  } catch (error) {
+    if (error.code === "ENOENT") return { sourceDirs: null };
+    throw error;
+  }
+  const packageDirectories = [...(project.packageDirectories || [])].sort(
+    (a, b) => Number(Boolean(b.default)) - Number(Boolean(a.default))
+  );
+  const sourceDirs = [];
+  for (const packageDirectory of packageDirectories) {
+    const packagePath = path.join(projectDir, packageDirectory.path);
+    const defaultPath = path.join(packagePath, "main", "default");
+    sourceDirs.push(
+      (await isDirectory(defaultPath)) ? defaultPath : packagePath
+    );
+  }
+  return {
+    sourceDirs: sourceDirs.length > 0 ? sourceDirs : null,
+    sourceApiVersion: project.sourceApiVersion
+  };
+}
+
+// 設定ファイルを読み込み、既定値を補った設定を返す
+// configPath を指定しない場合は、カレントフォルダの設定ファイルがなくても既定値で続ける
+export async function loadProjectConfig(configPath) {
+  const filePath = configPath || CONFIG_FILE_NAME;
+  let config = {};
+  let found = false;
+  try {
+    config = validateConfig(await readJsonFile(filePath), filePath);
+    found = true;
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+    if (configPath) {
+      throw new ConfigError(`Config file not found: ${configPath}`);
+    }
+  }
+
+  const projectDir = path.dirname(filePath);
+  const resolvePath = (value) =>
+    path.isAbsolute(value) ? value : path.join(projectDir, value);
+  const project = await readPackageDirectories(projectDir);
+  const manifestPaths = [config.manifest ?? DEFAULT_MANIFEST_PATH]
+    .flat()
+    .map(resolvePath);
+  return {
+    configPath: found ? filePath : null,
+    manifestPaths,
+    sourceDirs: config.sourceDirs?.map(resolvePath) ??
+      project.sourceDirs ?? [resolvePath(DEFAULT_SOURCE_DIR)],
+    describeDir: resolvePath(config.describeDir ?? DEFAULT_DESCRIBE_DIR),
+    outDir: resolvePath(config.outDir ?? DEFAULT_OUT_DIR),
+    // 未指定の場合は package.xml、sfdx-project.json の順にバージョンを探す
+    apiVersion:
+      config.apiVersion ??
+      (await getManifestApiVersion(manifestPaths[0])) ??
+      project.sourceApiVersion,
+    documents: config.documents ?? DESIGN_TYPES,
+    imageFormats: config.imageFormats ?? ["png"],
+    lang: config.lang ?? DEFAULT_LANG,
+    templateDir: resolvePath(config.templateDir ?? DEFAULT_TEMPLATE_DIR)
+  };
+}
@@ -0,0 +1,260 @@
+// jsforceのConnectionを、Salesforce CLI・JWT・アクセストークン・パスワードのいずれかで作成する共通処理
+import fs from "fs";
+import crypto from "crypto";
+import { execFileSync } from "child_process";
+import jsforce from "jsforce";
+
+export const DEFAULT_LOGIN_URL = "https://login.salesforce.com";
+
+const JWT_GRANT_TYPE = "urn:ietf:params:oauth:grant-type:jwt-bearer";
+
+// 認証情報が足りない場合は code: "MISSING_CREDENTIALS"、ログインに失敗した場合は code: "AUTH_FAILED"
+export class SalesforceAuthError extends Error {
+  constructor(message, code = "AUTH_FAILED") {
+    super(message);
+    this.name = "SalesforceAuthError";
+    this.code = code;
+  }
+}
+
+// 引数で指定がなければ環境変数から認証情報を集める
+export function resolveAuthOptions(options = {}, env = process.env) {
+  return {
+    targetOrg: options.targetOrg || env.SF_TARGET_ORG,
+    jwtKeyFile: options.jwtKeyFile || env.SF_JWT_KEY_FILE,
+    clientId: options.clientId || env.SF_CLIENT_ID,
+    username: options.username || env.SF_USERNAME,
+    password: env.SF_PASSWORD,
+    securityToken: env.SF_SECURITY_TOKEN || "",
+    accessToken: env.SF_ACCESS_TOKEN,
+    instanceUrl: options.instanceUrl || env.SF_INSTANCE_URL,
+    apiVersion: options.apiVersion,
+    loginUrl: (
+      options.loginUrl ||
+      env.SF_LOGIN_URL ||
+      DEFAULT_LOGIN_URL
+    ).replace(/\/$/, "")
+  };
+}
+
+// 使用する認証方式(優先順: Salesforce CLI → JWT → アクセストークン → パスワード)
+// いずれも指定がない場合は Salesforce CLI のデフォルトの組織(sf config set target-org)を使う
+export function getAuthMethod(authOptions) {
+  if (authOptions.targetOrg) return "sf-cli";
+  if (authOptions.jwtKeyFile || authOptions.clientId) return "jwt";
+  if (authOptions.accessToken) return "access-token";
+  if (authOptions.username || authOptions.password) return "password";
+  return "sf-cli";
+}
+
+const NO_CREDENTIALS_MESSAGE =
+  "No Salesforce credentials. Use --target-org <alias>, a Salesforce CLI default org (sf config set target-org), JWT (SF_JWT_KEY_FILE, SF_CLIENT_ID, SF_USERNAME), SF_ACCESS_TOKEN and SF_INSTANCE_URL, or SF_USERNAME, SF_PASSWORD and SF_SECURITY_TOKEN.";
+
+// sf org display で、ログイン済みの組織のインスタンスURLとアクセストークンを取得する
+// targetOrg がない場合は Salesforce CLI のデフォルトの組織
+function readSfCliOrg(targetOrg) {
+  let output;
+  try {
+    output = execFileSync(
+      "sf",
+      [
+        "org",
+        "display",
+        ...(targetOrg ? ["--target-org", targetOrg] : []),
+        "--json"
+      ],
+      { encoding: "utf-8", stdio: ["ignore", "pipe", "pipe"] }
+    );
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new SalesforceAuthError(
+        targetOrg
+          ? "Salesforce CLI (sf) is not installed or not in PATH. Install it or use JWT / access token authentication."
+          : NO_CREDENTIALS_MESSAGE,
+        "MISSING_CREDENTIALS"
+      );
+    }
+    let message = error.stderr?.toString().trim() || error.message;
+    try {
+      message = JSON.parse(error.stdout).message || message;
+    } catch {
+      // JSONでない出力はそのまま表示する
+    }
+    if (!targetOrg) {
+      throw new SalesforceAuthError(
+        `${NO_CREDENTIALS_MESSAGE} (Salesforce CLI: ${message})`,
+        "MISSING_CREDENTIALS"
+      );
+    }
+    throw new SalesforceAuthError(
+      `Failed to read org "${targetOrg}" from Salesforce CLI: ${message} (run "sf org login web --alias ${targetOrg}")`
+    );
+  }
+
+  const { result } = JSON.parse(output);
+  if (!result?.accessToken || !result?.instanceUrl) {
+    const orgName = targetOrg || result?.alias || result?.username || "default";
+    throw new SalesforceAuthError(
+      `Salesforce CLI returned no access token for "${orgName}". Log in again with "sf org login web --alias ${orgName}".`
+    );
+  }
+  return result;
+}
+
+function base64Url(value) {
+  return Buffer.from(value)
+    .toString("base64")
+    .replace(/=+$/, "")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_");
+}
+
+// JWTベアラーフローのアサーションを秘密鍵で署名して作成する
+function createJwtAssertion({ clientId, username, loginUrl }, privateKey) {
+  const header = base64Url(JSON.stringify({ alg: "RS256" }));
+  const claims = base64Url(
+    JSON.stringify({
+      iss: clientId,
+      sub: username,
+      aud: loginUrl,
+      exp: Math.floor(Date.now() / 1000) + 3 * 60
+    })
+  );
+  const signature = crypto
+    .createSign("RSA-SHA256")
+    .update(`${header}.${claims}`)
+    .sign(privateKey, "base64");
+  return `${header}.${claims}.${base64Url(Buffer.from(signature, "base64"))}`;
+}
+
+function requireOptions(method, entries) {
+  const missing = entries.filter(([, value]) => !value).map(([name]) => name);
+  if (missing.length > 0) {
+    throw new SalesforceAuthError(
+      `${method} requires ${missing.join(", ")}`,
+      "MISSING_CREDENTIALS"
+    );
+  }
+}
+
+// APIバージョンの指定(設定ファイルの apiVersion)がない場合はjsforceの既定値を使う
+function versionOption(apiVersion) {
+  return apiVersion ? { version: apiVersion } : {};
+}
+
+async function connectWithSfCli({ targetOrg, apiVersion }) {
+  const org = readSfCliOrg(targetOrg);
+  const conn = new jsforce.Connection({
+    instanceUrl: org.instanceUrl,
+    accessToken: org.accessToken,
+    ...versionOption(apiVersion || org.apiVersion)
+  });
+  return { conn, userInfo: await fetchUserInfo(conn) };
+}
+
+async function connectWithJwt(authOptions) {
+  requireOptions("JWT authentication", [
+    ["--jwt-key-file / SF_JWT_KEY_FILE", authOptions.jwtKeyFile],
+    ["--client-id / SF_CLIENT_ID", authOptions.clientId],
+    ["--username / SF_USERNAME", authOptions.username]
+  ]);
+  let privateKey;
+  try {
+    privateKey = fs.readFileSync(authOptions.jwtKeyFile, "utf-8");
+  } catch (error) {
+    throw new SalesforceAuthError(
+      `Failed to read JWT key file ${authOptions.jwtKeyFile}: ${error.message}`,
+      "MISSING_CREDENTIALS"
+    );
+  }
+
+  let assertion;
+  try {
+    assertion = createJwtAssertion(authOptions, privateKey);
+  } catch (error) {
+    throw new SalesforceAuthError(
+      `Invalid JWT key file ${authOptions.jwtKeyFile}: ${error.message}`,
+      "MISSING_CREDENTIALS"
+    );
+  }
+
+  const conn = new jsforce.Connection({
+    loginUrl: authOptions.loginUrl,
+    ...versionOption(authOptions.apiVersion)
+  });
+  try {
+    const userInfo = await conn.authorize({
+      grant_type: JWT_GRANT_TYPE,
+      assertion
+    });
+    return { conn, userInfo };
+  } catch (error) {
+    throw new SalesforceAuthError(
+      `JWT authentication failed for ${authOptions.username}: ${error.message} (check that the connected app is pre-authorized for the user and uses the certificate of the key file)`
+    );
+  }
+}
+
+async function connectWithAccessToken(authOptions) {
+  requireOptions("Access token authentication", [
+    ["SF_ACCESS_TOKEN", authOptions.accessToken],
+    ["--instance-url / SF_INSTANCE_URL", authOptions.instanceUrl]
+  ]);
+  const conn = new jsforce.Connection({
+    instanceUrl: authOptions.instanceUrl,
+    accessToken: authOptions.accessToken,
+    ...versionOption(authOptions.apiVersion)
+  });
+  return { conn, userInfo: await fetchUserInfo(conn) };
+}
+
+async function connectWithPassword(authOptions) {
+  requireOptions("Password authentication", [
+    ["SF_USERNAME", authOptions.username],
+    ["SF_PASSWORD", authOptions.password],
+    ["SF_SECURITY_TOKEN", authOptions.securityToken]
+  ]);
+  const conn = new jsforce.Connection({
+    loginUrl: authOptions.loginUrl,
+    ...versionOption(authOptions.apiVersion)
+  });
+  try {
+    const userInfo = await conn.login(
+      authOptions.username,
+      authOptions.password + authOptions.securityToken
+    );
+    return { conn, userInfo };
+  } catch (error) {
+    throw new SalesforceAuthError(
+      `Login failed for ${authOptions.username}: ${error.message} (orgs with SSO / MFA require --target-org, JWT or access token authentication)`
+    );
+  }
+}
+
+// アクセストークンで接続した場合は、ユーザID・組織IDをidentityから取得する
+async function fetchUserInfo(conn) {
+  try {
+    const identity = await conn.identity();
+    return {
+      id: identity.user_id,
+      organizationId: identity.organization_id
+    };
+  } catch (error) {
+    throw new SalesforceAuthError(
+      `Access token was rejected by ${conn.instanceUrl}: ${error.message} (the session may have expired)`
+    );
+  }
+}
+
+const CONNECTORS = {
+  "sf-cli": connectWithSfCli,
+  jwt: connectWithJwt,
+  "access-token": connectWithAccessToken,
+  password: connectWithPassword
+};
+
+// 戻り値: { conn, userInfo: { id, organizationId }, method }
+export async function connectSalesforce(authOptions) {
+  const method = getAuthMethod(authOptions);
+  return { ...(await CONNECTORS[method](authOptions)), method };
+}
@@ -0,0 +1,46 @@
+// 設計書の表をTSV・CSV・JSONの文字列に変換する
+
+export const TABLE_FORMATS = ["tsv", "csv", "json"];
+
+// Excelなどに貼り付けたときにセルがずれないよう、タブ・改行は空白にする
+function toTsvCell(value) {
+  return String(value ?? "").replace(/[\t\r\n]+/g, " ");
+}
+
+function toCsvCell(value) {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatDelimited(tables, toCell, delimiter) {
+  const formatRow = (cells) => cells.map(toCell).join(delimiter);
+  const multipleFiles = new Set(tables.map((table) => table.file)).size > 1;
+  return tables
+    .map((table) => {
+      const lines = [table.headers, ...table.rows].map(formatRow);
+      if (tables.length === 1) return lines.join("\n");
+      // 表が複数ある場合は、どの表か分かるように見出しを先頭に付ける
+      const title = multipleFiles
+        ? `${table.file} - ${table.heading}`
+        : table.heading;
+      return [toCell(title), ...lines].join("\n");
+    })
+    .join("\n\n")
+    .concat("\n");
+}
+
+// tables: [{ file, heading, headers, rows }]
+export function formatTables(tables, format) {
+  switch (format) {
+    case "tsv":
+      return formatDelimited(tables, toTsvCell, "\t");
+    case "csv":
+      return formatDelimited(tables, toCsvCell, ",");
+    case "json":
+      return `${JSON.stringify(tables, null, 2)}\n`;
+    default:
+      throw new Error(
+        `Unknown format: ${format} (use ${TABLE_FORMATS.join(", ")})`
+      );
+  }
+}
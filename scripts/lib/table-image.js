@@ -0,0 +1,53 @@
+// 設計書Markdownの表をPNG画像に変換する(canvasを使うため、PNG・PDFを作成するときのみ読み込む)
+import fs from "fs";
+import { createCanvas, registerFont } from "canvas";
+import {
+  BUNDLED_FONT_PATH,
+  BUNDLED_BOLD_FONT_PATH,
+  FONT_FAMILY,
+  resolveImageOptions,
+  getImageTables,
+  layoutTable,
+  drawTable
+} from "./table-layout.js";
+
+const registeredFonts = new Set();
+
+// フォントファイルを登録する(同梱フォント、または NotoSansJP-Regular.ttf の隣に -Bold.ttf があれば太字も登録する)
+export function registerTableFont(fontFile) {
+  if (!fontFile || registeredFonts.has(fontFile)) return;
+  if (!fs.existsSync(fontFile)) {
+    throw new Error(`Font file not found: ${fontFile}`);
+  }
+  registerFont(fontFile, { family: FONT_FAMILY });
+  const boldFontFile =
+    fontFile === BUNDLED_FONT_PATH
+      ? BUNDLED_BOLD_FONT_PATH
+      : fontFile.replace(/-Regular(\.[ot]tf)$/i, "-Bold$1");
+  if (boldFontFile !== fontFile && fs.existsSync(boldFontFile)) {
+    registerFont(boldFontFile, { family: FONT_FAMILY, weight: "bold" });
+  }
+  registeredFonts.add(fontFile);
+}
+
+function renderTable(table, scale) {
+  const layout = layoutTable(table);
+  // HiDPI向けに scale 倍の解像度で描画する
+  const canvas = createCanvas(
+    Math.ceil(layout.width * scale),
+    Math.ceil(layout.height * scale)
+  );
+  const ctx = canvas.getContext("2d");
+  ctx.scale(scale, scale);
+  drawTable(ctx, layout);
+  return canvas.toBuffer("image/png");
+}
+
+// 設計書の最初の表をPNG画像にする(大きな表は複数の画像に分割する)
+export async function generateImages(markdownContent, options = {}) {
+  const { fontFile, scale } = resolveImageOptions(options);
+  registerTableFont(fontFile);
+  return getImageTables(markdownContent, options).map((table) =>
+    renderTable(table, scale)
+  );
+}
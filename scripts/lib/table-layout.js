@@ -0,0 +1,326 @@
+// 設計書Markdownの表の分割・列幅・行の高さを求め、描画する共通処理(PNG・SVG・PDFで共通)
+// 文字幅は同梱フォントの字幅から求めるため、canvas(ネイティブモジュール)を読み込まない
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+import { parseMarkdownTables } from "./markdown-table.js";
+import { HIGH_RISK_LABELS } from "./design-locale.js";
+import {
+  ACCESS_LEVEL_COLORS,
+  getAccessLevel,
+  isAccessColumn
+} from "./access-level.js";
+
+const require = createRequire(import.meta.url);
+
+// 同梱フォント: 依存パッケージ @expo-google-fonts/noto-sans-jp のNoto Sans JP(SIL Open Font License 1.1)
+// パッケージがインストールされていない場合は undefined
+function resolveBundledFont(fileName) {
+  try {
+    const packageDir = path.dirname(
+      require.resolve("@expo-google-fonts/noto-sans-jp/package.json")
+    );
+    return path.join(packageDir, fileName);
+  } catch {
+    return undefined;
+  }
+}
+
+export const BUNDLED_FONT_PATH = resolveBundledFont(
+  "400Regular/NotoSansJP_400Regular.ttf"
+);
+export const BUNDLED_BOLD_FONT_PATH = resolveBundledFont(
+  "700Bold/NotoSansJP_700Bold.ttf"
+);
+export const FONT_FAMILY = "Noto Sans JP";
+// フォントを登録していない環境では、インストール済みの日本語フォントを使用する
+const FONT_FAMILIES = `"${FONT_FAMILY}", "Noto Sans CJK JP", "Hiragino Sans", "Yu Gothic", Meiryo, Arial, sans-serif`;
+const FONT_SIZE = 14;
+
+export function getTableFont(size, { bold = false } = {}) {
+  return `${bold ? "bold " : ""}${size}px ${FONT_FAMILIES}`;
+}
+
+export const TABLE_FONT = getTableFont(FONT_SIZE);
+export const TABLE_HEADER_FONT = getTableFont(FONT_SIZE, { bold: true });
+
+export const IMAGE_FORMATS = ["png", "svg"];
+export const DEFAULT_IMAGE_SCALE = 2;
+export const DEFAULT_MAX_ROWS = 40;
+export const DEFAULT_MAX_COLUMNS = 12;
+
+const LINE_HEIGHT = 20;
+const CELL_PADDING = 10;
+const MIN_COLUMN_WIDTH = 60;
+const MAX_COLUMN_WIDTH = 260;
+const TEXT_HEIGHT = 14;
+const IMAGE_PADDING = 20;
+
+const HEADER_COLOR = "#f0f0f0";
+const HIGH_RISK_COLOR = "#fde2e2";
+const BORDER_COLOR = "#cccccc";
+
+// Noto Sans JP の半角英数字・記号(U+0020〜U+007E)の字幅(1000 = 1文字分の高さ)
+const ASCII_WIDTHS = {
+  regular: [
+    224, 323, 474, 555, 555, 921, 680, 278, 338, 338, 467, 555, 278, 347, 278,
+    392, 555, 555, 555, 555, 555, 555, 555, 555, 555, 555, 278, 278, 555, 555,
+    555, 474, 946, 608, 657, 638, 688, 589, 552, 689, 728, 293, 535, 646, 543,
+    812, 723, 742, 633, 742, 635, 596, 599, 721, 575, 878, 573, 531, 603, 338,
+    392, 338, 555, 559, 606, 563, 618, 510, 620, 554, 325, 564, 607, 275, 275,
+    552, 284, 926, 610, 606, 620, 620, 388, 468, 377, 607, 521, 802, 498, 521,
+    475, 338, 270, 338, 555
+  ],
+  bold: [
+    227, 370, 574, 590, 590, 963, 740, 325, 378, 378, 507, 590, 325, 370, 325,
+    387, 590, 590, 590, 590, 590, 590, 590, 590, 590, 590, 325, 325, 590, 590,
+    590, 514, 1007, 641, 681, 656, 714, 615, 585, 717, 757, 330, 568, 686, 578,
+    853, 749, 770, 667, 770, 682, 624, 625, 748, 619, 915, 627, 580, 613, 378,
+    387, 378, 590, 567, 626, 591, 644, 527, 644, 581, 372, 597, 640, 304, 306,
+    604, 315, 964, 641, 626, 644, 644, 437, 495, 421, 637, 576, 863, 562, 574,
+    511, 378, 296, 378, 590
+  ]
+};
+
+function getCharWidth(code, widths) {
+  if (code >= 0x20 && code <= 0x7e) return widths[code - 0x20];
+  // 半角カナ
+  if (code >= 0xff61 && code <= 0xff9f) return 500;
+  // アクセント付きの文字など
+  if (code < 0x1100) return 580;
+  // 日本語・全角文字
+  return 1000;
+}
+
+// 文字列の幅(px)
+export function measureText(text, { size = FONT_SIZE, bold = false } = {}) {
+  const widths = bold ? ASCII_WIDTHS.bold : ASCII_WIDTHS.regular;
+  let width = 0;
+  for (const char of String(text ?? "")) {
+    width += getCharWidth(char.codePointAt(0), widths);
+  }
+  return (width * size) / 1000;
+}
+
+// 引数で指定がなければ環境変数・同梱フォントから画像の設定を決める
+export function resolveImageOptions(options = {}, env = process.env) {
+  return {
+    fontFile:
+      options.fontFile ||
+      env.DESIGN_IMAGE_FONT ||
+      (BUNDLED_FONT_PATH && fs.existsSync(BUNDLED_FONT_PATH)
+        ? BUNDLED_FONT_PATH
+        : undefined),
+    formats: options.formats ?? ["png"],
+    scale: options.scale ?? DEFAULT_IMAGE_SCALE,
+    maxRows: options.maxRows ?? DEFAULT_MAX_ROWS,
+    maxColumns: options.maxColumns ?? DEFAULT_MAX_COLUMNS
+  };
+}
+
+// 英数字は単語(「.」「_」の後ろでも改行できる)、日本語は1文字ずつに分ける
+function splitWrapUnits(text) {
+  return (
+    text.match(
+      /[\u0080-\uffff]|[^\s._/\u0080-\uffff]+[._/]*\s*|[._/]+\s*|\s+/g
+    ) || []
+  );
+}
+
+// セルの幅に収まるように折り返す
+export function wrapText(text, maxWidth, fontOptions = {}) {
+  const measure = (value) => measureText(value, fontOptions);
+  const lines = [];
+  let line = "";
+  for (const unit of splitWrapUnits(String(text ?? ""))) {
+    if (line && measure(line + unit) > maxWidth) {
+      lines.push(line.trimEnd());
+      line = unit.trimStart();
+    } else {
+      line += unit;
+    }
+    // 1単語でも幅を超える場合は文字単位で改行する
+    while (line.length > 1 && measure(line) > maxWidth) {
+      let end = line.length - 1;
+      while (end > 1 && measure(line.slice(0, end)) > maxWidth) {
+        end--;
+      }
+      lines.push(line.slice(0, end));
+      line = line.slice(end);
+    }
+  }
+  lines.push(line.trimEnd());
+  return lines;
+}
+
+// 各列の幅を計算する(rowsはヘッダー行を含むセルの配列、長い列は折り返す)
+export function measureColumnWidths(rows) {
+  const columnWidths = Array(rows[0].length).fill(MIN_COLUMN_WIDTH);
+  rows.forEach((cells, rowIndex) => {
+    columnWidths.forEach((width, index) => {
+      const textWidth =
+        measureText(cells[index] ?? "", { bold: rowIndex === 0 }) +
+        CELL_PADDING * 2;
+      columnWidths[index] = Math.min(
+        Math.max(width, Math.ceil(textWidth)),
+        MAX_COLUMN_WIDTH
+      );
+    });
+  });
+  return columnWidths;
+}
+
+// セルを折り返して行の高さを求める
+export function layoutTableRow(cells, columnWidths, { header = false } = {}) {
+  const lines = columnWidths.map((width, index) =>
+    wrapText(cells[index] ?? "", width - CELL_PADDING * 2, { bold: header })
+  );
+  const lineCount = Math.max(...lines.map((cellLines) => cellLines.length));
+  return {
+    cells,
+    lines,
+    header,
+    height: lineCount * LINE_HEIGHT + CELL_PADDING * 2
+  };
+}
+
+// 権限セット・プロファイルの列(値がすべて権限を表す列)かどうか
+export function getAccessColumns(headers, rows) {
+  return headers.map((_, index) =>
+    isAccessColumn(rows.map((row) => row[index]))
+  );
+}
+
+// layoutTableRowで求めた1行を (x, y) から描画する
+// ctx: Canvasの2Dコンテキスト、または同じ描画命令を持つオブジェクト(SVG)
+export function drawTableRow(ctx, row, columnWidths, x, y, accessColumns = []) {
+  const rowWidth = columnWidths.reduce((sum, width) => sum + width, 0);
+  if (row.header) {
+    ctx.fillStyle = HEADER_COLOR;
+    ctx.fillRect(x, y, rowWidth, row.height);
+  } else if (row.cells.some((cell) => HIGH_RISK_LABELS.includes(cell))) {
+    // 高リスク権限の行を強調表示(テンプレートで区分の列を移動した場合も対象)
+    ctx.fillStyle = HIGH_RISK_COLOR;
+    ctx.fillRect(x, y, rowWidth, row.height);
+  }
+
+  ctx.strokeStyle = BORDER_COLOR;
+  ctx.lineWidth = 1;
+  ctx.font = row.header ? TABLE_HEADER_FONT : TABLE_FONT;
+  let cellX = x;
+  columnWidths.forEach((cellWidth, index) => {
+    // 権限の値に応じてセルを色分けする(緑: 付与、黄: 参照のみ、灰: 権限なし)
+    const level =
+      !row.header && accessColumns[index]
+        ? getAccessLevel(row.cells[index])
+        : null;
+    if (level) {
+      ctx.fillStyle = `#${ACCESS_LEVEL_COLORS[level]}`;
+      ctx.fillRect(cellX, y, cellWidth, row.height);
+    }
+    ctx.strokeRect(cellX, y, cellWidth, row.height);
+
+    ctx.fillStyle = "#000000";
+    ctx.textAlign = level ? "center" : "left";
+    const textX = level ? cellX + cellWidth / 2 : cellX + CELL_PADDING;
+    row.lines[index].forEach((line, lineIndex) => {
+      const textY =
+        y +
+        CELL_PADDING +
+        lineIndex * LINE_HEIGHT +
+        (LINE_HEIGHT + TEXT_HEIGHT) / 2;
+      ctx.fillText(line, textX, textY);
+    });
+    cellX += cellWidth;
+  });
+  ctx.textAlign = "left";
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks.length > 0 ? chunks : [[]];
+}
+
+// 行数・列数の上限ごとに表を分割する(分割した表にも見出し行と権限列より前の列を表示する)
+export function splitTable(table, { maxRows, maxColumns }) {
+  const accessColumns = getAccessColumns(table.headers, table.rows);
+  const firstAccessColumn = accessColumns.indexOf(true);
+  const columnIndexes = table.headers.map((_, index) => index);
+  const columnGroups =
+    firstAccessColumn > 0
+      ? chunk(
+          columnIndexes.slice(firstAccessColumn),
+          Math.max(1, maxColumns - firstAccessColumn)
+        ).map((group) => [
+          ...columnIndexes.slice(0, firstAccessColumn),
+          ...group
+        ])
+      : [columnIndexes];
+
+  const pick = (cells, group) => group.map((index) => cells[index] ?? "");
+  return columnGroups.flatMap((group) =>
+    chunk(table.rows, maxRows).map((rows) => ({
+      headers: pick(table.headers, group),
+      rows: rows.map((row) => pick(row, group)),
+      accessColumns: pick(accessColumns, group)
+    }))
+  );
+}
+
+// 表の列幅・行の高さと画像全体の大きさを求める
+export function layoutTable(table) {
+  const columnWidths = measureColumnWidths([table.headers, ...table.rows]);
+  const rows = [
+    layoutTableRow(table.headers, columnWidths, { header: true }),
+    ...table.rows.map((cells) => layoutTableRow(cells, columnWidths))
+  ];
+  return {
+    columnWidths,
+    rows,
+    accessColumns: table.accessColumns,
+    width:
+      columnWidths.reduce((sum, width) => sum + width, 0) + IMAGE_PADDING * 2,
+    height: rows.reduce((sum, row) => sum + row.height, 0) + IMAGE_PADDING * 2
+  };
+}
+
+// layoutTableで求めた表を描画する
+export function drawTable(ctx, layout) {
+  // 背景を白に設定
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, layout.width, layout.height);
+
+  let y = IMAGE_PADDING;
+  for (const row of layout.rows) {
+    drawTableRow(
+      ctx,
+      row,
+      layout.columnWidths,
+      IMAGE_PADDING,
+      y,
+      layout.accessColumns
+    );
+    y += row.height;
+  }
+}
+
+// 設計書の最初の表を、画像1枚ごとの表に分割する。表がなければ空配列を返す
+export function getImageTables(markdownContent, options = {}) {
+  // 最初の表のみを対象にする(表が複数ある場合は呼び出し側で分割する)
+  const [table] = parseMarkdownTables(markdownContent);
+  if (!table || table.headers.length < 2) return [];
+  return splitTable(table, resolveImageOptions(options));
+}
+
+// 分割した画像のファイル名(1枚のみの場合は <baseName>.<extension>)
+export function getImageFileNames(baseName, count, extension = "png") {
+  return count === 1
+    ? [`${baseName}.${extension}`]
+    : Array.from(
+        { length: count },
+        (_, index) => `${baseName}-${index + 1}.${extension}`
+      );
+}
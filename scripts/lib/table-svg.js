@@ -0,0 +1,82 @@
+// 設計書Markdownの表をSVG画像に変換する(PNGと同じレイアウトで、文字をテキストのまま出力する)
+// canvasを使わないため、canvasをインストールしていない環境でも作成できる
+import {
+  TABLE_FONT,
+  getImageTables,
+  layoutTable,
+  drawTable
+} from "./table-layout.js";
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+const TEXT_ANCHORS = { left: "start", center: "middle", right: "end" };
+
+// drawTableが使うCanvasの描画命令を、1命令1行のSVG要素として記録する
+class SvgContext {
+  constructor() {
+    this.elements = [];
+    this.fillStyle = "#000000";
+    this.strokeStyle = "#000000";
+    this.lineWidth = 1;
+    this.font = TABLE_FONT;
+    this.textAlign = "left";
+  }
+
+  fillRect(x, y, width, height) {
+    this.elements.push(
+      `<rect x="${formatNumber(x)}" y="${formatNumber(y)}" width="${formatNumber(width)}" height="${formatNumber(height)}" fill="${this.fillStyle}"/>`
+    );
+  }
+
+  strokeRect(x, y, width, height) {
+    this.elements.push(
+      `<rect x="${formatNumber(x)}" y="${formatNumber(y)}" width="${formatNumber(width)}" height="${formatNumber(height)}" fill="none" stroke="${this.strokeStyle}" stroke-width="${this.lineWidth}"/>`
+    );
+  }
+
+  fillText(text, x, y) {
+    if (!text) return;
+    const attributes = [
+      `x="${formatNumber(x)}"`,
+      `y="${formatNumber(y)}"`,
+      `fill="${this.fillStyle}"`
+    ];
+    if (this.textAlign !== "left") {
+      attributes.push(`text-anchor="${TEXT_ANCHORS[this.textAlign]}"`);
+    }
+    if (this.font.startsWith("bold ")) {
+      attributes.push('font-weight="bold"');
+    }
+    this.elements.push(
+      `<text ${attributes.join(" ")}>${escapeXml(text)}</text>`
+    );
+  }
+}
+
+function renderSvg(table) {
+  const layout = layoutTable(table);
+  const ctx = new SvgContext();
+  drawTable(ctx, layout);
+  const width = formatNumber(layout.width);
+  const height = formatNumber(layout.height);
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+<style>text { font: ${escapeXml(TABLE_FONT.replace(/"/g, "'"))}; }</style>
+${ctx.elements.join("\n")}
+</svg>
+`;
+}
+
+// 設計書の最初の表をSVG画像(文字列)にする(大きな表はPNGと同じく複数の画像に分割する)
+export async function generateSvgImages(markdownContent, options = {}) {
+  return getImageTables(markdownContent, options).map(renderSvg);
+}
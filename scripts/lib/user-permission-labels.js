@@ -0,0 +1,16 @@
+// システム権限(userPermissions)の日本語・英語ラベルと高リスク区分の辞書
+import fs from "fs/promises";
+
+let userPermissionLabels;
+
+// 同梱の辞書からシステム権限の日本語・英語ラベルと高リスク区分を読み込む
+export async function getUserPermissionLabels() {
+  if (!userPermissionLabels) {
+    const dictionary = await fs.readFile(
+      new URL("./user-permission-labels.json", import.meta.url),
+      "utf-8"
+    );
+    userPermissionLabels = JSON.parse(dictionary);
+  }
+  return userPermissionLabels;
+}
@@ -0,0 +1,197 @@
+// 設計書の表をExcelブックとして書き出す
+import ExcelJS from "exceljs";
+import fs from "fs/promises";
+import path from "path";
+import {
+  parseMarkdownTables,
+  parseMarkdownLegends,
+  getMarkdownTitle,
+  getMarkdownSubjectLabel
+} from "./markdown-table.js";
+import {
+  DEFAULT_LANG,
+  HIGH_RISK_LABELS,
+  getDesignLocale
+} from "./design-locale.js";
+import {
+  ACCESS_LEVEL_COLORS,
+  getAccessLevel,
+  isAccessColumn
+} from "./access-level.js";
+
+const HEADER_COLOR = "F0F0F0";
+const HIGH_RISK_COLOR = "FDE2E2";
+const MAX_COLUMN_WIDTH = 60;
+
+function solidFill(rgb) {
+  return { type: "pattern", pattern: "solid", fgColor: { argb: `FF${rgb}` } };
+}
+
+// 全角文字は半角2文字分として列幅を計算する
+function textWidth(value) {
+  return [...String(value ?? "")].reduce(
+    (width, char) => width + (char.charCodeAt(0) > 0xff ? 2 : 1),
+    0
+  );
+}
+
+// Excelのシート名は31文字以内で一部の記号を使用できない
+function toSheetName(name, usedNames) {
+  const base = name.replace(/[[\]:*?/\\]/g, "_").slice(0, 31) || "Sheet";
+  let sheetName = base;
+  for (let i = 2; usedNames.has(sheetName); i++) {
+    const suffix = ` (${i})`;
+    sheetName = base.slice(0, 31 - suffix.length) + suffix;
+  }
+  usedNames.add(sheetName);
+  return sheetName;
+}
+
+function addTable(worksheet, table) {
+  const headerRow = worksheet.addRow(table.headers);
+  headerRow.font = { bold: true };
+  headerRow.eachCell((cell) => {
+    cell.fill = solidFill(HEADER_COLOR);
+  });
+
+  const accessColumns = table.headers.map((_, index) =>
+    isAccessColumn(table.rows.map((row) => row[index]))
+  );
+
+  for (const values of table.rows) {
+    const row = worksheet.addRow(values);
+    values.forEach((value, index) => {
+      const cell = row.getCell(index + 1);
+      if (HIGH_RISK_LABELS.includes(value)) {
+        cell.fill = solidFill(HIGH_RISK_COLOR);
+        cell.font = { bold: true, color: { argb: "FFC00000" } };
+      } else if (accessColumns[index]) {
+        cell.fill = solidFill(ACCESS_LEVEL_COLORS[getAccessLevel(value)]);
+        cell.alignment = { horizontal: "center" };
+      }
+    });
+  }
+  return headerRow.number;
+}
+
+function autoFitColumns(worksheet) {
+  worksheet.columns.forEach((column) => {
+    let width = 8;
+    column.eachCell({ includeEmpty: false }, (cell) => {
+      width = Math.max(width, textWidth(cell.value) + 2);
+    });
+    column.width = Math.min(width, MAX_COLUMN_WIDTH);
+  });
+}
+
+function addCoverSheet(workbook, documents, options) {
+  const { texts } = options;
+  const worksheet = workbook.addWorksheet(texts.coverSheet);
+  worksheet.addRow([options.title]).font = { bold: true, size: 16 };
+  worksheet.addRow([
+    texts.generatedAtLabel,
+    options.generatedAt.toISOString().slice(0, 10)
+  ]);
+  worksheet.addRow([]);
+
+  // 各設計書の凡例を重複なく掲載する
+  const seen = new Set();
+  for (const document of documents) {
+    for (const legend of parseMarkdownLegends(document.markdown)) {
+      if (seen.has(legend.heading)) continue;
+      seen.add(legend.heading);
+      worksheet.addRow([legend.heading]).font = { bold: true };
+      for (const item of legend.items) {
+        const [code, ...description] = item.split(":");
+        const row = worksheet.addRow([
+          code.trim(),
+          description.join(":").trim()
+        ]);
+        const level = getAccessLevel(code.trim());
+        if (level) {
+          row.getCell(1).fill = solidFill(ACCESS_LEVEL_COLORS[level]);
+        }
+      }
+      worksheet.addRow([]);
+    }
+  }
+  autoFitColumns(worksheet);
+}
+
+// オブジェクトごとに分かれた表は1つにまとめる(警告列の有無のみ異なる場合がある)
+function mergeTables(tables) {
+  const headers = tables.reduce(
+    (longest, table) =>
+      table.headers.length > longest.length ? table.headers : longest,
+    []
+  );
+  return {
+    heading: tables[0].heading,
+    headers,
+    rows: tables.flatMap((table) =>
+      table.rows.map((row) => [
+        ...row,
+        ...Array(headers.length - row.length).fill("")
+      ])
+    )
+  };
+}
+
+// documents: [{ scope: "all" | 権限セット名, markdown }]
+// 一覧設計書(scope: "all")は権限の種類ごと、個別の設計書は権限セットごとにシートを作成する
+// options: { title, generatedAt, lang }
+export async function writeDesignWorkbook(filePath, documents, options = {}) {
+  const texts = getDesignLocale(options.lang || DEFAULT_LANG).book;
+  const workbook = new ExcelJS.Workbook();
+  const generatedAt = options.generatedAt || new Date();
+  workbook.created = generatedAt;
+  addCoverSheet(workbook, documents, {
+    texts,
+    title: options.title || texts.title,
+    generatedAt
+  });
+
+  const usedNames = new Set([texts.coverSheet]);
+
+  for (const document of documents.filter((d) => d.scope === "all")) {
+    const tables = parseMarkdownTables(document.markdown);
+    if (tables.length === 0) continue;
+    const table = mergeTables(tables);
+    const title = getMarkdownTitle(document.markdown).replace(
+      /\s*(設計書|Design)$/,
+      ""
+    );
+    const worksheet = workbook.addWorksheet(toSheetName(title, usedNames), {
+      views: [{ state: "frozen", ySplit: 1 }]
+    });
+    addTable(worksheet, table);
+    autoFitColumns(worksheet);
+  }
+
+  const scopes = [
+    ...new Set(documents.filter((d) => d.scope !== "all").map((d) => d.scope))
+  ];
+  for (const scope of scopes) {
+    const scopeDocuments = documents.filter((d) => d.scope === scope);
+    const label = getMarkdownSubjectLabel(scopeDocuments[0].markdown) || scope;
+    const worksheet = workbook.addWorksheet(toSheetName(label, usedNames), {
+      views: [{ state: "frozen", ySplit: 1 }]
+    });
+    worksheet.addRow([label]).font = { bold: true, size: 14 };
+
+    for (const document of scopeDocuments) {
+      const tables = parseMarkdownTables(document.markdown);
+      if (tables.length === 0) continue;
+      worksheet.addRow([]);
+      worksheet.addRow([getMarkdownTitle(document.markdown)]).font = {
+        bold: true
+      };
+      addTable(worksheet, mergeTables(tables));
+    }
+    autoFitColumns(worksheet);
+  }
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await workbook.xlsx.writeFile(filePath);
+  return filePath;
+}